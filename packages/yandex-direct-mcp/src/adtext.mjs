@@ -0,0 +1,148 @@
+// Local validation of text ad fields against Direct's moderation-independent
+// rules, so violations are caught (and explained) before a round trip:
+//
+//   - length limits per field (title 56, title2 30, text 81) count every
+//     character except "narrow" punctuation, of which each field may hold 15;
+//   - no word may be longer than 22 characters;
+//   - a #template# counts as its default text, and # marks must pair up;
+//   - at most one exclamation mark per field.
+//
+// validateAdText() returns every violation with a suggested fix where one can
+// be derived (a truncation at a word boundary); checkAdText() throws on any.
+
+const LIMITS = { title: 56, title2: 30, text: 81 };
+const NARROW = new Set(['.', ',', '!', ':', ';', '"']);
+const MAX_NARROW = 15;
+const MAX_WORD = 22;
+const MAX_EXCLAMATIONS = 1;
+const MAX_HREF = 1024;
+const MAX_DISPLAY_PATH = 20;
+const DISPLAY_PATH = /^[\p{L}\p{N}\-/№#%]+$/u;
+
+// Characters shown to the user: the text with template marks removed.
+function shown(value) {
+  return [...value.replaceAll('#', '')];
+}
+
+// { length, narrow } as Direct counts them.
+export function measure(value) {
+  const chars = shown(value);
+  const narrow = chars.filter((c) => NARROW.has(c)).length;
+  return { length: chars.length - narrow, narrow };
+}
+
+// Longest word-boundary prefix within the limit, without trailing separators.
+function truncate(value, limit) {
+  let result = '';
+  for (const word of value.split(/\s+/)) {
+    const next = result ? `${result} ${word}` : word;
+    if (measure(next).length > limit) break;
+    result = next;
+  }
+  return result.replace(/[\s,;:-]+$/, '');
+}
+
+function checkText(field, value) {
+  const violations = [];
+  const limit = LIMITS[field];
+  const { length, narrow } = measure(value);
+
+  if ((value.match(/#/g) ?? []).length % 2) {
+    violations.push({
+      field,
+      rule: 'template',
+      message: `${field}: unpaired "#" — a template is written #default text#`,
+    });
+  }
+  if (length > limit) {
+    violations.push({
+      field,
+      rule: 'length',
+      message: `${field}: ${length} characters (without narrow punctuation), limit ${limit}`,
+      suggestion: truncate(value, limit),
+    });
+  }
+  if (narrow > MAX_NARROW) {
+    violations.push({
+      field,
+      rule: 'narrow',
+      message: `${field}: ${narrow} narrow punctuation marks (. , ! : ; "), limit ${MAX_NARROW}`,
+    });
+  }
+  for (const word of value.replaceAll('#', '').split(/\s+/)) {
+    const letters = [...word].filter((c) => !NARROW.has(c)).length;
+    if (letters > MAX_WORD) {
+      violations.push({
+        field,
+        rule: 'word',
+        message: `${field}: word "${word}" has ${letters} characters, limit ${MAX_WORD} — shorten it or add a space or hyphen`,
+      });
+    }
+  }
+  const exclamations = (value.match(/!/g) ?? []).length;
+  if (exclamations > MAX_EXCLAMATIONS) {
+    let seen = 0;
+    violations.push({
+      field,
+      rule: 'exclamation',
+      message: `${field}: ${exclamations} exclamation marks, limit ${MAX_EXCLAMATIONS}`,
+      suggestion: value.replace(/!/g, () => (seen++ < MAX_EXCLAMATIONS ? '!' : '.')),
+    });
+  }
+  return violations;
+}
+
+// Every rule violation of a text ad: [{ field, rule, message, suggestion? }].
+export function validateAdText({ title, title2, text, href, display_url_path }) {
+  const violations = [];
+  for (const [field, value] of Object.entries({ title, title2, text })) {
+    if (value != null) violations.push(...checkText(field, value));
+  }
+  if (href != null) {
+    if (!/^https?:\/\//.test(href)) {
+      violations.push({ field: 'href', rule: 'url', message: 'href: must start with http:// or https://' });
+    }
+    if (href.length > MAX_HREF) {
+      violations.push({ field: 'href', rule: 'length', message: `href: ${href.length} characters, limit ${MAX_HREF}` });
+    }
+  }
+  if (display_url_path != null) {
+    if (display_url_path.length > MAX_DISPLAY_PATH) {
+      violations.push({
+        field: 'display_url_path',
+        rule: 'length',
+        message: `display_url_path: ${display_url_path.length} characters, limit ${MAX_DISPLAY_PATH}`,
+        suggestion: display_url_path.slice(0, MAX_DISPLAY_PATH).replace(/[-/]+$/, ''),
+      });
+    }
+    if (!DISPLAY_PATH.test(display_url_path)) {
+      violations.push({
+        field: 'display_url_path',
+        rule: 'characters',
+        message: 'display_url_path: only letters, digits and - / № # % are allowed',
+      });
+    }
+  }
+  return violations;
+}
+
+// Bullet lines for violations, each followed by its suggested fix if any.
+export function describeViolations(violations) {
+  return violations.map((v) => `- ${v.message}${v.suggestion != null ? `\n  suggested: "${v.suggestion}"` : ''}`);
+}
+
+// Throw with every violation when the ad breaks a rule.
+export function checkAdText(ad, subject = 'Ad') {
+  const violations = validateAdText(ad);
+  if (violations.length) {
+    throw new Error(`${subject} breaks Direct text rules:\n${describeViolations(violations).join('\n')}`);
+  }
+}
+
+// "title 40/56, text 75/81" — how much room each given field has left.
+export function describeLengths(ad) {
+  return Object.entries(LIMITS)
+    .filter(([field]) => ad[field] != null)
+    .map(([field, limit]) => `${field} ${measure(ad[field]).length}/${limit}`)
+    .join(', ');
+}
@@ -0,0 +1,57 @@
+// Search auction data from keywordbids.get. For each keyword Direct returns
+// Search.AuctionBids: the bid needed to win a given traffic volume (5, 15, …,
+// 100 — the share of clicks the top position would get, up to ~150 for the
+// premium block) and the price actually charged at it; Network.Coverage gives
+// the bid needed to reach a share of the network audience. All amounts are
+// micro-units on the wire.
+
+import { fromMicro } from './money.mjs';
+
+export const FORECAST_FIELDS = {
+  FieldNames: ['KeywordId', 'AdGroupId', 'CampaignId', 'ServingStatus'],
+  SearchFieldNames: ['Bid', 'AuctionBids'],
+  NetworkFieldNames: ['Bid', 'Coverage'],
+};
+
+// [{ TrafficVolume, Bid, Price }] in ascending traffic order.
+export function auctionBids(keywordBid) {
+  const items = keywordBid.Search?.AuctionBids?.AuctionBidItems ?? [];
+  return [...items].sort((a, b) => a.TrafficVolume - b.TrafficVolume);
+}
+
+// [{ Probability, Bid }] in ascending coverage order.
+export function coverage(keywordBid) {
+  const items = keywordBid.Network?.Coverage?.CoverageItems ?? [];
+  return [...items].sort((a, b) => a.Probability - b.Probability);
+}
+
+// The bid (micro-units) for `targetVolume`: the cheapest auction position giving at
+// least that traffic, or the highest one when none does; raised by `increasePct`
+// and held at `maxBid` (micro-units). Null when there is no auction data.
+export function bidForTraffic(keywordBid, targetVolume, { increasePct = 0, maxBid } = {}) {
+  const items = auctionBids(keywordBid);
+  if (!items.length) return null;
+  const position = items.find((i) => i.TrafficVolume >= targetVolume) ?? items.at(-1);
+  const bid = Math.round(position.Bid * (1 + increasePct / 100));
+  return { bid: maxBid != null ? Math.min(bid, maxBid) : bid, trafficVolume: position.TrafficVolume };
+}
+
+// Bullet lines for one keyword's auction: the bid (and price charged) per traffic
+// volume, and the bid per network coverage share.
+export function formatForecast(keywordBid, keyword) {
+  const name = keyword ? `"${keyword}" (ID ${keywordBid.KeywordId})` : `Keyword ${keywordBid.KeywordId}`;
+  const current = [
+    keywordBid.Search?.Bid != null && `search bid ${fromMicro(keywordBid.Search.Bid)}`,
+    keywordBid.Network?.Bid != null && `network bid ${fromMicro(keywordBid.Network.Bid)}`,
+  ].filter(Boolean);
+  const lines = [
+    `- ${name}, group ${keywordBid.AdGroupId} — ${[...current, `serving ${keywordBid.ServingStatus}`].join(', ')}`,
+  ];
+  const search = auctionBids(keywordBid).map(
+    (i) => `${i.TrafficVolume}%: ${fromMicro(i.Bid)}${i.Price != null ? ` (pays ${fromMicro(i.Price)})` : ''}`,
+  );
+  lines.push(`    search traffic: ${search.length ? search.join(', ') : 'no auction data'}`);
+  const network = coverage(keywordBid).map((i) => `${i.Probability}%: ${fromMicro(i.Bid)}`);
+  if (network.length) lines.push(`    network coverage: ${network.join(', ')}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,153 @@
+// Audit log of every mutation sent to Direct, one JSON object per line. Entries
+// are written by mutations.runWrite() and carry the tool call that caused them
+// (tracked per call through the withAudit() facade), the exact v5 request, the
+// affected IDs, the pre-change snapshot read with `get`, and the API outcome.
+//
+// Auditing is opt-in: YANDEX_DIRECT_AUDIT_LOG=on writes to
+// ~/.yandex-direct-mcp/audit.jsonl, any other value but "off" names the file.
+// inverseOf() turns an entry back into the v5 request
+// that undoes it, where the API allows one.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomBytes } from 'node:crypto';
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+
+const toolCall = new AsyncLocalStorage();
+
+// Collection key of the item array each service's add/update/set takes.
+const COLLECTIONS = {
+  campaigns: 'Campaigns',
+  adgroups: 'AdGroups',
+  ads: 'Ads',
+  keywords: 'Keywords',
+  keywordbids: 'KeywordBids',
+  bidmodifiers: 'BidModifiers',
+  smartadtargets: 'SmartAdTargets',
+  feeds: 'Feeds',
+  negativekeywordsharedsets: 'NegativeKeywordSharedSets',
+  retargetinglists: 'RetargetingLists',
+  audiencetargets: 'AudienceTargets',
+};
+
+// SelectionCriteria list for services whose objects are not selected by Ids.
+const SELECTION_KEYS = {
+  adimages: 'AdImageHashes',
+};
+
+// Tool arguments too large or too secret to keep in the log; recorded by size only.
+const BULKY_ARGUMENTS = new Set(['image_base64', 'password']);
+
+// Lifecycle actions and the action that reverts each.
+const INVERSE_ACTIONS = {
+  suspend: 'resume',
+  resume: 'suspend',
+  archive: 'unarchive',
+  unarchive: 'archive',
+};
+
+export function auditLogPath(env = process.env) {
+  const value = env.YANDEX_DIRECT_AUDIT_LOG;
+  if (!value || value === 'off') return null;
+  return value === 'on' ? join(homedir(), '.yandex-direct-mcp', 'audit.jsonl') : value;
+}
+
+// Server facade that remembers which tool (and arguments) is running, so
+// runWrite() can attribute the mutations it sends.
+export function withAudit(server) {
+  return {
+    registerTool(name, config, handler) {
+      return server.registerTool(name, config, (args, extra) =>
+        toolCall.run({ tool: name, arguments: args }, () => handler(args, extra)),
+      );
+    },
+  };
+}
+
+// Append one entry. `changes` is the preview from mutations.previewChanges();
+// `summary` is summarizeResults() of the API result (absent when the call threw).
+// Returns the entry, or null when auditing is off.
+export async function recordWrite({ request, changes, summary, error, live }) {
+  const path = auditLogPath();
+  if (!path) return null;
+  const call = toolCall.getStore() ?? {};
+  const entry = {
+    id: randomBytes(4).toString('hex'),
+    timestamp: new Date().toISOString(),
+    tool: call.tool ?? null,
+    arguments: call.arguments ? withoutBulk(call.arguments) : null,
+    live: Boolean(live),
+    request,
+    affected_ids: request.method === 'add' ? (summary?.ids ?? []) : changes.map((c) => c.id),
+    before: changes.map((c) => c.before),
+    result: summary ? { ids: summary.ids, has_errors: summary.hasErrors, text: summary.text } : null,
+    error: error ?? null,
+  };
+  await mkdir(dirname(path), { recursive: true });
+  await appendFile(path, `${JSON.stringify(entry)}\n`);
+  return entry;
+}
+
+function withoutBulk(args) {
+  return Object.fromEntries(
+    Object.entries(args).map(([k, v]) => [
+      k,
+      BULKY_ARGUMENTS.has(k) && typeof v === 'string' ? `<${v.length} chars>` : v,
+    ]),
+  );
+}
+
+// All entries, oldest first. A missing file is an empty log.
+export async function readAuditLog(path = auditLogPath()) {
+  if (!path) return [];
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// The v5 request ({ service, method, params }) that reverts an entry. Throws with
+// the reason when it cannot be undone.
+export function inverseOf(entry) {
+  const { service, method, params } = entry.request;
+  if (entry.error || !entry.result) throw new Error(`Entry ${entry.id} failed at the API; there is nothing to undo.`);
+
+  if (INVERSE_ACTIONS[method]) {
+    return { service, method: INVERSE_ACTIONS[method], params: { SelectionCriteria: { Ids: entry.result.ids } } };
+  }
+  if (method === 'add') {
+    if (!entry.result.ids.length) throw new Error(`Entry ${entry.id} created nothing.`);
+    const criterion = SELECTION_KEYS[service] ?? 'Ids';
+    return { service, method: 'delete', params: { SelectionCriteria: { [criterion]: entry.result.ids } } };
+  }
+  if (method === 'update' || method === 'set') {
+    const idKey = service === 'keywordbids' ? 'KeywordId' : 'Id';
+    const collection = COLLECTIONS[service];
+    const before = new Map(entry.before.filter(Boolean).map((b) => [b.Id, b]));
+    const done = new Set(entry.result.ids);
+    const items = params[collection]
+      .filter((item) => done.has(item[idKey]) && before.has(item[idKey]))
+      .map((item) => {
+        const previous = before.get(item[idKey]);
+        const restored = { [idKey]: item[idKey] };
+        for (const key of Object.keys(item)) {
+          if (key === idKey) continue;
+          // Bids cannot be nulled; an unset one is simply left as the write made it.
+          if (service === 'keywordbids' && previous[key] == null) continue;
+          restored[key] = previous[key] ?? null;
+        }
+        return restored;
+      });
+    if (!items.length) throw new Error(`Entry ${entry.id} has no snapshot of the objects it changed.`);
+    return { service, method, params: { [collection]: items } };
+  }
+  throw new Error(`${service}.${method} cannot be undone through the API (entry ${entry.id}).`);
+}
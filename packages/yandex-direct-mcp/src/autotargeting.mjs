@@ -0,0 +1,45 @@
+// Autotargeting categories. Every text ad group has a pseudo-keyword
+// "---autotargeting" that matches queries Direct picks from the ads themselves;
+// its AutotargetingCategories say which kinds of query it may match:
+//
+//   exact        — the query names the advertised product exactly
+//   narrow       — a narrower query (a specific model, size, brand)
+//   alternative  — a substitute product
+//   accessory    — a related product bought together with it
+//   broader      — a broader query (the category the product belongs to)
+//
+// Direct enables all five by default.
+
+import { z } from 'zod';
+
+export const AUTOTARGETING_KEYWORD = '---autotargeting';
+
+const CATEGORIES = {
+  exact: 'EXACT',
+  narrow: 'NARROW',
+  alternative: 'ALTERNATIVE',
+  accessory: 'ACCESSORY',
+  broader: 'BROADER',
+};
+
+export const autotargetingCategoriesSchema = z
+  .object(Object.fromEntries(Object.keys(CATEGORIES).map((name) => [name, z.boolean().optional()])))
+  .describe('Categories to turn on (true) or off (false); omitted ones keep their current setting');
+
+// Full v5 category list: the current settings with `changes` applied. Categories
+// missing from `current` count as enabled, as they are by default.
+export function toAutotargetingCategories(current = [], changes = {}) {
+  const enabled = new Map(current.map((c) => [c.Category, c.Value]));
+  return Object.entries(CATEGORIES).map(([name, Category]) => ({
+    Category,
+    Value: changes[name] == null ? (enabled.get(Category) ?? 'YES') : changes[name] ? 'YES' : 'NO',
+  }));
+}
+
+// "exact, narrow on; alternative, accessory, broader off"
+export function describeAutotargeting(categories = []) {
+  const names = Object.fromEntries(Object.entries(CATEGORIES).map(([name, v]) => [v, name]));
+  const on = categories.filter((c) => c.Value === 'YES').map((c) => names[c.Category] ?? c.Category);
+  const off = categories.filter((c) => c.Value !== 'YES').map((c) => names[c.Category] ?? c.Category);
+  return [on.length && `${on.join(', ')} on`, off.length && `${off.join(', ')} off`].filter(Boolean).join('; ');
+}
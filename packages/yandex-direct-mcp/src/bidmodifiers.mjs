@@ -0,0 +1,190 @@
+// Bid modifiers (корректировки ставок): percentages applied to bids for a device,
+// audience, region or format, set on a campaign or an ad group. 100 leaves the
+// bid as is, 150 raises it by half, 0 stops showing ads to that segment.
+//
+// v5 returns each modifier inside a per-type structure (MobileAdjustment,
+// RegionalAdjustment, …); flattenBidModifier() lifts it to one flat shape
+// { Id, CampaignId, AdGroupId, Level, Type, BidModifier, Enabled, ...condition }
+// that previews, the audit log and the output table share. API v5 has no weather
+// modifiers; they can only be set in the web interface.
+
+import { z } from 'zod';
+
+// Input type → v5 type, the structure `get` returns it in, the add field (plural
+// ones take a list), the condition fields that tell modifiers of a type apart,
+// the allowed percentage range, and whether the type can be switched off as a
+// whole (those carry an Enabled flag).
+const TYPES = {
+  mobile: { type: 'MOBILE_ADJUSTMENT', get: 'MobileAdjustment', keys: ['OperatingSystemType'], range: [0, 1300] },
+  tablet: { type: 'TABLET_ADJUSTMENT', get: 'TabletAdjustment', keys: ['OperatingSystemType'], range: [0, 1300] },
+  desktop: { type: 'DESKTOP_ADJUSTMENT', get: 'DesktopAdjustment', keys: [], range: [0, 1300] },
+  desktop_only: { type: 'DESKTOP_ONLY_ADJUSTMENT', get: 'DesktopOnlyAdjustment', keys: [], range: [0, 1300] },
+  demographics: {
+    type: 'DEMOGRAPHICS_ADJUSTMENT',
+    get: 'DemographicsAdjustment',
+    add: 'DemographicsAdjustments',
+    keys: ['Gender', 'Age'],
+    range: [0, 1300],
+    toggled: true,
+  },
+  retargeting: {
+    type: 'RETARGETING_ADJUSTMENT',
+    get: 'RetargetingAdjustment',
+    add: 'RetargetingAdjustments',
+    keys: ['RetargetingConditionId'],
+    range: [0, 1300],
+    toggled: true,
+  },
+  regional: {
+    type: 'REGIONAL_ADJUSTMENT',
+    get: 'RegionalAdjustment',
+    add: 'RegionalAdjustments',
+    keys: ['RegionId'],
+    range: [10, 1300],
+    toggled: true,
+  },
+  video: { type: 'VIDEO_ADJUSTMENT', get: 'VideoAdjustment', keys: [], range: [50, 1300] },
+  smart_ad: { type: 'SMART_AD_ADJUSTMENT', get: 'SmartAdAdjustment', keys: [], range: [20, 1300] },
+  income_grade: {
+    type: 'INCOME_GRADE_ADJUSTMENT',
+    get: 'IncomeGradeAdjustment',
+    add: 'IncomeGradeAdjustments',
+    keys: ['Grade'],
+    range: [0, 1300],
+    toggled: true,
+  },
+};
+
+export const BID_MODIFIER_TYPES = Object.keys(TYPES);
+const BY_V5_TYPE = Object.fromEntries(Object.entries(TYPES).map(([name, t]) => [t.type, { name, ...t }]));
+
+const percent = z
+  .number()
+  .int()
+  .describe('Bid percentage: 100 = unchanged, 150 = +50%, 50 = −50%, 0 = do not show ads');
+const os = z.enum(['IOS', 'ANDROID']).optional().describe('Only this operating system (default: all)');
+
+export const bidModifierSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('mobile'), percent, os }),
+  z.object({ type: z.literal('tablet'), percent, os }),
+  z.object({ type: z.literal('desktop'), percent }),
+  z.object({ type: z.literal('desktop_only'), percent }),
+  z.object({
+    type: z.literal('demographics'),
+    percent,
+    gender: z.enum(['GENDER_MALE', 'GENDER_FEMALE']).optional(),
+    age: z.enum(['AGE_0_17', 'AGE_18_24', 'AGE_25_34', 'AGE_35_44', 'AGE_45_54', 'AGE_55']).optional(),
+  }),
+  z.object({
+    type: z.literal('retargeting'),
+    percent,
+    retargeting_condition_id: z.number().describe('Retargeting condition (audience) ID'),
+  }),
+  z.object({ type: z.literal('regional'), percent, region_id: z.number().describe('Region ID (see get-regions)') }),
+  z.object({ type: z.literal('video'), percent }),
+  z.object({ type: z.literal('smart_ad'), percent }),
+  z.object({ type: z.literal('income_grade'), percent, grade: z.enum(['VERY_HIGH', 'HIGH', 'ABOVE_AVERAGE']) }),
+]);
+
+// v5 condition fields of an input modifier.
+function conditionOf(modifier) {
+  const condition = {
+    OperatingSystemType: modifier.os,
+    Gender: modifier.gender,
+    Age: modifier.age,
+    RetargetingConditionId: modifier.retargeting_condition_id,
+    RegionId: modifier.region_id,
+    Grade: modifier.grade,
+  };
+  return Object.fromEntries(Object.entries(condition).filter(([, v]) => v != null));
+}
+
+// Throws when the percentage is outside the type's range (or a demographic
+// modifier names neither gender nor age).
+export function checkBidModifier(modifier) {
+  const [min, max] = TYPES[modifier.type].range;
+  if (modifier.percent < min || modifier.percent > max) {
+    throw new Error(`${modifier.type} modifier: ${modifier.percent}% is outside the allowed ${min}–${max}%.`);
+  }
+  if (modifier.type === 'demographics' && !modifier.gender && !modifier.age) {
+    throw new Error('demographics modifier: give a gender, an age group, or both.');
+  }
+}
+
+// "MOBILE_ADJUSTMENT|IOS" — modifiers of one campaign/ad group with the same key
+// are the same modifier (setting it again changes its value).
+export function bidModifierKey(flat) {
+  const { keys } = BY_V5_TYPE[flat.Type];
+  return [flat.Type, ...keys.map((k) => flat[k] ?? '')].join('|');
+}
+
+export function inputKey(modifier) {
+  return bidModifierKey({ Type: TYPES[modifier.type].type, ...conditionOf(modifier) });
+}
+
+// BidModifierAddItem for one input modifier on a campaign or ad group.
+export function toAddItem(modifier, { level, id }) {
+  checkBidModifier(modifier);
+  const t = TYPES[modifier.type];
+  const adjustment = { ...conditionOf(modifier), BidModifier: modifier.percent };
+  return {
+    [level === 'campaign' ? 'CampaignId' : 'AdGroupId']: id,
+    ...(t.add ? { [t.add]: [adjustment] } : { [t.get]: adjustment }),
+  };
+}
+
+// bidmodifiers.get params for `SelectionCriteria` (Levels default to both),
+// reading every type's fields.
+export function bidModifierQuery(SelectionCriteria) {
+  const params = {
+    SelectionCriteria: { Levels: ['CAMPAIGN', 'AD_GROUP'], ...SelectionCriteria },
+    FieldNames: ['Id', 'CampaignId', 'AdGroupId', 'Level', 'Type'],
+  };
+  for (const t of Object.values(TYPES)) {
+    params[`${t.get}FieldNames`] = [...t.keys, 'BidModifier', ...(t.toggled ? ['Enabled'] : [])];
+  }
+  return params;
+}
+
+export function flattenBidModifier(item) {
+  const { get } = BY_V5_TYPE[item.Type] ?? {};
+  const flat = { Id: item.Id, CampaignId: item.CampaignId, AdGroupId: item.AdGroupId, Level: item.Level };
+  return { ...flat, Type: item.Type, ...(get ? item[get] : {}) };
+}
+
+// "+20%", "−50%", "0% (ads off)".
+function describePercent(value) {
+  if (value === 0) return '0% (ads off)';
+  if (value === 100) return '100% (no change)';
+  return `${value}% (${value > 100 ? '+' : '−'}${Math.abs(value - 100)}%)`;
+}
+
+function describeCondition(flat) {
+  const parts = [
+    flat.OperatingSystemType,
+    flat.Gender?.replace('GENDER_', '').toLowerCase(),
+    flat.Age?.replace('AGE_', '').replace('_', '–'),
+    flat.RetargetingConditionId != null && `audience ${flat.RetargetingConditionId}`,
+    flat.RegionId != null && `region ${flat.RegionId}`,
+    flat.Grade?.toLowerCase().replace('_', ' '),
+  ];
+  return parts.filter(Boolean).join(', ') || 'all';
+}
+
+export const BID_MODIFIER_TABLE_HEAD = [
+  '| ID | Applies to | Type | Condition | Bid | Enabled |',
+  '| --- | --- | --- | --- | --- | --- |',
+];
+
+// One Markdown table row per flattened modifier.
+export function formatBidModifierRow(flat) {
+  const owner = flat.Level === 'AD_GROUP' ? `ad group ${flat.AdGroupId}` : `campaign ${flat.CampaignId}`;
+  const type = BY_V5_TYPE[flat.Type]?.name ?? flat.Type;
+  const enabled = flat.Enabled === 'NO' ? 'no' : 'yes';
+  return `| ${flat.Id} | ${owner} | ${type} | ${describeCondition(flat)} | ${describePercent(flat.BidModifier)} | ${enabled} |`;
+}
+
+// v5 type names for the given input type names.
+export function toV5Types(types) {
+  return types.map((t) => TYPES[t].type);
+}
@@ -0,0 +1,361 @@
+// Campaign build from one declarative spec (JSON or YAML, inline or a file):
+//
+//   campaign:
+//     name: Spring sale
+//     type: TEXT_CAMPAIGN             # or UNIFIED_CAMPAIGN (default TEXT_CAMPAIGN)
+//     daily_budget: 1500              # account currency; manual strategies only
+//     strategy:                       # as in create-campaign (default manual search)
+//       search: { type: HIGHEST_POSITION }
+//     negative_keywords: [бесплатно, своими руками]
+//   groups:
+//     - name: Phones
+//       region_ids: [213]             # default [225] (Russia)
+//       negative_keywords: [ремонт]
+//       bid: 12                       # default search bid of the group's keywords
+//       keywords:
+//         - купить телефон
+//         - { phrase: "!iphone 15", bid: 20 }
+//       ads:
+//         - { title: Phones in stock, text: Delivery today, href: "https://shop.ru/phones" }
+//
+// planBuild() checks the whole spec before anything is sent — schema, strategy,
+// ad text rules — and executeBuild() checks the spend policy, then creates the
+// campaign, its ad groups, their ads and keywords in that order, wiring each
+// step to the IDs of the one before. When a request fails or Direct rejects any
+// object, everything already created is deleted again, newest first.
+
+import { readFile } from 'node:fs/promises';
+import { parse as parseYaml } from 'yaml';
+import { z } from 'zod';
+import { describeViolations, validateAdText } from './adtext.mjs';
+import { summarizeResults, today } from './format.mjs';
+import { toMicro } from './money.mjs';
+import { dryRunEnabled, runWrite } from './mutations.mjs';
+import { checkSpend } from './policy.mjs';
+import { checkBudgetFits, newCampaignStrategy, strategySchema } from './strategy.mjs';
+
+// v5 limits: objects per add call, and keywords and ads per ad group.
+const MAX_ADD = 1000;
+const MAX_GROUP_KEYWORDS = 200;
+const MAX_GROUP_ADS = 50;
+
+const phrases = z.array(z.string().min(1));
+
+const adSchema = z
+  .object({
+    title: z.string(),
+    title2: z.string().optional(),
+    text: z.string(),
+    // Required: the spec has no vCard, and Direct rejects a text ad with neither.
+    href: z.string().min(1),
+    display_url_path: z.string().optional(),
+    image_hash: z.string().optional(),
+    sitelink_set_id: z.number().optional(),
+    callout_ids: z.array(z.number()).optional(),
+  })
+  .strict();
+
+const keywordSchema = z.union([
+  z.string().min(1),
+  z.object({ phrase: z.string().min(1), bid: z.number().positive().optional() }).strict(),
+]);
+
+const groupSchema = z
+  .object({
+    name: z.string().min(1),
+    region_ids: z.array(z.number()).min(1).default([225]),
+    negative_keywords: phrases.optional(),
+    tracking_params: z.string().optional(),
+    bid: z.number().positive().optional(),
+    keywords: z.array(keywordSchema).max(MAX_GROUP_KEYWORDS).default([]),
+    ads: z.array(adSchema).min(1).max(MAX_GROUP_ADS),
+  })
+  .strict();
+
+const specSchema = z
+  .object({
+    campaign: z
+      .object({
+        name: z.string().min(1),
+        type: z.enum(['TEXT_CAMPAIGN', 'UNIFIED_CAMPAIGN']).default('TEXT_CAMPAIGN'),
+        start_date: z
+          .string()
+          .regex(/^\d{4}-\d{2}-\d{2}$/, 'expected YYYY-MM-DD')
+          .optional(),
+        daily_budget: z.number().positive().optional(),
+        strategy: strategySchema.optional(),
+        counter_ids: z.array(z.number()).optional(),
+        negative_keywords: phrases.optional(),
+      })
+      .strict(),
+    groups: z.array(groupSchema).min(1).max(MAX_ADD),
+  })
+  .strict();
+
+function invalid(issues) {
+  return new Error(`Invalid campaign spec:\n${issues.join('\n')}`);
+}
+
+// A schema-checked spec from its JSON/YAML text (JSON is valid YAML).
+export function parseSpec(text) {
+  let data;
+  try {
+    data = parseYaml(text);
+  } catch (err) {
+    throw new Error(`Cannot parse the campaign spec: ${err.message}`);
+  }
+  const result = specSchema.safeParse(data);
+  if (!result.success) {
+    throw invalid(result.error.issues.map((i) => `- ${i.path.join('.') || '(root)'}: ${i.message}`));
+  }
+  return result.data;
+}
+
+// Spec from inline text or a local file (exactly one of them).
+export async function loadSpec({ text, path }) {
+  if (!text === !path) throw new Error('Pass exactly one of spec or spec_path.');
+  if (text) return parseSpec(text);
+  let content;
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read ${path}: ${err.message}`);
+  }
+  return parseSpec(content);
+}
+
+function toTextAd(ad) {
+  return {
+    Title: ad.title,
+    Text: ad.text,
+    Mobile: 'NO',
+    Href: ad.href,
+    ...(ad.title2 ? { Title2: ad.title2 } : {}),
+    ...(ad.display_url_path ? { DisplayUrlPath: ad.display_url_path } : {}),
+    ...(ad.image_hash ? { AdImageHash: ad.image_hash } : {}),
+    ...(ad.sitelink_set_id ? { SitelinkSetId: ad.sitelink_set_id } : {}),
+    ...(ad.callout_ids?.length ? { AdExtensionIds: ad.callout_ids } : {}),
+  };
+}
+
+// The v5 objects a spec creates: { name, campaign, groups: [{ group, ads, keywords }] },
+// groups without CampaignId and ads and keywords without AdGroupId (executeBuild
+// wires them). Throws with every problem found when the spec cannot be built.
+export function planBuild(spec) {
+  const { campaign: c, groups } = spec;
+  const issues = [];
+  const check = (path, fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      issues.push(`- ${path}: ${err.message}`);
+    }
+  };
+
+  check('campaign.daily_budget', () => checkBudgetFits(c.strategy, c.daily_budget));
+  const BiddingStrategy = check('campaign.strategy', () => newCampaignStrategy(c.strategy));
+  const settings = { BiddingStrategy };
+  if (c.counter_ids?.length) settings.CounterIds = { Items: c.counter_ids };
+  const campaign = {
+    Name: c.name,
+    StartDate: c.start_date ?? today(),
+    [c.type === 'UNIFIED_CAMPAIGN' ? 'UnifiedCampaign' : 'TextCampaign']: settings,
+  };
+  if (c.daily_budget != null) campaign.DailyBudget = { Amount: toMicro(c.daily_budget), Mode: 'STANDARD' };
+  if (c.negative_keywords?.length) campaign.NegativeKeywords = { Items: c.negative_keywords };
+
+  const names = new Set();
+  const planned = groups.map((g, i) => {
+    if (names.has(g.name)) issues.push(`- groups.${i}.name: "${g.name}" is used by an earlier group`);
+    names.add(g.name);
+    const group = { Name: g.name, RegionIds: g.region_ids };
+    if (g.negative_keywords?.length) group.NegativeKeywords = { Items: g.negative_keywords };
+    if (g.tracking_params) group.TrackingParams = g.tracking_params.replace(/^[?&]/, '');
+
+    g.ads.forEach((ad, j) => {
+      for (const line of describeViolations(validateAdText(ad)))
+        issues.push(`- groups.${i}.ads.${j}: ${line.slice(2)}`);
+    });
+
+    const seen = new Set();
+    const keywords = g.keywords.map((k, j) => {
+      const { phrase, bid = g.bid } = typeof k === 'string' ? { phrase: k } : k;
+      const key = phrase.trim().toLowerCase();
+      if (seen.has(key)) issues.push(`- groups.${i}.keywords.${j}: "${phrase}" is listed twice`);
+      seen.add(key);
+      return { Keyword: phrase, ...(bid != null ? { Bid: toMicro(bid) } : {}) };
+    });
+    return { group, ads: g.ads.map(toTextAd), keywords };
+  });
+
+  if (issues.length) throw invalid(issues);
+  return { name: c.name, campaign, groups: planned };
+}
+
+// Spend policy violations of a plan: its daily budget and keyword bids, all new.
+async function planViolations(client, plan) {
+  if (!client.spendPolicy) return [];
+  const added = (items) => items.map((after) => ({ id: null, before: null, after }));
+  return [
+    ...(await checkSpend(client, client.spendPolicy, 'budget', added([plan.campaign]))),
+    ...(await checkSpend(client, client.spendPolicy, 'bid', added(plan.groups.flatMap((g) => g.keywords)))),
+  ];
+}
+
+// Send `items` with service.add in batches and return their new IDs, in order.
+// Every ID is recorded in `created` as soon as it exists; throws when a request
+// fails or Direct rejects any item.
+async function addAll(client, created, { label, service, collection, items, spend }) {
+  const entry = { service, ids: [] };
+  created.push(entry);
+  for (let start = 0; start < items.length; start += MAX_ADD) {
+    const batch = items.slice(start, start + MAX_ADD);
+    const response = await runWrite(client, {
+      label,
+      service,
+      method: 'add',
+      params: { [collection]: batch },
+      spend,
+    });
+    const results = response.structuredContent.AddResults ?? [];
+    entry.ids.push(...results.map((r) => r.Id).filter((id) => id != null));
+    if (results.some((r) => r.Errors?.length || r.Id == null)) {
+      throw new Error(`${label} failed:\n${summarizeResults({ AddResults: results }).text}`);
+    }
+    if (results.length < batch.length) throw new Error(`${label} failed: Direct returned no result for some items.`);
+  }
+  return entry.ids;
+}
+
+// Delete what a failed build created, newest first. Returns { deleted, leftBehind },
+// each a list of { service, ids } (leftBehind with the error).
+async function rollBack(client, created) {
+  const deleted = [];
+  const leftBehind = [];
+  for (const { service, ids } of [...created].reverse()) {
+    if (!ids.length) continue;
+    try {
+      const response = await runWrite(client, {
+        label: `Roll back: delete ${ids.length} ${service}`,
+        service,
+        method: 'delete',
+        params: { SelectionCriteria: { Ids: ids } },
+      });
+      const results = response.structuredContent.DeleteResults ?? [];
+      const failed = ids.filter((_, i) => results[i]?.Errors?.length);
+      if (failed.length) {
+        leftBehind.push({ service, ids: failed, error: summarizeResults({ DeleteResults: results }).text });
+      }
+      if (failed.length < ids.length) deleted.push({ service, ids: ids.filter((id) => !failed.includes(id)) });
+    } catch (err) {
+      leftBehind.push({ service, ids, error: err.message });
+    }
+  }
+  return { deleted, leftBehind };
+}
+
+function describeRollback({ deleted, leftBehind }) {
+  const lines = [];
+  if (deleted.length) {
+    lines.push('Rolled back (deleted):', ...deleted.map((d) => `- ${d.service}: ${d.ids.join(', ')}`));
+  }
+  if (leftBehind.length) {
+    lines.push(
+      'Could NOT roll back — delete these by hand:',
+      ...leftBehind.map((d) => `- ${d.service}: ${d.ids.join(', ')} (${d.error})`),
+    );
+  }
+  return lines.length ? lines.join('\n') : 'Nothing had been created yet.';
+}
+
+// Create what a plan describes. In dry-run mode nothing is sent and the
+// result lists the requests, with placeholders for IDs not known yet. Returns
+// { dry_run, requests, violations } or { campaign_id, adgroups: [{ id, name,
+// ad_ids, keyword_ids }] }; throws, after rolling back, when a step fails.
+export async function executeBuild(client, plan, { dryRun } = {}) {
+  const violations = await planViolations(client, plan);
+  if (dryRunEnabled(dryRun)) {
+    const groupRef = (i) => `<ad group ${i + 1}>`;
+    const requests = [
+      { service: 'campaigns', method: 'add', params: { Campaigns: [plan.campaign] } },
+      {
+        service: 'adgroups',
+        method: 'add',
+        params: { AdGroups: plan.groups.map((g) => ({ ...g.group, CampaignId: '<campaign>' })) },
+      },
+      {
+        service: 'ads',
+        method: 'add',
+        params: { Ads: plan.groups.flatMap((g, i) => g.ads.map((TextAd) => ({ AdGroupId: groupRef(i), TextAd }))) },
+      },
+    ];
+    const keywords = plan.groups.flatMap((g, i) => g.keywords.map((k) => ({ ...k, AdGroupId: groupRef(i) })));
+    if (keywords.length) requests.push({ service: 'keywords', method: 'add', params: { Keywords: keywords } });
+    return { dry_run: true, requests, violations };
+  }
+  if (violations.length) {
+    throw new Error(
+      `Spend policy blocked the build of "${plan.name}":\n${violations.map((v) => `  - ${v}`).join('\n')}\nNothing was created.`,
+    );
+  }
+
+  const created = [];
+  try {
+    const [campaignId] = await addAll(client, created, {
+      label: `Build "${plan.name}": create campaign`,
+      service: 'campaigns',
+      collection: 'Campaigns',
+      items: [plan.campaign],
+      spend: 'budget',
+    });
+    const groupIds = await addAll(client, created, {
+      label: `Build "${plan.name}": create ${plan.groups.length} ad group(s)`,
+      service: 'adgroups',
+      collection: 'AdGroups',
+      items: plan.groups.map((g) => ({ ...g.group, CampaignId: campaignId })),
+    });
+    const ads = plan.groups.flatMap((g, i) => g.ads.map((TextAd) => ({ AdGroupId: groupIds[i], TextAd })));
+    const adIds = await addAll(client, created, {
+      label: `Build "${plan.name}": create ${ads.length} ad(s)`,
+      service: 'ads',
+      collection: 'Ads',
+      items: ads,
+    });
+    const keywords = plan.groups.flatMap((g, i) => g.keywords.map((k) => ({ ...k, AdGroupId: groupIds[i] })));
+    const keywordIds = keywords.length
+      ? await addAll(client, created, {
+          label: `Build "${plan.name}": add ${keywords.length} keyword(s)`,
+          service: 'keywords',
+          collection: 'Keywords',
+          items: keywords,
+          spend: 'bid',
+        })
+      : [];
+
+    return {
+      campaign_id: campaignId,
+      adgroups: plan.groups.map((g, i) => ({
+        id: groupIds[i],
+        name: g.group.Name,
+        ad_ids: adIds.filter((_, j) => ads[j].AdGroupId === groupIds[i]),
+        keyword_ids: keywordIds.filter((_, j) => keywords[j].AdGroupId === groupIds[i]),
+      })),
+    };
+  } catch (err) {
+    const rollback = await rollBack(client, created);
+    throw new Error(`${err.message}\n\n${describeRollback(rollback)}`);
+  }
+}
+
+// "Built campaign ..." plus one line per ad group.
+export function describeBuild(plan, built) {
+  const ads = built.adgroups.reduce((n, g) => n + g.ad_ids.length, 0);
+  const keywords = built.adgroups.reduce((n, g) => n + g.keyword_ids.length, 0);
+  return [
+    `Built campaign "${plan.name}" (ID ${built.campaign_id}): ${built.adgroups.length} ad group(s), ${ads} ad(s), ${keywords} keyword(s).`,
+    ...built.adgroups.map(
+      (g) =>
+        `- "${g.name}" (ID ${g.id}): ad(s) ${g.ad_ids.join(', ')}; ${g.keyword_ids.length} keyword(s)${g.keyword_ids.length ? ` (${g.keyword_ids.join(', ')})` : ''}`,
+    ),
+  ].join('\n');
+}
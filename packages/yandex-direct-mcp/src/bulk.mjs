@@ -0,0 +1,176 @@
+// Bulk text ad creation from a table (see table.mjs). Each row is checked
+// locally first (required columns, ad group, Direct text rules); valid rows are
+// sent in ads.add batches of up to BATCH_SIZE through runWrite(), and every
+// result item is mapped back to the row it came from, so a partial failure
+// reports exactly which rows need fixing.
+
+import { validateAdText } from './adtext.mjs';
+import { summarizeResults } from './format.mjs';
+import { runWrite } from './mutations.mjs';
+
+// v5 ads.add accepts up to 1000 ads per call.
+export const BATCH_SIZE = 1000;
+
+export const AD_COLUMNS = [
+  'adgroup_id',
+  'adgroup_name',
+  'title',
+  'title2',
+  'text',
+  'href',
+  'display_url_path',
+  'image_hash',
+  'sitelink_set_id',
+  'callout_ids',
+  'video_creative_id',
+];
+
+function checkColumns(columns) {
+  const unknown = columns.filter((c) => !AD_COLUMNS.includes(c));
+  if (unknown.length) {
+    throw new Error(`Unknown column(s): ${unknown.join(', ')}. Known columns: ${AD_COLUMNS.join(', ')}.`);
+  }
+  const missing = ['title', 'text'].filter((c) => !columns.includes(c));
+  if (!columns.includes('adgroup_id') && !columns.includes('adgroup_name')) missing.push('adgroup_id or adgroup_name');
+  if (missing.length) throw new Error(`Missing column(s): ${missing.join(', ')}.`);
+}
+
+function toId(value, column) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) throw new Error(`${column} "${value}" is not an ID`);
+  return id;
+}
+
+// Ad group name → ID within a campaign; names used by several groups map to null.
+async function adGroupsByName(client, campaignId) {
+  const { items } = await client.directGetAll(
+    'adgroups',
+    { SelectionCriteria: { CampaignIds: [campaignId] }, FieldNames: ['Id', 'Name'] },
+    'AdGroups',
+  );
+  const byName = new Map();
+  for (const g of items) byName.set(g.Name, byName.has(g.Name) ? null : g.Id);
+  return byName;
+}
+
+// Row values → { AdGroupId, TextAd }, or throws with what is wrong with the row.
+function rowToAd(values, groupsByName) {
+  let adGroupId;
+  if (values.adgroup_id) {
+    adGroupId = toId(values.adgroup_id, 'adgroup_id');
+  } else if (values.adgroup_name) {
+    if (!groupsByName) throw new Error('adgroup_name needs the campaign_id argument');
+    adGroupId = groupsByName.get(values.adgroup_name);
+    if (adGroupId === null) throw new Error(`several ad groups are named "${values.adgroup_name}"; use adgroup_id`);
+    if (adGroupId === undefined) throw new Error(`no ad group named "${values.adgroup_name}" in the campaign`);
+  } else {
+    throw new Error('adgroup_id or adgroup_name is required');
+  }
+  if (!values.title || !values.text) throw new Error('title and text are required');
+
+  const text = {
+    title: values.title,
+    title2: values.title2 || undefined,
+    text: values.text,
+    href: values.href || undefined,
+    display_url_path: values.display_url_path || undefined,
+  };
+  const violations = validateAdText(text);
+  if (violations.length) throw new Error(violations.map((v) => v.message).join('; '));
+
+  const textAd = { Title: text.title, Text: text.text, Mobile: 'NO' };
+  if (text.title2) textAd.Title2 = text.title2;
+  if (text.href) textAd.Href = text.href;
+  if (text.display_url_path) textAd.DisplayUrlPath = text.display_url_path;
+  if (values.image_hash) textAd.AdImageHash = values.image_hash;
+  if (values.sitelink_set_id) textAd.SitelinkSetId = toId(values.sitelink_set_id, 'sitelink_set_id');
+  if (values.callout_ids) {
+    textAd.AdExtensionIds = values.callout_ids.split(/[\s,;|]+/).map((id) => toId(id, 'callout_ids'));
+  }
+  if (values.video_creative_id) {
+    textAd.VideoExtension = { CreativeId: toId(values.video_creative_id, 'video_creative_id') };
+  }
+  return { AdGroupId: adGroupId, TextAd: textAd };
+}
+
+// The "Issues" bullets of a summarizeResults() text, joined on one line.
+function issuesOf(summary) {
+  return summary.text
+    .split('\n')
+    .filter((line) => line.startsWith('  - '))
+    .map((line) => line.slice(4))
+    .join('; ');
+}
+
+// Create the ads of a table. Returns one { line, status, id?, detail? } per row
+// (status invalid | created | failed | dry_run) and, for dry runs, the requests
+// that would be sent.
+export async function bulkCreateAds(client, { columns, rows }, { campaignId, dryRun } = {}) {
+  checkColumns(columns);
+  const groupsByName =
+    campaignId != null && columns.includes('adgroup_name') ? await adGroupsByName(client, campaignId) : null;
+
+  const statuses = [];
+  const pending = [];
+  for (const row of rows) {
+    try {
+      pending.push({ row, ad: rowToAd(row.values, groupsByName) });
+    } catch (err) {
+      statuses.push({ line: row.line, status: 'invalid', detail: err.message });
+    }
+  }
+
+  const requests = [];
+  for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+    const batch = pending.slice(start, start + BATCH_SIZE);
+    let response;
+    try {
+      response = await runWrite(client, {
+        label: `Bulk create ads (rows ${batch[0].row.line}–${batch.at(-1).row.line})`,
+        service: 'ads',
+        method: 'add',
+        params: { Ads: batch.map((p) => p.ad) },
+        dryRun,
+      });
+    } catch (err) {
+      for (const { row } of batch) statuses.push({ line: row.line, status: 'failed', detail: err.message });
+      continue;
+    }
+    if (response.structuredContent.dry_run) {
+      requests.push(response.structuredContent.request);
+      for (const { row } of batch) statuses.push({ line: row.line, status: 'dry_run' });
+      continue;
+    }
+    const results = response.structuredContent.AddResults ?? [];
+    batch.forEach(({ row }, i) => {
+      const item = results[i];
+      if (!item) {
+        statuses.push({ line: row.line, status: 'failed', detail: 'no result returned for this row' });
+        return;
+      }
+      const detail = issuesOf(summarizeResults({ AddResults: [item] }));
+      if (item.Errors?.length || item.Id == null) {
+        statuses.push({ line: row.line, status: 'failed', detail: detail.replace(/^ID \?: /, '') });
+      } else {
+        statuses.push({ line: row.line, status: 'created', id: item.Id, ...(detail ? { detail } : {}) });
+      }
+    });
+  }
+
+  statuses.sort((a, b) => a.line - b.line);
+  return { statuses, requests };
+}
+
+// "- line 3: created ad 123" / "- line 4: invalid — ..." lines plus a count head.
+export function describeBulkResult(statuses) {
+  const counts = {};
+  for (const s of statuses) counts[s.status] = (counts[s.status] ?? 0) + 1;
+  const head = `${statuses.length} row(s): ${Object.entries(counts)
+    .map(([status, n]) => `${n} ${status.replace('_', ' ')}`)
+    .join(', ')}`;
+  const lines = statuses.map((s) => {
+    const what = s.status === 'created' ? `created ad ${s.id}` : s.status === 'dry_run' ? 'valid, not sent' : s.status;
+    return `- line ${s.line}: ${what}${s.detail ? ` — ${s.detail}` : ''}`;
+  });
+  return [head, ...lines].join('\n');
+}
@@ -5,10 +5,22 @@
 //     *inside* the JSON body even on HTTP 200.
 //   - reportRequest(): the separate Reports service, which returns TSV and may
 //     reply 201/202 ("report is being prepared") requiring polling.
+// directRequest() also records the `Units` header of every v5 reply (see units.mjs).
+// Idempotent reads are retried on transient failures (see retry.mjs).
+
+import { loadSpendPolicy } from './policy.mjs';
+import { apiError, delay, retryPolicy, withRetry } from './retry.mjs';
+import { isBelowFloor, parseUnits, unitsPolicy } from './units.mjs';
 
 const SANDBOX_BASE = 'https://api-sandbox.direct.yandex.com/json/v5/';
 const LIVE_BASE = 'https://api.direct.yandex.com/json/v5/';
 
+// Largest Page.Limit the v5 `get` methods accept.
+const MAX_PAGE_LIMIT = 10000;
+
+// Most CampaignIds a `get` SelectionCriteria accepts.
+const MAX_CAMPAIGN_IDS = 10;
+
 // Account balance is not exposed by v5 — it lives in the older Live v4 JSON API,
 // which takes the token in the body rather than an Authorization header.
 const LIVE4_SANDBOX = 'https://api-sandbox.direct.yandex.ru/live/v4/json/';
@@ -36,49 +48,115 @@ function baseHeaders() {
   return headers;
 }
 
-function delay(ms) {
-  return new Promise((resolve) => {
-    setTimeout(resolve, ms);
-  });
+// fetch() that turns transport failures (DNS, reset, timeout) into retryable errors.
+async function post(url, init, label) {
+  try {
+    return await fetch(url, { method: 'POST', ...init });
+  } catch (err) {
+    throw apiError(`${label}: network failure — ${err.message}`, { network: true });
+  }
 }
 
 export function createClient() {
   const live = process.env.YANDEX_DIRECT_LIVE === '1';
   const base = live ? LIVE_BASE : SANDBOX_BASE;
+  const policy = unitsPolicy();
+  let units = null;
+  const retry = retryPolicy();
+  const spendPolicy = loadSpendPolicy();
 
   // Standard v5 service call. Returns the `result` object; throws a readable error
-  // for both transport failures and in-body API errors.
+  // for both transport failures and in-body API errors. Only `get` is retried.
   async function directRequest(service, method, params = {}) {
-    const response = await fetch(`${base}${service}`, {
-      method: 'POST',
-      headers: baseHeaders(),
-      body: JSON.stringify({ method, params }),
-    });
+    const call = () => directCall(service, method, params);
+    return method === 'get' ? withRetry(call, retry) : call();
+  }
+
+  async function directCall(service, method, params) {
+    if (method !== 'get' && policy.mode === 'refuse' && isBelowFloor(units, policy)) {
+      throw new Error(
+        `Refusing ${service}.${method}: only ${units.remaining} Yandex Direct API units left today (floor ${policy.floor}, YANDEX_DIRECT_UNITS_FLOOR). Wait for the daily reset or lower the floor.`,
+      );
+    }
+
+    const response = await post(
+      `${base}${service}`,
+      { headers: baseHeaders(), body: JSON.stringify({ method, params }) },
+      'Yandex Direct API error',
+    );
+    // Errors are charged too (and 152 "not enough units" is one), so record first.
+    units = parseUnits(response.headers.get('Units'), response.headers.get('Units-Used-Login')) ?? units;
 
     const { text, data } = await readJson(response, 'Yandex Direct API error');
 
     // v5 reports API errors in the body (even with HTTP 200).
     if (data.error) {
       const e = data.error;
-      throw new Error(
+      throw apiError(
         `Yandex Direct API error (${e.error_code ?? response.status}): ${e.error_string || ''}${
           e.error_detail ? ` — ${e.error_detail}` : ''
         }`,
+        { status: response.status, errorCode: Number(e.error_code) },
       );
     }
 
     if (!response.ok) {
-      throw new Error(`Yandex Direct API error (${response.status}): ${text}`);
+      throw apiError(`Yandex Direct API error (${response.status}): ${text}`, { status: response.status });
     }
 
     return data.result ?? {};
   }
 
+  // Paging iterator over a v5 `get` call. Yields each page's `result`, following
+  // LimitedBy (present only when a page was truncated; it is the offset of the next
+  // unread object) until the service is exhausted or `maxItems` objects were read.
+  async function* directPages(service, method, params = {}, { offset = 0, maxItems = Infinity } = {}) {
+    let read = 0;
+    while (read < maxItems) {
+      const Limit = Math.min(MAX_PAGE_LIMIT, maxItems - read);
+      const result = await directRequest(service, method, { ...params, Page: { Limit, Offset: offset } });
+      yield result;
+      if (result.LimitedBy == null) return;
+      read += result.LimitedBy - offset;
+      offset = result.LimitedBy;
+    }
+  }
+
+  // Drains directPages() for a `get` into one array taken from result[collection].
+  // `nextOffset` is the continuation cursor: null once nothing more is left, else
+  // the Offset to pass back to resume where the `limit` cut the listing.
+  async function directGetAll(service, params, collection, { offset = 0, limit = Infinity } = {}) {
+    const items = [];
+    let nextOffset = null;
+    for await (const page of directPages(service, 'get', params, { offset, maxItems: limit })) {
+      items.push(...(page[collection] || []));
+      nextOffset = page.LimitedBy ?? null;
+    }
+    return { items, nextOffset };
+  }
+
+  // directGetAll() over any number of campaigns: `get` selections take at most
+  // MAX_CAMPAIGN_IDS CampaignIds, so longer lists are read in chunks.
+  async function directGetByCampaigns(service, params, collection, campaignIds) {
+    const items = [];
+    for (let start = 0; start < campaignIds.length; start += MAX_CAMPAIGN_IDS) {
+      const CampaignIds = campaignIds.slice(start, start + MAX_CAMPAIGN_IDS);
+      const SelectionCriteria = { ...params.SelectionCriteria, CampaignIds };
+      items.push(...(await directGetAll(service, { ...params, SelectionCriteria }, collection)).items);
+    }
+    return items;
+  }
+
   // Reports service. `params` is the ReportDefinition (SelectionCriteria, FieldNames,
   // ReportName, ReportType, DateRangeType, ...). Money is requested in real currency
   // units (returnMoneyInMicros:false) so no conversion is needed on the way out.
-  // Returns parsed rows: [{ FieldName: value, ... }].
-  async function reportRequest(params, { maxAttempts = 10 } = {}) {
+  // Returns parsed rows: [{ FieldName: value, ... }]. Reports are reads, so the
+  // whole request (polling included) is retried on transient failures.
+  async function reportRequest(params, options) {
+    return withRetry(() => reportCall(params, options), retry);
+  }
+
+  async function reportCall(params, { maxAttempts = 10 } = {}) {
     const headers = {
       ...baseHeaders(),
       processingMode: 'auto',
@@ -90,7 +168,7 @@ export function createClient() {
     const body = JSON.stringify({ params: { Format: 'TSV', ...params } });
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const response = await fetch(`${base}reports`, { method: 'POST', headers, body });
+      const response = await post(`${base}reports`, { headers, body }, 'Yandex Direct Reports error');
 
       if (response.status === 200) {
         return parseTsv(await response.text());
@@ -104,7 +182,10 @@ export function createClient() {
       }
 
       const errText = await response.text();
-      throw new Error(`Yandex Direct Reports error (${response.status}): ${errText}`);
+      throw apiError(`Yandex Direct Reports error (${response.status}): ${errText}`, {
+        status: response.status,
+        errorCode: reportErrorCode(errText),
+      });
     }
 
     throw new Error(`Yandex Direct report not ready after ${maxAttempts} attempts; try a narrower date range.`);
@@ -112,32 +193,53 @@ export function createClient() {
 
   // Live v4 JSON call — used only where v5 has no equivalent (account balance).
   // Token goes in the body; errors are reported as top-level error_code/error_str.
+  // Only `Action: 'Get'` calls (reads) are retried.
   async function liveV4Request(method, param = {}) {
+    const call = () => liveV4Call(method, param);
+    return param.Action === 'Get' ? withRetry(call, retry) : call();
+  }
+
+  async function liveV4Call(method, param) {
     const url = live ? LIVE4_LIVE : LIVE4_SANDBOX;
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json; charset=utf-8' },
-      body: JSON.stringify({ method, token: getToken(), param, locale: 'en' }),
-    });
+    const response = await post(
+      url,
+      {
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+        body: JSON.stringify({ method, token: getToken(), param, locale: 'en' }),
+      },
+      'Yandex Direct Live4 error',
+    );
 
     const { text, data } = await readJson(response, 'Yandex Direct Live4 error');
 
     if (data.error_code || data.error_str) {
-      throw new Error(
+      throw apiError(
         `Yandex Direct Live4 error (${data.error_code ?? response.status}): ${data.error_str || ''}${
           data.error_detail ? ` — ${data.error_detail}` : ''
         }`,
+        { status: response.status, errorCode: Number(data.error_code) },
       );
     }
 
     if (!response.ok) {
-      throw new Error(`Yandex Direct Live4 error (${response.status}): ${text}`);
+      throw apiError(`Yandex Direct Live4 error (${response.status}): ${text}`, { status: response.status });
     }
 
     return data.data;
   }
 
-  return { live, directRequest, reportRequest, liveV4Request };
+  return {
+    live,
+    unitsPolicy: policy,
+    spendPolicy,
+    units: () => units,
+    directRequest,
+    directPages,
+    directGetAll,
+    directGetByCampaigns,
+    reportRequest,
+    liveV4Request,
+  };
 }
 
 // Read a response body as JSON, throwing a labeled error if it isn't parseable.
@@ -148,7 +250,17 @@ async function readJson(response, label) {
   try {
     return { text, data: text ? JSON.parse(text) : {} };
   } catch {
-    throw new Error(`${label} (${response.status}): ${text || 'unparseable response'}`);
+    throw apiError(`${label} (${response.status}): ${text || 'unparseable response'}`, { status: response.status });
+  }
+}
+
+// Reports errors come back as a JSON { error: { error_code, ... } } body; pull the
+// code out when it is there.
+function reportErrorCode(text) {
+  try {
+    return Number(JSON.parse(text).error?.error_code) || undefined;
+  } catch {
+    return undefined;
   }
 }
 
@@ -0,0 +1,43 @@
+// Two-phase confirmation for destructive writes on the LIVE account. The first
+// call gets a short-lived token bound to the exact v5 request it would send; only
+// a repeat call presenting that token (with identical arguments) executes.
+// Tokens are single-use and live in memory, so a server restart voids them.
+
+import { randomBytes } from 'node:crypto';
+
+export const TOKEN_TTL_MS = 5 * 60 * 1000;
+
+const pending = new Map();
+
+function fingerprint({ service, method, params }) {
+  return JSON.stringify([service, method, params]);
+}
+
+export function issueToken(request, now = Date.now()) {
+  for (const [token, entry] of pending) {
+    if (entry.expiresAt <= now) pending.delete(token);
+  }
+  const token = randomBytes(4).toString('hex');
+  const expiresAt = now + TOKEN_TTL_MS;
+  pending.set(token, { fingerprint: fingerprint(request), expiresAt });
+  return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// Consume `token` for `request`; throws when it is unknown, expired, or was issued
+// for different arguments (the token stays valid in that last case).
+export function redeemToken(token, request, now = Date.now()) {
+  const entry = pending.get(token);
+  if (!entry) {
+    throw new Error(`Unknown or already used confirmation token "${token}". Call again without it to get a new one.`);
+  }
+  if (entry.expiresAt <= now) {
+    pending.delete(token);
+    throw new Error(`Confirmation token "${token}" has expired. Call again without it to get a new one.`);
+  }
+  if (entry.fingerprint !== fingerprint(request)) {
+    throw new Error(
+      `Confirmation token "${token}" was issued for different arguments. Repeat the original call exactly, or call again without a token.`,
+    );
+  }
+  pending.delete(token);
+}
@@ -0,0 +1,114 @@
+// Targets of dynamic and smart campaigns. A dynamic text campaign builds ads from
+// the pages of a site (or the offers of a feed); its targets (webpages in v5's
+// dynamictextadtargets) pick the pages by URL, title or content conditions, and
+// a target without conditions covers every page. A smart campaign shows feed
+// offers; its filters (smartadtargets) pick offers by feed fields such as
+// categoryId, price or vendor.
+//
+// Conditions within a target all have to hold; the arguments of one condition
+// are alternatives (CONTAINS_ANY), or all excluded (NOT_CONTAINS_ALL).
+
+import { z } from 'zod';
+import { fromMicro } from './money.mjs';
+
+// v5 limits: conditions per target and arguments per condition.
+const MAX_CONDITIONS = 10;
+const MAX_ARGUMENTS = 10;
+const MAX_WEBPAGE_ARGUMENT = 100;
+
+export const webpageConditionsSchema = z
+  .array(
+    z.object({
+      operand: z
+        .enum(['URL', 'PAGE_TITLE', 'PAGE_CONTENT', 'DOMAIN', 'OFFERS_LIST_URL'])
+        .describe('Page part to test: URL, title, content, domain, or the URL of an offers list page'),
+      operator: z
+        .enum(['CONTAINS_ANY', 'NOT_CONTAINS_ALL', 'EQUALS_ANY', 'NOT_EQUALS_ALL'])
+        .describe('Contains any / none of the arguments, or equals any / none of them'),
+      arguments: z.array(z.string().min(1).max(MAX_WEBPAGE_ARGUMENT)).min(1).max(MAX_ARGUMENTS),
+    }),
+  )
+  .max(MAX_CONDITIONS)
+  .describe('Page conditions, all of which must hold (none: every page of the site)');
+
+export const smartConditionsSchema = z
+  .array(
+    z.object({
+      operand: z
+        .string()
+        .describe('Feed field, e.g. categoryId, price, vendor, model, url (see the feed filter schema)'),
+      operator: z
+        .enum([
+          'EQUALS_ANY',
+          'NOT_EQUALS_ALL',
+          'CONTAINS_ANY',
+          'NOT_CONTAINS_ALL',
+          'GREATER_THAN',
+          'LESS_THAN',
+          'IN_RANGE',
+          'EXISTS',
+        ])
+        .describe('Comparison; IN_RANGE takes "min-max" arguments, EXISTS takes "1"'),
+      arguments: z.array(z.string().min(1)).min(1).max(MAX_ARGUMENTS),
+    }),
+  )
+  .max(MAX_CONDITIONS)
+  .describe('Offer conditions, all of which must hold (none: every offer of the feed)');
+
+export const SMART_AUDIENCES = [
+  'ALL_SEGMENTS',
+  'VISITED_PRODUCT_PAGE',
+  'ABANDONED_SHOPPING_CART',
+  'INTERESTED_IN_SIMILAR_PRODUCTS',
+];
+
+// v5 conditions from input ones.
+export function toConditions(conditions = []) {
+  return conditions.map((c) => ({ Operand: c.operand, Operator: c.operator, Arguments: c.arguments }));
+}
+
+// 'URL contains any of "sale", "promo"; PAGE_TITLE contains none of "used"'.
+export function describeConditions(conditions = []) {
+  if (!conditions.length) return 'all pages';
+  const verbs = {
+    CONTAINS_ANY: 'contains any of',
+    NOT_CONTAINS_ALL: 'contains none of',
+    EQUALS_ANY: 'equals any of',
+    NOT_EQUALS_ALL: 'equals none of',
+    GREATER_THAN: '>',
+    LESS_THAN: '<',
+    IN_RANGE: 'in range',
+    EXISTS: 'is set',
+  };
+  return conditions
+    .map((c) => {
+      const args = c.Operator === 'EXISTS' ? '' : ` ${c.Arguments.map((a) => `"${a}"`).join(', ')}`;
+      return `${c.Operand} ${verbs[c.Operator] ?? c.Operator}${args}`;
+    })
+    .join('; ');
+}
+
+function describeBids(t) {
+  const parts = [
+    t.Bid != null && `search bid ${fromMicro(t.Bid)}`,
+    t.ContextBid != null && `network bid ${fromMicro(t.ContextBid)}`,
+    t.AverageCpc != null && `average CPC ${fromMicro(t.AverageCpc)}`,
+    t.AverageCpa != null && `average CPA ${fromMicro(t.AverageCpa)}`,
+    t.StrategyPriority && `priority ${t.StrategyPriority}`,
+  ];
+  return parts
+    .filter(Boolean)
+    .map((p) => `, ${p}`)
+    .join('');
+}
+
+export function formatDynamicTarget(t) {
+  const clarification = t.StatusClarification ? ` (${t.StatusClarification})` : '';
+  return `- "${t.Name}" (ID ${t.Id}, group ${t.AdGroupId}) — state ${t.State}${clarification}${describeBids(t)}: ${describeConditions(t.Conditions)}`;
+}
+
+export function formatSmartFilter(t) {
+  const conditions = t.Conditions?.Items?.length ? describeConditions(t.Conditions.Items) : 'all offers';
+  const available = t.AvailableItemsOnly === 'YES' ? ', in-stock offers only' : '';
+  return `- "${t.Name}" (ID ${t.Id}, group ${t.AdGroupId}) — state ${t.State}, audience ${t.Audience}${available}${describeBids(t)}: ${conditions}`;
+}
@@ -0,0 +1,69 @@
+// Ad extensions: sitelink sets (sitelinks service) and callouts (adextensions
+// service). Both are created once and attached to text ads by ID. Direct's
+// length limits are checked here so a bad set fails before any API call.
+
+import { z } from 'zod';
+
+const MAX_SITELINKS = 8;
+// Titles of links 1–4 and of links 5–8 are each limited in total, since each
+// group of four is shown as one line.
+const SITELINK_GROUP = 4;
+const MAX_GROUP_TITLES = 66;
+const MAX_CALLOUTS_PER_AD = 50;
+
+export const sitelinkSchema = z.object({
+  title: z.string().min(1).max(30).describe('Link text (max 30 chars)'),
+  href: z.string().max(1024).describe('Link URL'),
+  description: z.string().max(60).optional().describe('Description shown in some placements (max 60 chars)'),
+});
+
+export const calloutTextSchema = z.string().min(1).max(25).describe('Callout text (max 25 chars)');
+
+export const calloutIdsSchema = z
+  .array(z.number())
+  .max(MAX_CALLOUTS_PER_AD)
+  .describe(`Callout (ad extension) IDs, up to ${MAX_CALLOUTS_PER_AD} per ad`);
+
+// Throws when a set breaks the count or combined-title limits.
+export function checkSitelinkSet(sitelinks) {
+  if (!sitelinks.length || sitelinks.length > MAX_SITELINKS) {
+    throw new Error(`A sitelink set holds 1 to ${MAX_SITELINKS} links, not ${sitelinks.length}.`);
+  }
+  for (let start = 0; start < sitelinks.length; start += SITELINK_GROUP) {
+    const group = sitelinks.slice(start, start + SITELINK_GROUP);
+    const total = group.reduce((sum, link) => sum + link.title.length, 0);
+    if (total > MAX_GROUP_TITLES) {
+      throw new Error(
+        `Sitelinks ${start + 1}–${start + group.length}: titles total ${total} chars; Direct allows ${MAX_GROUP_TITLES} per group of ${SITELINK_GROUP}.`,
+      );
+    }
+  }
+}
+
+// Validated sitelinks → v5 SitelinksSets item.
+export function toSitelinkSet(sitelinks) {
+  checkSitelinkSet(sitelinks);
+  return {
+    Sitelinks: sitelinks.map((link) => ({
+      Title: link.title,
+      Href: link.href,
+      ...(link.description ? { Description: link.description } : {}),
+    })),
+  };
+}
+
+// v5 TextAd.CalloutSetting for an ads.update: SET replaces the ad's callouts,
+// ADD and REMOVE change only the given ones.
+export function toCalloutSetting(ids, mode = 'set') {
+  const Operation = mode.toUpperCase();
+  return { AdExtensions: ids.map((id) => ({ AdExtensionId: id, Operation })) };
+}
+
+// "sitelinks: set 12; callouts: 3, 4" for an ad's TextAd, or null without extensions.
+export function describeExtensions(textAd) {
+  const parts = [];
+  if (textAd?.SitelinkSetId) parts.push(`sitelinks: set ${textAd.SitelinkSetId}`);
+  const callouts = (textAd?.AdExtensions ?? []).filter((e) => e.Type === 'CALLOUT').map((e) => e.AdExtensionId);
+  if (callouts.length) parts.push(`callouts: ${callouts.join(', ')}`);
+  return parts.length ? parts.join('; ') : null;
+}
@@ -0,0 +1,68 @@
+// Product feeds (фиды). Direct downloads a URL feed itself, on registration and
+// then periodically; a file feed is uploaded with the request. Either way the
+// feed is processed asynchronously: its Status goes NEW → UPDATING → DONE, or
+// ERROR, and dynamic feed groups and smart campaigns can only use a DONE feed.
+// waitForFeeds() polls until the feeds settle or the wait runs out.
+
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { delay } from './retry.mjs';
+
+export const FEED_FIELDS = {
+  FieldNames: ['Id', 'Name', 'BusinessType', 'SourceType', 'Status', 'NumberOfItems', 'UpdatedAt', 'CampaignIds'],
+  UrlFeedFieldNames: ['Url', 'RemoveUtmTags', 'Login'],
+  FileFeedFieldNames: ['Filename'],
+};
+
+export const BUSINESS_TYPES = ['RETAIL', 'HOTELS', 'REALTY', 'AUTOMOBILES', 'FLIGHTS', 'OTHER'];
+
+const PENDING = new Set(['NEW', 'UPDATING']);
+
+// The source part of a v5 feed: { SourceType, UrlFeed } or { SourceType, FileFeed }.
+export async function feedSource({ url, file_path, remove_utm_tags, login, password }) {
+  if (!url === !file_path) throw new Error('Pass exactly one of url or file_path.');
+  if (url) {
+    if (!/^https?:\/\//.test(url)) throw new Error('url must start with http:// or https://');
+    const UrlFeed = { Url: url };
+    if (remove_utm_tags != null) UrlFeed.RemoveUtmTags = remove_utm_tags ? 'YES' : 'NO';
+    if (login) Object.assign(UrlFeed, { Login: login, Password: password });
+    return { SourceType: 'URL', UrlFeed };
+  }
+  let bytes;
+  try {
+    bytes = await readFile(file_path);
+  } catch (err) {
+    throw new Error(`Cannot read feed ${file_path}: ${err.message}`);
+  }
+  if (!bytes.length) throw new Error(`${file_path} is empty.`);
+  return { SourceType: 'FILE', FileFeed: { Data: bytes.toString('base64'), Filename: basename(file_path) } };
+}
+
+export function feedSettled(feed) {
+  return !PENDING.has(feed.Status);
+}
+
+// The feeds after polling every `intervalSeconds` until none is still being
+// processed, or `waitSeconds` have passed. Returns { feeds, settled }.
+export async function waitForFeeds(client, ids, { waitSeconds = 0, intervalSeconds = 10, sleep = delay } = {}) {
+  const deadline = Date.now() + waitSeconds * 1000;
+  for (;;) {
+    const { items: feeds } = await client.directGetAll(
+      'feeds',
+      { SelectionCriteria: { Ids: ids }, ...FEED_FIELDS },
+      'Feeds',
+    );
+    const settled = feeds.every(feedSettled);
+    const left = deadline - Date.now();
+    if (settled || left <= 0) return { feeds, settled };
+    await sleep(Math.min(intervalSeconds * 1000, left));
+  }
+}
+
+export function formatFeed(f) {
+  const source = f.SourceType === 'URL' ? (f.UrlFeed?.Url ?? 'URL') : `file ${f.FileFeed?.Filename ?? ''}`.trim();
+  const items = f.NumberOfItems != null ? `, ${f.NumberOfItems} offer(s)` : '';
+  const updated = f.UpdatedAt ? `, updated ${f.UpdatedAt}` : '';
+  const campaigns = f.CampaignIds?.length ? `, used by campaign(s) ${f.CampaignIds.join(', ')}` : '';
+  return `- "${f.Name}" (ID ${f.Id}, ${f.BusinessType}) — status ${f.Status}${items}${updated}${campaigns}; source ${source}`;
+}
@@ -1,7 +1,7 @@
 // Yandex Direct add/update/action calls return a per-item results array where each
-// item carries an id (Id, or KeywordId for keywordbids.set) plus optional
-// Warnings/Errors ({ Code, Message, Details }). summarizeResults folds that into a
-// caller-friendly text summary.
+// item carries an id (Id; KeywordId for keywordbids.set, AdImageHash for adimages)
+// plus optional Warnings/Errors ({ Code, Message, Details }). summarizeResults folds
+// that into a caller-friendly text summary.
 
 export function summarizeResults(result) {
   const items =
@@ -16,7 +16,7 @@ export function summarizeResults(result) {
   const problems = [];
 
   for (const item of items) {
-    const id = item.Id ?? item.KeywordId;
+    const id = item.Id ?? item.KeywordId ?? item.AdImageHash;
     if (item.Errors?.length) {
       problems.push(
         `ID ${id ?? '?'}: ${item.Errors.map((e) => `${e.Message}${e.Details ? ` (${e.Details})` : ''}`).join('; ')}`,
@@ -52,6 +52,33 @@ export function listResult(noun, lines, result) {
   };
 }
 
+// Response for a paged list tool (see client.directGetAll): the count line says
+// whether the listing is complete or was cut at the caller's limit, and the
+// structured content carries the items under their v5 collection name plus the
+// `next_offset` cursor to pass back as `offset` for the following page. `header`
+// lines (a table head) precede the item lines when there are any.
+export function pagedListResult(noun, lines, collection, { items, nextOffset }, { header = [] } = {}) {
+  const body = lines.length ? [...header, ...lines].join('\n') : `No ${noun}s found.`;
+  const head =
+    nextOffset == null
+      ? `Found ${lines.length} ${noun}(s):`
+      : `Fetched ${lines.length} ${noun}(s), more available — pass offset ${nextOffset} (or all: true) to continue:`;
+  return {
+    content: [{ type: 'text', text: `${head}\n${body}` }],
+    structuredContent: { [collection]: items, fetched: items.length, next_offset: nextOffset },
+  };
+}
+
+// One response for a tool that made several runWrite() calls: their texts in
+// order and their structured contents under `results`.
+export function combinedResult(results) {
+  if (results.length === 1) return results[0];
+  return {
+    content: [{ type: 'text', text: results.map((r) => r.content[0].text).join('\n\n') }],
+    structuredContent: { results: results.map((r) => r.structuredContent) },
+  };
+}
+
 // Current date as YYYY-MM-DD (used as a default campaign StartDate).
 export function today() {
   return new Date().toISOString().slice(0, 10);
@@ -0,0 +1,103 @@
+// Ad images. Direct stores an uploaded image (adimages.add) under a hash that ads
+// then reference as AdImageHash. loadImage() reads a local file or a base64 string
+// and checks it before anything is sent; uploadImage() sends it through runWrite()
+// and returns the hash, so ad tools can take an image and do the whole flow;
+// withAdImage() removes the upload again when the ad write fails.
+
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { summarizeResults } from './format.mjs';
+import { dryRunEnabled, runWrite } from './mutations.mjs';
+
+// Direct's upload limit.
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Leading bytes of the formats Direct accepts.
+const SIGNATURES = {
+  JPEG: [0xff, 0xd8, 0xff],
+  PNG: [0x89, 0x50, 0x4e, 0x47],
+  GIF: [0x47, 0x49, 0x46, 0x38],
+};
+
+// Stands in for the hash of an image a dry run did not upload.
+export const PENDING_HASH = '<hash of the uploaded image>';
+
+// { path } or { base64 } (plus an optional name) → a v5 AdImages item.
+export async function loadImage({ path, base64, name }) {
+  if (!path === !base64) throw new Error('Pass exactly one of image_path or image_base64.');
+  let bytes;
+  try {
+    bytes = path ? await readFile(path) : Buffer.from(base64, 'base64');
+  } catch (err) {
+    throw new Error(`Cannot read image ${path}: ${err.message}`);
+  }
+  const source = path ?? 'image_base64';
+  if (!bytes.length) throw new Error(`${source} is empty.`);
+  if (bytes.length > MAX_IMAGE_BYTES) {
+    throw new Error(`${source} is ${(bytes.length / 1024 / 1024).toFixed(1)} MB; Direct accepts images up to 10 MB.`);
+  }
+  if (!Object.values(SIGNATURES).some((sig) => sig.every((b, i) => bytes[i] === b))) {
+    throw new Error(`${source} is not a JPEG, PNG or GIF image.`);
+  }
+  return { ImageData: bytes.toString('base64'), Name: name ?? (path ? basename(path) : 'image') };
+}
+
+// Upload one image and return its hash. A dry run uploads nothing and returns
+// PENDING_HASH, so the ad preview that follows still shows where the hash goes.
+export async function uploadImage(client, image, { dryRun } = {}) {
+  if (dryRunEnabled(dryRun)) return PENDING_HASH;
+  const response = await runWrite(client, {
+    label: `Upload image ${image.Name}`,
+    service: 'adimages',
+    method: 'add',
+    params: { AdImages: [image] },
+  });
+  const hash = response.structuredContent.AddResults?.[0]?.AdImageHash;
+  if (!hash) throw new Error(`Image upload failed — ${summarizeResults(response.structuredContent).text}`);
+  return hash;
+}
+
+// The hash an ad tool should use: the given one, or that of a freshly uploaded image.
+export async function resolveImageHash(client, { image_hash, image_path, image_base64 }, { dryRun } = {}) {
+  if (image_hash) {
+    if (image_path || image_base64) throw new Error('Pass image_hash or an image to upload, not both.');
+    return image_hash;
+  }
+  if (!image_path && !image_base64) return null;
+  return uploadImage(client, await loadImage({ path: image_path, base64: image_base64 }), { dryRun });
+}
+
+// Resolve an ad tool's image (see resolveImageHash) and run `write(hash)`, the ad
+// write that uses it. An image uploaded for the ad is deleted again when that
+// write throws or creates/updates nothing, so no orphan is left in the library.
+export async function withAdImage(client, image, { dryRun } = {}, write) {
+  const hash = await resolveImageHash(client, image, { dryRun });
+  const uploaded = hash != null && hash !== image.image_hash && hash !== PENDING_HASH;
+  let result;
+  try {
+    result = await write(hash);
+  } catch (err) {
+    if (uploaded) err.message += await discardImage(client, hash);
+    throw err;
+  }
+  if (uploaded && !summarizeResults(result.structuredContent).ids.length) {
+    result.content[0].text += await discardImage(client, hash);
+  }
+  return result;
+}
+
+async function discardImage(client, hash) {
+  try {
+    const response = await runWrite(client, {
+      label: `Delete unused image ${hash}`,
+      service: 'adimages',
+      method: 'delete',
+      params: { SelectionCriteria: { AdImageHashes: [hash] } },
+    });
+    const { ids, text } = summarizeResults(response.structuredContent);
+    if (!ids.length) throw new Error(text);
+    return `\nThe image uploaded for the ad (${hash}) was deleted again.`;
+  } catch (err) {
+    return `\nThe image uploaded for the ad (${hash}) could not be deleted and stays in the library: ${err.message}`;
+  }
+}
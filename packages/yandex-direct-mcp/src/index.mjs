@@ -2,13 +2,26 @@
 
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { withAudit } from './audit.mjs';
 import { createClient } from './client.mjs';
 import { registerAccountTools } from './tools/account.mjs';
 import { registerAdGroupTools } from './tools/adgroups.mjs';
 import { registerAdTools } from './tools/ads.mjs';
+import { registerAudienceTools } from './tools/audiences.mjs';
+import { registerAuditTools } from './tools/audit.mjs';
+import { registerBidModifierTools } from './tools/bidmodifiers.mjs';
+import { registerBidRuleTools } from './tools/bidrules.mjs';
+import { registerBuildTools } from './tools/build.mjs';
 import { registerCampaignTools } from './tools/campaigns.mjs';
+import { registerDynamicTargetTools } from './tools/dynamic.mjs';
+import { registerExtensionTools } from './tools/extensions.mjs';
+import { registerFeedTools } from './tools/feeds.mjs';
 import { registerKeywordTools } from './tools/keywords.mjs';
+import { registerMediaTools } from './tools/media.mjs';
+import { registerNegativeKeywordTools } from './tools/negatives.mjs';
+import { registerSearchQueryTools } from './tools/queries.mjs';
 import { registerReportTools } from './tools/reports.mjs';
+import { withUnits } from './units.mjs';
 
 // Handle CLI commands
 const command = process.argv[2];
@@ -23,13 +36,27 @@ async function runServer() {
   const client = createClient();
 
   const server = new McpServer({ name: 'yandex-direct', version: '1.0.0' });
+  // Tools register through facades that stamp the API units reading on every result
+  // and attribute audited mutations to the tool call that made them.
+  const tools = withAudit(withUnits(server, client));
 
-  registerCampaignTools(server, client);
-  registerAdGroupTools(server, client);
-  registerAdTools(server, client);
-  registerKeywordTools(server, client);
-  registerReportTools(server, client);
-  registerAccountTools(server, client);
+  registerCampaignTools(tools, client);
+  registerAdGroupTools(tools, client);
+  registerAdTools(tools, client);
+  registerMediaTools(tools, client);
+  registerExtensionTools(tools, client);
+  registerFeedTools(tools, client);
+  registerDynamicTargetTools(tools, client);
+  registerKeywordTools(tools, client);
+  registerNegativeKeywordTools(tools, client);
+  registerBidRuleTools(tools, client);
+  registerSearchQueryTools(tools, client);
+  registerBidModifierTools(tools, client);
+  registerAudienceTools(tools, client);
+  registerBuildTools(tools, client);
+  registerReportTools(tools, client);
+  registerAccountTools(tools, client);
+  registerAuditTools(tools, client);
 
   const transport = new StdioServerTransport();
   await server.connect(transport);
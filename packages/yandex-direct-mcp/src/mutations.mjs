@@ -0,0 +1,285 @@
+// Single path for every WRITE tool. A tool describes its v5 mutation (service,
+// method, params) and runWrite() either sends it or, in dry-run mode, reads the
+// current state of the affected objects and returns a before/after preview
+// without sending anything.
+//
+// Dry run is on when the tool call passes dry_run: true or the server runs with
+// YANDEX_DIRECT_DRY_RUN=1 (which cannot be overridden per call).
+//
+// On the LIVE account, writes flagged with `confirm` are two-phase: the first call
+// returns the same preview plus a confirmation token (see confirm.mjs), and the
+// mutation is only sent when the call is repeated with that token. Bid and budget
+// writes are checked against the spend policy first, in every mode. Every
+// mutation actually sent is recorded in the audit log (see audit.mjs).
+
+import { auditLogPath, recordWrite } from './audit.mjs';
+import { bidModifierQuery, flattenBidModifier } from './bidmodifiers.mjs';
+import { issueToken, redeemToken } from './confirm.mjs';
+import { summarizeResults, writeResult } from './format.mjs';
+import { fromMicro } from './money.mjs';
+import { checkSpend } from './policy.mjs';
+import { STRATEGY_MONEY_KEYS } from './strategy.mjs';
+
+// v5 `get` result collection per service.
+const COLLECTIONS = {
+  campaigns: 'Campaigns',
+  adgroups: 'AdGroups',
+  ads: 'Ads',
+  keywords: 'Keywords',
+  adimages: 'AdImages',
+  sitelinks: 'SitelinksSets',
+  adextensions: 'AdExtensions',
+  bidmodifiers: 'BidModifiers',
+  dynamictextadtargets: 'Webpages',
+  smartadtargets: 'SmartAdTargets',
+  feeds: 'Feeds',
+  negativekeywordsharedsets: 'NegativeKeywordSharedSets',
+  retargetinglists: 'RetargetingLists',
+  audiencetargets: 'AudienceTargets',
+};
+
+// Services whose objects are keyed by something other than Id: the key field
+// and the SelectionCriteria list that selects by it.
+const OBJECT_KEYS = {
+  adimages: ['AdImageHash', 'AdImageHashes'],
+};
+
+// Services whose current state cannot be read with FieldNames derived from the
+// update: `query` builds the whole get request, `flatten` maps each object to the
+// shape its updates use (bidmodifiers.set changes a BidModifier that get returns
+// inside a per-type structure).
+const READERS = {
+  bidmodifiers: { query: bidModifierQuery, flatten: flattenBidModifier },
+};
+
+// The state a lifecycle action leaves an object in (null = gone).
+const ACTION_PATCHES = {
+  suspend: { State: 'SUSPENDED' },
+  resume: { State: 'ON' },
+  archive: { State: 'ARCHIVED' },
+  unarchive: { State: 'SUSPENDED' },
+  moderate: { Status: 'MODERATION' },
+  delete: null,
+};
+
+// Type-specific structures, read through their own `<Type>FieldNames` list
+// (TextCampaign → TextCampaignFieldNames) rather than FieldNames.
+const SUBTYPES = new Set([
+  'TextCampaign',
+  'UnifiedCampaign',
+  'DynamicTextCampaign',
+  'SmartCampaign',
+  'MobileAppCampaign',
+  'TextAd',
+  'UrlFeed',
+  'FileFeed',
+]);
+
+// Update-only fields of type-specific structures and the field `get` reads
+// their state from (TextAd.CalloutSetting edits TextAd.AdExtensions), or null
+// when `get` cannot return it (a feed's file contents and password).
+const READ_AS = {
+  CalloutSetting: 'AdExtensions',
+  Data: null,
+  Password: null,
+};
+
+// Money fields are micro-units on the wire; previews show them in account currency.
+const MONEY_KEYS = new Set(['Amount', 'Bid', 'ContextBid', ...STRATEGY_MONEY_KEYS]);
+
+// Payload fields previews and the audit log show by size only: too large to echo
+// (image bytes, a file feed's contents) or secret (a feed's password).
+const BULKY_KEYS = new Set(['ImageData', 'Data', 'Password']);
+
+export function dryRunEnabled(dryRun) {
+  return Boolean(dryRun) || process.env.YANDEX_DIRECT_DRY_RUN === '1';
+}
+
+// Send `service.method(params)`, or preview it. `preview` tunes how current state
+// is read: `from` the service to read (default: the mutated one), `idKey` naming
+// the ID field of the sent items (default 'Id'), and `fields` to show alongside.
+// `confirm` marks a write as needing a LIVE confirmation token: `true` always, or
+// a predicate over the previewed changes (e.g. "raises a bid"). `spend` ('bid' or
+// 'budget') subjects the write to the spend policy (see policy.mjs).
+export async function runWrite(
+  client,
+  { label, service, method, params, dryRun, confirm, confirmationToken, spend, preview = {} },
+) {
+  const request = { service, method, params };
+  const shown = withoutBulk(request);
+  const dry = dryRunEnabled(dryRun);
+  const guarded = Boolean(spend && client.spendPolicy);
+  const confirming = Boolean(client.live && confirm && !confirmationToken);
+  const audited = auditLogPath() != null;
+
+  // Current state is read once, for whichever of preview / policy / confirmation /
+  // audit snapshot needs it.
+  const changes =
+    dry || guarded || confirming || audited ? await previewChanges(client, { ...shown, ...preview }) : null;
+  const violations = guarded ? await checkSpend(client, client.spendPolicy, spend, changes) : [];
+
+  if (dry) {
+    return previewResult(
+      `DRY RUN — ${label} (nothing was sent)`,
+      shown,
+      changes,
+      { dry_run: true, violations },
+      violations.length ? [`Spend policy would block this:`, ...violations.map((v) => `  - ${v}`)] : [],
+    );
+  }
+
+  if (violations.length) {
+    throw new Error(
+      `Spend policy blocked ${label}:\n${violations.map((v) => `  - ${v}`).join('\n')}\nFix the amounts, or adjust YANDEX_DIRECT_POLICY_FILE / YANDEX_DIRECT_MAX_* if this is intended.`,
+    );
+  }
+
+  if (confirming && (confirm === true || confirm(changes))) {
+    const { token, expiresAt } = issueToken(request);
+    return previewResult(
+      `CONFIRMATION REQUIRED — ${label} on the LIVE account (nothing was sent)`,
+      shown,
+      changes,
+      { confirmation_required: true, confirmation_token: token, expires_at: expiresAt },
+      [
+        `To proceed, repeat this call with the same arguments plus confirmation_token: "${token}" (expires ${expiresAt}).`,
+      ],
+    );
+  }
+  if (client.live && confirm && confirmationToken) redeemToken(confirmationToken, request);
+
+  let result;
+  try {
+    result = await client.directRequest(service, method, params);
+  } catch (err) {
+    if (audited) await audit({ request: shown, changes, error: err.message, live: client.live });
+    throw err;
+  }
+  const entry = audited
+    ? await audit({ request: shown, changes, summary: summarizeResults(result), live: client.live })
+    : null;
+  const response = writeResult(label, result);
+  if (entry) response.content[0].text += `\n(audit entry ${entry.id})`;
+  return response;
+}
+
+// A failure to write the audit log must not mask the outcome of a mutation that
+// was already sent, so it is reported on stderr instead of thrown.
+async function audit(fields) {
+  try {
+    return await recordWrite(fields);
+  } catch (err) {
+    console.error(`yandex-direct-mcp: could not write audit log: ${err.message}`);
+    return null;
+  }
+}
+
+function previewResult(heading, request, changes, extra, notes) {
+  const text = [
+    heading,
+    `Request: ${request.service}.${request.method}`,
+    JSON.stringify(request.params, null, 2),
+    'Changes:',
+    ...changes.map(describeChange),
+    ...notes,
+  ].join('\n');
+  return { content: [{ type: 'text', text }], structuredContent: { ...extra, request, changes } };
+}
+
+// [{ id, before, after }] for every object the mutation targets. Adds have no
+// `before`; deletes have no `after`; a missing object has before: null.
+export async function previewChanges(client, { service, method, params, from = service, idKey = 'Id', fields = [] }) {
+  const selected = params.SelectionCriteria?.[(OBJECT_KEYS[from] ?? [])[1] ?? 'Ids'];
+
+  if (selected) {
+    const current = await readCurrent(client, from, selected, fields, []);
+    const patch = ACTION_PATCHES[method];
+    return selected.map((id) => {
+      const before = current.get(id) ?? null;
+      return { id, before, after: patch && before ? { ...before, ...patch } : null };
+    });
+  }
+
+  const items = Object.values(params).find(Array.isArray) || [];
+  if (method === 'add') return items.map((item) => ({ id: null, before: null, after: item }));
+
+  const updates = items.map(({ [idKey]: id, ...update }) => ({ id, update }));
+  const current = await readCurrent(
+    client,
+    from,
+    updates.map((u) => u.id),
+    fields,
+    updates.map((u) => u.update),
+  );
+  return updates.map(({ id, update }) => {
+    const before = current.get(id) ?? null;
+    return { id, before, after: merge(before, update) };
+  });
+}
+
+// Current objects keyed by ID, read with a v5 `get` for `fields` plus every field
+// the `updates` touch (type-specific structures down to their own fields).
+async function readCurrent(client, service, ids, fields, updates) {
+  const [key, criterion] = OBJECT_KEYS[service] ?? ['Id', 'Ids'];
+  const reader = READERS[service];
+  if (reader) {
+    const { items } = await client.directGetAll(service, reader.query({ [criterion]: ids }), COLLECTIONS[service]);
+    return new Map(items.map((item) => [item[key], reader.flatten(item)]));
+  }
+  const params = { SelectionCriteria: { [criterion]: ids } };
+  const names = new Set([key, ...fields]);
+  for (const update of updates) {
+    for (const [key, value] of Object.entries(update)) {
+      if (!SUBTYPES.has(key)) {
+        names.add(key);
+        continue;
+      }
+      const list = `${key}FieldNames`;
+      const read = Object.keys(value)
+        .map((field) => (field in READ_AS ? READ_AS[field] : field))
+        .filter(Boolean);
+      params[list] = [...new Set([...(params[list] ?? []), ...read])];
+    }
+  }
+  params.FieldNames = [...names];
+  const { items } = await client.directGetAll(service, params, COLLECTIONS[service]);
+  return new Map(items.map((item) => [item[key], item]));
+}
+
+// Updates replace values field by field, descending into nested structures
+// (a strategy update may send only its Search half); arrays replace wholesale.
+function merge(before, update) {
+  const result = { ...before };
+  for (const [key, value] of Object.entries(update)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? merge(result[key], value) : value;
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeChange({ id, before, after }) {
+  if (!before && id != null) return `- ID ${id}: not found`;
+  if (!before) return `- new: ${show(after)}`;
+  if (!after) return `- ID ${id}: ${show(before)} → deleted`;
+  const keys = Object.keys(after).filter((k) => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+  if (!keys.length) return `- ID ${id}: no change`;
+  return [`- ID ${id}:`, ...keys.map((k) => `    ${k}: ${show(before[k], k)} → ${show(after[k], k)}`)].join('\n');
+}
+
+// JSON rendering with money in account currency; `key` is the field the value sits
+// under (JSON.stringify's replacer never sees the top-level key).
+function show(value, key = '') {
+  if (value === undefined) return '(unset)';
+  const money = (k, v) => (MONEY_KEYS.has(k) && typeof v === 'number' ? fromMicro(v) : v);
+  return JSON.stringify(money(key, value), money);
+}
+
+// The request with bulky payloads (base64 images) replaced by their size.
+function withoutBulk(request) {
+  return JSON.parse(
+    JSON.stringify(request, (k, v) => (BULKY_KEYS.has(k) && typeof v === 'string' ? `<${v.length} chars>` : v)),
+  );
+}
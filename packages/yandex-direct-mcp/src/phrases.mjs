@@ -0,0 +1,144 @@
+// Keyword and negative keyword phrases: parsing Direct's operators and comparing
+// words roughly the way Direct matches them.
+//
+// Direct matches every word form of a word ("купить" also matches "купил"),
+// ignores stop words unless they are marked with "+", and fixes a form with
+// "!". Without Direct's morphology dictionary, Russian word forms are compared
+// by the Snowball Russian stemmer and English ones by light suffix stripping:
+// close enough to find overlaps, not an exact reproduction of Direct's matching.
+
+// Prepositions, conjunctions and particles Direct ignores in phrases.
+const STOP_WORDS = new Set(
+  `а без в во да для до же за и из или к ко ли на над не ни о об от по под при про с со у что
+   the a an of for in on to and or with`.split(/\s+/),
+);
+
+// Endings of the Snowball Russian stemmer (snowballstem.org/algorithms/russian).
+// Those after "|" count only after an "а" or "я", which stays.
+const GERUND = endings('ив ивши ившись ыв ывши ывшись | в вши вшись');
+const ADJECTIVE = endings('ее ие ые ое ими ыми ей ий ый ой ем им ым ом его ого ему ому их ых ую юю ая яя ою ею');
+const PARTICIPLE = endings('ивш ывш ующ | ем нн вш ющ щ');
+const REFLEXIVE = endings('ся сь');
+const VERB = endings(`ила ыла ена ейте уйте ите или ыли ей уй ил ыл им ым ен ило ыло ено ят ует уют ит ыт ены ить ыть
+  ишь ую ю | ла на ете йте ли й л ем н ло но ет ют ны ть ешь нно`);
+const NOUN = endings(`а ев ов ие ье е иями ями ами еи ии и ией ей ой ий й иям ям ием ем ам ом о у ах иях ях ы ь ию ью
+  ю ия ья я`);
+const DERIVATIONAL = endings('ост ость');
+const SUPERLATIVE = endings('ейш ейше');
+const RU_VOWELS = 'аеиоуыэюя';
+
+const EN_ENDINGS = ['ing', 'ies', 'es', 'ed', 's', 'e'];
+// Shortest stem a word is reduced to; shorter results keep the whole word.
+const MIN_STEM = 3;
+
+function endings(spec) {
+  const [plain, afterA = []] = spec.split('|').map((part) => part.split(/\s+/).filter(Boolean));
+  return [
+    ...plain.map((ending) => ({ ending, afterA: false })),
+    ...afterA.map((ending) => ({ ending, afterA: true })),
+  ].sort((a, b) => b.ending.length - a.ending.length);
+}
+
+// `word` without the longest of `list` that ends it at or after `limit`, or null
+// when none does (or the one that does lacks its "а"/"я").
+function removeEnding(word, limit, list) {
+  const match = list.find(({ ending }) => word.endsWith(ending) && word.length - ending.length >= limit);
+  if (!match) return null;
+  const rest = word.slice(0, -match.ending.length);
+  if (match.afterA && !(rest.length > limit && /[ая]$/.test(rest))) return null;
+  return rest;
+}
+
+// Start of the part of `word` after the first vowel-consonant pair from `start`
+// (the Snowball R1, and R2 when started from R1).
+function region(word, start) {
+  for (let i = start + 1; i < word.length; i++) {
+    if (RU_VOWELS.includes(word[i - 1]) && !RU_VOWELS.includes(word[i])) return i + 1;
+  }
+  return word.length;
+}
+
+function russianStem(word) {
+  const firstVowel = [...word].findIndex((c) => RU_VOWELS.includes(c));
+  if (firstVowel < 0) return word;
+  const rv = firstVowel + 1;
+  const r2 = Math.max(rv, region(word, region(word, 0)));
+
+  let w = removeEnding(word, rv, GERUND);
+  if (w == null) {
+    w = removeEnding(word, rv, REFLEXIVE) ?? word;
+    const adjective = removeEnding(w, rv, ADJECTIVE);
+    w =
+      adjective != null
+        ? (removeEnding(adjective, rv, PARTICIPLE) ?? adjective)
+        : (removeEnding(w, rv, VERB) ?? removeEnding(w, rv, NOUN) ?? w);
+  }
+  if (w.endsWith('и') && w.length > rv) w = w.slice(0, -1);
+  w = removeEnding(w, r2, DERIVATIONAL) ?? w;
+  w = removeEnding(w, rv, SUPERLATIVE) ?? w;
+  if ((w.endsWith('нн') && w.length - 1 > rv) || (w.endsWith('ь') && w.length > rv)) w = w.slice(0, -1);
+  return w;
+}
+
+// A word reduced to the stem its forms share: "телефонов" → "телефон".
+export function stem(word) {
+  const w = word.toLowerCase().replaceAll('ё', 'е');
+  if (/[а-я]/.test(w)) {
+    const stemmed = russianStem(w);
+    return stemmed.length >= MIN_STEM ? stemmed : w;
+  }
+  for (const ending of EN_ENDINGS) {
+    if (w.endsWith(ending) && w.length - ending.length >= MIN_STEM) return w.slice(0, -ending.length);
+  }
+  return w;
+}
+
+// Significant words of a phrase, operators removed: [{ word, fixed }]. A keyword's
+// own negatives (" -word" after the phrase) are dropped; stop words are too
+// unless forced with "+" or fixed with "!".
+export function phraseWords(phrase) {
+  const main = phrase
+    .trim()
+    .replace(/^-/, '')
+    .split(/\s+-(?=\S)/)[0];
+  return main
+    .replace(/["[\]]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((token) => ({
+      word: token.replace(/^[!+]/, '').toLowerCase().replaceAll('ё', 'е'),
+      fixed: token.startsWith('!'),
+      forced: token.startsWith('+'),
+    }))
+    .filter((w) => w.word && (w.fixed || w.forced || !STOP_WORDS.has(w.word)))
+    .map(({ word, fixed }) => ({ word, fixed }));
+}
+
+// Whether `word` (from a phrase) matches `other` (a plain word form).
+function sameWord({ word, fixed }, other) {
+  return fixed ? word === other : stem(word) === stem(other);
+}
+
+// Whether the phrase `words` are all present among `inWords` (any order).
+export function containsWords(inWords, words) {
+  return words.length > 0 && words.every((w) => inWords.some((o) => sameWord(w, o.word)));
+}
+
+// Whether a negative keyword blocks queries a keyword targets: every word of the
+// negative occurs (in some form) in the keyword.
+export function blocksKeyword(negative, keyword) {
+  return containsWords(phraseWords(keyword), phraseWords(negative));
+}
+
+// A phrase list after a `mode` edit: set replaces it, add appends phrases not yet
+// present, remove drops the given ones. Phrases compare case-insensitively.
+export function editPhraseList(current = [], given, mode = 'set') {
+  const norm = (p) => p.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (mode === 'set') return given;
+  if (mode === 'add') {
+    const seen = new Set(current.map(norm));
+    return [...current, ...given.filter((p) => !seen.has(norm(p)) && seen.add(norm(p)))];
+  }
+  const removed = new Set(given.map(norm));
+  return current.filter((p) => !removed.has(norm(p)));
+}
@@ -0,0 +1,195 @@
+// Spend guardrails for bid and budget writes. A policy caps absolute amounts and
+// how far a single write may raise a current bid/budget, so a typo like 1500
+// instead of 15.00 is rejected before it reaches the API.
+//
+// Configured by a JSON file (YANDEX_DIRECT_POLICY_FILE) and/or env vars, env
+// taking precedence. All amounts are in account currency; absolute caps may be
+// a plain number or per-currency ({ "RUB": 100, "USD": 2 }). Per-campaign
+// overrides live under "campaigns", keyed by campaign ID:
+//
+//   {
+//     "maxBid": { "RUB": 100 },
+//     "maxCpa": { "RUB": 2000 },
+//     "maxDailyBudget": { "RUB": 10000 },
+//     "maxBidChangePct": 50,
+//     "maxBudgetChangePct": 100,
+//     "campaigns": { "12345": { "maxBid": { "RUB": 300 } } }
+//   }
+//
+// Change limits apply to increases only; lowering a bid or budget is never blocked.
+// Budget writes also cover the money amounts of automatic strategies: a weekly
+// spend limit is held to 7 × maxDailyBudget and maxBudgetChangePct, an average
+// CPC or bid ceiling to the bid limits, and a per-conversion target (average CPA,
+// pay-for-conversion CPA) to maxCpa and maxBidChangePct.
+
+import { readFileSync } from 'node:fs';
+import { fromMicro } from './money.mjs';
+import { strategyAmounts } from './strategy.mjs';
+
+const ENV_LIMITS = {
+  maxBid: 'YANDEX_DIRECT_MAX_BID',
+  maxCpa: 'YANDEX_DIRECT_MAX_CPA',
+  maxDailyBudget: 'YANDEX_DIRECT_MAX_DAILY_BUDGET',
+  maxBidChangePct: 'YANDEX_DIRECT_MAX_BID_CHANGE_PCT',
+  maxBudgetChangePct: 'YANDEX_DIRECT_MAX_BUDGET_CHANGE_PCT',
+};
+const LIMIT_KEYS = Object.keys(ENV_LIMITS);
+
+// What each kind of spend write is checked against, and which fields carry it.
+// `weekly` (a strategy's weekly spend limit) scales the daily cap by `capFactor`;
+// `cpa` is a target cost per conversion, far above any per-click bid.
+const SPEND_KINDS = {
+  bid: { cap: 'maxBid', changePct: 'maxBidChangePct', fields: ['Bid', 'ContextBid', 'AverageCpc'] },
+  cpa: { cap: 'maxCpa', changePct: 'maxBidChangePct', fields: ['AverageCpa'] },
+  budget: { cap: 'maxDailyBudget', changePct: 'maxBudgetChangePct', fields: ['DailyBudget'] },
+  weekly: { cap: 'maxDailyBudget', capFactor: 7, changePct: 'maxBudgetChangePct', fields: [] },
+};
+
+// Kind of each strategy money amount (strategy.strategyAmounts); the others
+// (average CPC, bid ceiling) are per-click bids.
+const STRATEGY_KINDS = { WeeklySpendLimit: 'weekly', AverageCpa: 'cpa', Cpa: 'cpa' };
+
+// The kinds whose fields a `spend` write is checked for: a bid write may also set
+// a smart filter's average CPA.
+const WRITE_KINDS = { bid: ['bid', 'cpa'], budget: ['budget'] };
+
+// Returns null when no limit is configured (the policy layer is then skipped).
+export function loadSpendPolicy(env = process.env) {
+  let policy = {};
+  if (env.YANDEX_DIRECT_POLICY_FILE) {
+    try {
+      policy = JSON.parse(readFileSync(env.YANDEX_DIRECT_POLICY_FILE, 'utf8'));
+    } catch (err) {
+      throw new Error(`Cannot load spend policy from YANDEX_DIRECT_POLICY_FILE: ${err.message}`);
+    }
+  }
+  for (const [key, name] of Object.entries(ENV_LIMITS)) {
+    if (!env[name]) continue;
+    const value = Number(env[name]);
+    if (!Number.isFinite(value) || value < 0) throw new Error(`${name} must be a non-negative number.`);
+    policy[key] = value;
+  }
+  const campaigns = policy.campaigns ?? {};
+  const active = LIMIT_KEYS.some((k) => policy[k] != null) || Object.keys(campaigns).length > 0;
+  return active ? { ...policy, campaigns } : null;
+}
+
+// Limits in force for a campaign (its override over the global ones), resolved
+// for `currency`. A per-currency cap with no entry for it is no cap.
+export function limitsFor(policy, campaignId, currency) {
+  const merged = { ...policy, ...(campaignId != null ? policy.campaigns[campaignId] : null) };
+  return Object.fromEntries(
+    LIMIT_KEYS.map((k) => {
+      const v = merged[k];
+      return [k, v != null && typeof v === 'object' ? v[currency] : v];
+    }),
+  );
+}
+
+// Check spend amounts (in account currency) against the policy. Each amount is
+// { subject, campaignId, field, before, after } with before null for new objects.
+// Returns human-readable violations ([] when everything is within limits).
+export function findViolations(policy, kind, amounts, currency) {
+  const { cap, capFactor, changePct } = SPEND_KINDS[kind];
+  const unit = currency ? ` ${currency}` : '';
+  const factor = capFactor ? `${capFactor} × ` : '';
+  const violations = [];
+  for (const { subject, campaignId, field, before, after } of amounts) {
+    const limits = limitsFor(policy, campaignId, currency);
+    const scope = campaignId != null && policy.campaigns[campaignId] ? ` for campaign ${campaignId}` : '';
+    if (limits[cap] != null && after > limits[cap] * (capFactor ?? 1)) {
+      violations.push(
+        `${subject}: ${field} ${after}${unit} exceeds ${factor}the ${cap} of ${limits[cap]}${unit}${scope}`,
+      );
+    }
+    if (limits[changePct] != null && before > 0 && after > before) {
+      const pct = ((after - before) / before) * 100;
+      if (pct > limits[changePct]) {
+        violations.push(
+          `${subject}: ${field} raise ${before} → ${after}${unit} (+${Math.round(pct)}%) exceeds the ${changePct} of ${limits[changePct]}%${scope}`,
+        );
+      }
+    }
+  }
+  return violations;
+}
+
+// Violations for a previewed bid/budget write (see mutations.previewChanges).
+// Resolves each change's campaign (for overrides) and the account currency.
+export async function checkSpend(client, policy, kind, changes) {
+  const adGroupCampaigns = await campaignsOfAdGroups(
+    client,
+    changes.filter((c) => c.after?.CampaignId == null && c.after?.AdGroupId != null).map((c) => c.after.AdGroupId),
+  );
+
+  const amounts = { bid: [], cpa: [], budget: [], weekly: [] };
+  for (const { id, before, after } of changes) {
+    if (!after) continue;
+    const subject = id != null ? `ID ${id}` : 'new item';
+    const campaignId =
+      kind === 'budget' ? id : (after.CampaignId ?? before?.CampaignId ?? adGroupCampaigns.get(after.AdGroupId));
+    for (const k of WRITE_KINDS[kind]) {
+      for (const field of SPEND_KINDS[k].fields) {
+        const value = amountOf(after[field]);
+        if (value == null) continue;
+        amounts[k].push({ subject, campaignId, field, before: amountOf(before?.[field]), after: value });
+      }
+    }
+    if (kind !== 'budget') continue;
+    const previous = new Map(strategyAmounts(strategyOf(before)).map((a) => [a.field, a.micro]));
+    for (const { field, key, micro } of strategyAmounts(strategyOf(after))) {
+      amounts[STRATEGY_KINDS[key] ?? 'bid'].push({
+        subject,
+        campaignId,
+        field,
+        before: amountOf(previous.get(field)),
+        after: fromMicro(micro),
+      });
+    }
+  }
+  const kinds = Object.entries(amounts).filter(([, list]) => list.length);
+  if (!kinds.length) return [];
+  const currency = await accountCurrency(client);
+  return kinds.flatMap(([k, list]) => findViolations(policy, k, list, currency));
+}
+
+// The BiddingStrategy of a campaign, inside whichever type structure it has.
+function strategyOf(campaign) {
+  return Object.values(campaign ?? {}).find((v) => v?.BiddingStrategy)?.BiddingStrategy;
+}
+
+// A bid change needs LIVE confirmation when it raises any bid (search, network, or
+// a smart filter's average CPC/CPA) above its current value (a `confirm`
+// predicate for runWrite() over previewed changes).
+export function raisesBid(changes) {
+  return changes.some(({ before, after }) =>
+    ['Bid', 'ContextBid', 'AverageCpc', 'AverageCpa'].some((k) => after?.[k] != null && after[k] > (before?.[k] ?? 0)),
+  );
+}
+
+// A bid is a bare micro amount; a budget is { Amount, Mode }.
+function amountOf(value) {
+  const micro = value != null && typeof value === 'object' ? value.Amount : value;
+  return micro == null ? null : fromMicro(micro);
+}
+
+async function campaignsOfAdGroups(client, ids) {
+  if (!ids.length) return new Map();
+  const { items } = await client.directGetAll(
+    'adgroups',
+    { SelectionCriteria: { Ids: [...new Set(ids)] }, FieldNames: ['Id', 'CampaignId'] },
+    'AdGroups',
+  );
+  return new Map(items.map((g) => [g.Id, g.CampaignId]));
+}
+
+// The account currency never changes within a session, so it is read once.
+let currencyCache = null;
+
+async function accountCurrency(client) {
+  if (!currencyCache) {
+    const result = await client.directRequest('clients', 'get', { FieldNames: ['Currency'] });
+    currencyCache = result.Clients?.[0]?.Currency ?? null;
+  }
+  return currencyCache;
+}
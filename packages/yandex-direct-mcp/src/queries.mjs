@@ -0,0 +1,170 @@
+// Search query mining. The SEARCH_QUERY_PERFORMANCE_REPORT lists the queries
+// each keyword (or autotargeting) was shown for; mining groups them by that
+// keyword, merges queries that differ only in word forms ("купить телефон" and
+// "купить телефоны" count as one), and sorts them by thresholds into candidates:
+//
+//   - new keywords: queries that converted (at or below max CPA), added to the
+//     triggering keyword's ad group;
+//   - negatives: queries with no conversions and enough clicks or cost. The
+//     negative is the query's words the keyword lacks ("бу" for the query
+//     "купить телефон бу" on "купить телефон"), or the whole query when there
+//     are none (autotargeting), unless it would block one of the account's
+//     own keywords.
+//
+// Word forms are compared by stem (see phrases.mjs), not by Direct's dictionary.
+
+import { AUTOTARGETING_KEYWORD } from './autotargeting.mjs';
+import { blocksKeyword, phraseWords, stem } from './phrases.mjs';
+import { metricValues, rowMetrics } from './rules.mjs';
+
+export const QUERY_REPORT_FIELDS = [
+  'Query',
+  'CampaignId',
+  'AdGroupId',
+  'CriterionId',
+  'Criterion',
+  'CriterionType',
+  'Impressions',
+  'Clicks',
+  'Cost',
+  'Conversions',
+];
+
+// Word-form-insensitive identity of a phrase: its stems, sorted.
+export function phraseKey(phrase) {
+  return phraseWords(phrase)
+    .map((w) => stem(w.word))
+    .sort()
+    .join(' ');
+}
+
+// Words of `query` that no word of `keyword` matches, in query order.
+export function extraWords(query, keyword) {
+  const own = new Set(phraseWords(keyword).map((w) => stem(w.word)));
+  return phraseWords(query)
+    .map((w) => w.word)
+    .filter((word) => !own.has(stem(word)));
+}
+
+function addMetrics(a, b) {
+  return {
+    impressions: a.impressions + b.impressions,
+    clicks: a.clicks + b.clicks,
+    cost: a.cost + b.cost,
+    conversions: a.conversions + b.conversions,
+  };
+}
+
+// Report rows grouped by triggering keyword, queries merged by word forms:
+// [{ keywordId, keyword, adGroupId, campaignId, queries: [{ query, variants, metrics }] }].
+// A merged query is named by its most clicked variant.
+export function groupQueries(rows) {
+  const keywords = new Map();
+  for (const row of rows) {
+    const keywordId = Number(row.CriterionId);
+    const entry = keywords.get(keywordId) ?? {
+      keywordId,
+      keyword: row.CriterionType === 'AUTOTARGETING' ? AUTOTARGETING_KEYWORD : row.Criterion,
+      adGroupId: Number(row.AdGroupId),
+      campaignId: Number(row.CampaignId),
+      byKey: new Map(),
+    };
+    keywords.set(keywordId, entry);
+    const key = phraseKey(row.Query);
+    const metrics = rowMetrics(row);
+    const known = entry.byKey.get(key);
+    if (!known) {
+      entry.byKey.set(key, { query: row.Query, top: metrics.clicks, variants: [row.Query], metrics });
+      continue;
+    }
+    known.metrics = addMetrics(known.metrics, metrics);
+    if (!known.variants.includes(row.Query)) known.variants.push(row.Query);
+    if (metrics.clicks > known.top) Object.assign(known, { query: row.Query, top: metrics.clicks });
+  }
+  return [...keywords.values()].map(({ byKey, ...entry }) => ({
+    ...entry,
+    queries: [...byKey.values()].map(({ top, ...q }) => q),
+  }));
+}
+
+// Classify grouped queries. `thresholds`: { minConversions, maxCpa, negativeMinClicks,
+// negativeMinCost }; `ownKeywords`: the campaigns' keywords as [{ AdGroupId,
+// CampaignId, Keyword }]; `negativeLevel`: 'adgroup' or 'campaign', where a
+// keyword's negatives go.
+// Returns { keywords: [{ adGroupId, phrase, from, metrics }],
+// negatives: [{ level, id, phrase, from, queries, metrics }], skipped: [{ query, from, reason }] }.
+export function classifyQueries(groups, thresholds, { ownKeywords = [], negativeLevel = 'adgroup' }) {
+  const { minConversions = 1, maxCpa, negativeMinClicks = 10, negativeMinCost } = thresholds;
+  const result = { keywords: [], negatives: [], skipped: [] };
+  const keywordKeys = new Set();
+  const negativesByKey = new Map();
+
+  for (const group of groups) {
+    const from = { keywordId: group.keywordId, keyword: group.keyword };
+    const ownKeys = new Set(
+      ownKeywords.filter((k) => k.AdGroupId === group.adGroupId).map((k) => phraseKey(k.Keyword)),
+    );
+    const target =
+      negativeLevel === 'campaign'
+        ? { level: 'campaign', id: group.campaignId }
+        : { level: 'adgroup', id: group.adGroupId };
+    const targetKeywords = ownKeywords
+      .filter((k) =>
+        negativeLevel === 'campaign' ? k.CampaignId === group.campaignId : k.AdGroupId === group.adGroupId,
+      )
+      .map((k) => k.Keyword)
+      .filter((k) => k !== AUTOTARGETING_KEYWORD);
+
+    for (const q of group.queries) {
+      const values = metricValues(q.metrics);
+      const key = phraseKey(q.query);
+      if (q.metrics.conversions >= minConversions) {
+        if (maxCpa != null && values.cpa > maxCpa) {
+          result.skipped.push({
+            query: q.query,
+            from,
+            reason: `CPA ${+values.cpa.toFixed(2)} above max_cpa ${maxCpa}`,
+          });
+          continue;
+        }
+        if (ownKeys.has(key)) {
+          result.skipped.push({ query: q.query, from, reason: 'already a keyword in the ad group' });
+          continue;
+        }
+        const id = `${group.adGroupId}|${key}`;
+        if (keywordKeys.has(id)) continue;
+        keywordKeys.add(id);
+        result.keywords.push({ adGroupId: group.adGroupId, phrase: q.query, from, metrics: q.metrics });
+        continue;
+      }
+      const wasteful =
+        q.metrics.clicks >= negativeMinClicks || (negativeMinCost != null && q.metrics.cost >= negativeMinCost);
+      if (q.metrics.conversions > 0 || !wasteful) continue;
+
+      const extra = group.keyword === AUTOTARGETING_KEYWORD ? [] : extraWords(q.query, group.keyword);
+      const whole = phraseWords(q.query)
+        .map((w) => w.word)
+        .join(' ');
+      let phrase = extra.length ? extra.join(' ') : whole;
+      if (targetKeywords.some((k) => blocksKeyword(phrase, k))) {
+        phrase = whole;
+        const blocked = targetKeywords.find((k) => blocksKeyword(phrase, k));
+        if (blocked) {
+          result.skipped.push({ query: q.query, from, reason: `a negative would block the keyword "${blocked}"` });
+          continue;
+        }
+      }
+      const id = `${target.level}|${target.id}|${phraseKey(phrase)}`;
+      const known = negativesByKey.get(id);
+      if (known) {
+        known.queries.push(q.query);
+        known.metrics = addMetrics(known.metrics, q.metrics);
+        continue;
+      }
+      const negative = { ...target, phrase, from, queries: [q.query], metrics: q.metrics };
+      negativesByKey.set(id, negative);
+      result.negatives.push(negative);
+    }
+  }
+  return result;
+}
@@ -0,0 +1,78 @@
+// Retargeting lists (условия подбора аудитории) and audience targets. A list is a
+// set of rule groups over Metrica goals and Audience segments: within a group
+// the operator combines the conditions (all / any / none of them met), and a
+// visitor belongs to the list when every group holds. Goals take a look-back
+// window in days (MembershipLifeSpan, 1–540); segments take none. An
+// audience target puts a list (or an interest) on an ad group, with a network
+// bid for manual strategies or a priority for automatic ones.
+
+import { z } from 'zod';
+import { fromMicro } from './money.mjs';
+
+const OPERATORS = { all: 'ALL', any: 'ANY', none: 'NONE' };
+const OPERATOR_NAMES = { ALL: 'all of', ANY: 'any of', NONE: 'none of' };
+
+export const MAX_LIFESPAN_DAYS = 540;
+
+export const retargetingRulesSchema = z
+  .array(
+    z.object({
+      operator: z.enum(['all', 'any', 'none']).describe('all / any / none of the conditions met'),
+      conditions: z
+        .array(
+          z.object({
+            external_id: z.number().describe('Metrica goal ID or Audience segment ID'),
+            days: z
+              .number()
+              .int()
+              .min(1)
+              .max(MAX_LIFESPAN_DAYS)
+              .optional()
+              .describe('Goals: look-back window in days (1–540); omit for segments'),
+          }),
+        )
+        .min(1),
+    }),
+  )
+  .min(1)
+  .describe('Rule groups, all of which must hold');
+
+// v5 Rules from input rule groups. Throws when every group is a "none" group:
+// a list has to select someone before it can exclude anyone.
+export function toRetargetingRules(rules) {
+  if (rules.every((r) => r.operator === 'none')) {
+    throw new Error('A retargeting list needs at least one "all" or "any" rule group besides "none" groups.');
+  }
+  return rules.map((rule) => ({
+    Operator: OPERATORS[rule.operator],
+    Arguments: rule.conditions.map((c) => ({
+      ExternalId: c.external_id,
+      ...(c.days != null ? { MembershipLifeSpan: c.days } : {}),
+    })),
+  }));
+}
+
+// "any of [goal 123 within 30 days, 456] AND none of [789 within 90 days]".
+export function describeRetargetingRules(rules = []) {
+  return rules
+    .map((rule) => {
+      const args = rule.Arguments.map(
+        (a) => `${a.ExternalId}${a.MembershipLifeSpan ? ` within ${a.MembershipLifeSpan} days` : ''}`,
+      );
+      return `${OPERATOR_NAMES[rule.Operator] ?? rule.Operator} [${args.join(', ')}]`;
+    })
+    .join(' AND ');
+}
+
+export function formatRetargetingList(list) {
+  const available = list.IsAvailable === 'NO' ? 'UNAVAILABLE (a goal or segment is no longer accessible)' : 'available';
+  const description = list.Description ? ` — ${list.Description}` : '';
+  return `- "${list.Name}" (ID ${list.Id}, ${list.Type}, ${available})${description}: ${describeRetargetingRules(list.Rules)}`;
+}
+
+export function formatAudienceTarget(t) {
+  const target = t.RetargetingListId != null ? `list ${t.RetargetingListId}` : `interest ${t.InterestId}`;
+  const bid = t.ContextBid != null ? `, network bid ${fromMicro(t.ContextBid)}` : '';
+  const priority = t.StrategyPriority ? `, priority ${t.StrategyPriority}` : '';
+  return `- Target ${t.Id}: ${target} on group ${t.AdGroupId} (campaign ${t.CampaignId}) — state ${t.State}${bid}${priority}`;
+}
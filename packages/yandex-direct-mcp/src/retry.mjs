@@ -0,0 +1,60 @@
+// Retry policy for transient Yandex Direct failures. Only idempotent reads are
+// retried (v5 `get`, the Reports service, Live v4 `Get` actions): a mutation that
+// failed in transit may still have been applied, so those surface the first error.
+//
+// Errors thrown by client.mjs carry `status` (HTTP) and `errorCode` (API code);
+// transport failures carry `network: true`. Transient ones per the Direct docs:
+//   506        — concurrent request limit for the login exceeded
+//   1000-1002  — server busy / temporarily unavailable
+// plus HTTP 429 throttling and 5xx gateway errors.
+
+const TRANSIENT_CODES = new Set([506, 1000, 1001, 1002]);
+const TRANSIENT_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+export function delay(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+// Error with the fields isTransient() inspects.
+export function apiError(message, { status, errorCode, network } = {}) {
+  return Object.assign(new Error(message), { status, errorCode, network });
+}
+
+// YANDEX_DIRECT_RETRIES: extra attempts after the first (default 3, 0 disables).
+// YANDEX_DIRECT_RETRY_BASE_MS: first backoff ceiling, doubled per attempt (default 1000).
+export function retryPolicy(env = process.env) {
+  const retries = Number.parseInt(env.YANDEX_DIRECT_RETRIES ?? '', 10);
+  const baseMs = Number.parseInt(env.YANDEX_DIRECT_RETRY_BASE_MS ?? '', 10);
+  return {
+    retries: Number.isInteger(retries) && retries >= 0 ? retries : 3,
+    baseMs: Number.isInteger(baseMs) && baseMs >= 0 ? baseMs : 1000,
+    maxMs: 30_000,
+  };
+}
+
+export function isTransient(err) {
+  return Boolean(err.network || TRANSIENT_CODES.has(err.errorCode) || TRANSIENT_STATUSES.has(err.status));
+}
+
+// Exponential backoff with full jitter: uniform in [0, min(maxMs, baseMs * 2^attempt)).
+export function backoffDelay(attempt, { baseMs, maxMs }, random = Math.random) {
+  return Math.floor(random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+// Run fn(), retrying transient failures per `policy`. When it gives up after more
+// than one attempt, the final error message records how many were made.
+export async function withRetry(fn, policy, sleep = delay) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= policy.retries || !isTransient(err)) {
+        if (attempt > 0) err.message += ` (gave up after ${attempt + 1} attempts)`;
+        throw err;
+      }
+      await sleep(backoffDelay(attempt, policy));
+    }
+  }
+}
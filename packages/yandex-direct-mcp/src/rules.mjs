@@ -0,0 +1,263 @@
+// Rule-based bid management. A rule set (JSON or YAML, inline or a file) lists
+// rules that are evaluated against per-keyword statistics from the
+// CRITERIA_PERFORMANCE_REPORT; the first rule whose conditions all hold decides
+// a keyword's new search bid:
+//
+//   campaignIds: [12345]          # optional, default: every campaign
+//   goalIds: [678]                # optional Metrika goals counted as conversions
+//   rules:
+//     - name: Expensive conversions
+//       days: 14                  # window ending yesterday (default 14)
+//       when: [cpa > 500, clicks > 30]
+//       bidChangePct: -15         # or setBid: 5 (account currency)
+//       minBid: 1                 # optional bounds for the new bid
+//
+// Metrics: impressions, clicks, cost, conversions, ctr (%), avg_cpc, cpa,
+// conversion_rate (%). Ratios are undefined when their divisor is zero (cpa with
+// no conversions), and a condition on an undefined metric never holds — write
+// `conversions = 0` to catch keywords that spend without converting.
+
+import { readFile } from 'node:fs/promises';
+import { parse as parseYaml } from 'yaml';
+import { z } from 'zod';
+import { toMicro } from './money.mjs';
+
+const METRICS = {
+  impressions: (m) => m.impressions,
+  clicks: (m) => m.clicks,
+  cost: (m) => m.cost,
+  conversions: (m) => m.conversions,
+  ctr: (m) => (m.impressions ? (m.clicks / m.impressions) * 100 : null),
+  avg_cpc: (m) => (m.clicks ? m.cost / m.clicks : null),
+  cpa: (m) => (m.conversions ? m.cost / m.conversions : null),
+  conversion_rate: (m) => (m.clicks ? (m.conversions / m.clicks) * 100 : null),
+};
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+const CONDITION = /^\s*([a-z_]+)\s*(>=|<=|!=|>|<|=)\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+const conditionSchema = z.string().refine((c) => CONDITION.test(c) && METRICS[c.match(CONDITION)[1]], {
+  message: `expected "<metric> <op> <number>" with a metric among ${Object.keys(METRICS).join(', ')}`,
+});
+
+const ruleSchema = z
+  .object({
+    name: z.string().min(1),
+    days: z.number().int().min(1).max(180).default(14),
+    when: z.array(conditionSchema).min(1),
+    bidChangePct: z.number().min(-90).max(500).optional(),
+    setBid: z.number().positive().optional(),
+    minBid: z.number().positive().optional(),
+    maxBid: z.number().positive().optional(),
+  })
+  .strict()
+  .refine((r) => (r.bidChangePct == null) !== (r.setBid == null), {
+    message: 'give exactly one of bidChangePct or setBid',
+  });
+
+const ruleSetSchema = z
+  .object({
+    campaignIds: z.array(z.number()).optional(),
+    goalIds: z.array(z.number()).optional(),
+    rules: z.array(ruleSchema).min(1),
+  })
+  .strict();
+
+// A validated rule set from its JSON/YAML text (JSON is valid YAML).
+export function parseRules(text) {
+  let data;
+  try {
+    data = parseYaml(text);
+  } catch (err) {
+    throw new Error(`Cannot parse the rules: ${err.message}`);
+  }
+  const result = ruleSetSchema.safeParse(data);
+  if (!result.success) {
+    const issues = result.error.issues.map((i) => `- ${i.path.join('.') || '(root)'}: ${i.message}`);
+    throw new Error(`Invalid rules:\n${issues.join('\n')}`);
+  }
+  return result.data;
+}
+
+// Rule set from inline text or a local file (exactly one of them).
+export async function loadRules({ text, path }) {
+  if (!text === !path) throw new Error('Pass exactly one of rules or rules_path.');
+  if (text) return parseRules(text);
+  let content;
+  try {
+    content = await readFile(path, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read ${path}: ${err.message}`);
+  }
+  return parseRules(content);
+}
+
+// Report cells are strings, with "--" for no data.
+function number(value) {
+  const n = Number(value);
+  return value == null || value === '--' || Number.isNaN(n) ? 0 : n;
+}
+
+// Raw metrics of one report row. With goals, conversions come as one
+// Conversions_<goal>_<model> column per goal and are summed.
+export function rowMetrics(row) {
+  const conversions = Object.entries(row)
+    .filter(([k]) => k === 'Conversions' || k.startsWith('Conversions_'))
+    .reduce((sum, [, v]) => sum + number(v), 0);
+  return {
+    impressions: number(row.Impressions),
+    clicks: number(row.Clicks),
+    cost: number(row.Cost),
+    conversions,
+  };
+}
+
+// Derived metric values for the conditions and the run summary.
+export function metricValues(metrics) {
+  return Object.fromEntries(Object.entries(METRICS).map(([name, f]) => [name, f(metrics)]));
+}
+
+export function conditionHolds(condition, values) {
+  const [, metric, op, value] = condition.match(CONDITION);
+  const actual = values[metric];
+  return actual != null && OPERATORS[op](actual, Number(value));
+}
+
+// The first rule whose conditions all hold for `metricsByDays` (raw metrics per
+// window length), or undefined.
+export function matchRule(rules, metricsByDays) {
+  return rules.find((rule) => {
+    const metrics = metricsByDays[rule.days];
+    if (!metrics) return false;
+    const values = metricValues(metrics);
+    return rule.when.every((c) => conditionHolds(c, values));
+  });
+}
+
+// New search bid (micro-units) a rule gives a keyword currently bidding `current`,
+// rounded to 0.01 of the currency and kept within the rule's bounds.
+export function ruleBid(rule, current) {
+  let bid = rule.setBid != null ? rule.setBid : (current / 1_000_000) * (1 + rule.bidChangePct / 100);
+  if (rule.minBid != null) bid = Math.max(bid, rule.minBid);
+  if (rule.maxBid != null) bid = Math.min(bid, rule.maxBid);
+  return toMicro(Math.round(bid * 100) / 100);
+}
+
+// "cpa 612.5, clicks 41" — the metrics a rule's conditions refer to.
+export function describeMetrics(rule, metrics) {
+  const values = metricValues(metrics);
+  const names = [...new Set(rule.when.map((c) => c.match(CONDITION)[1]))];
+  return names
+    .map((name) => `${name} ${values[name] == null ? 'n/a' : Math.round(values[name] * 100) / 100}`)
+    .join(', ');
+}
+
+// YYYY-MM-DD of the day `back` days before `date`.
+function dayBefore(date, back) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - back);
+  return d.toISOString().slice(0, 10);
+}
+
+let reportCounter = 0;
+
+// Per-keyword raw metrics over the `days` ending yesterday: Map KeywordId → row info.
+async function keywordStats(client, ruleSet, days, today) {
+  const Filter = [{ Field: 'CriterionType', Operator: 'IN', Values: ['KEYWORD', 'AUTOTARGETING'] }];
+  if (ruleSet.campaignIds?.length) {
+    Filter.push({ Field: 'CampaignId', Operator: 'IN', Values: ruleSet.campaignIds.map(String) });
+  }
+  reportCounter += 1;
+  const params = {
+    SelectionCriteria: { DateFrom: dayBefore(today, days), DateTo: dayBefore(today, 1), Filter },
+    FieldNames: ['CampaignId', 'CriterionId', 'Criterion', 'Impressions', 'Clicks', 'Cost', 'Conversions'],
+    ReportName: `mcp-bid-rules-${Date.now()}-${reportCounter}`,
+    ReportType: 'CRITERIA_PERFORMANCE_REPORT',
+    DateRangeType: 'CUSTOM_DATE',
+    IncludeVAT: 'NO',
+  };
+  if (ruleSet.goalIds?.length) params.Goals = ruleSet.goalIds.map(String);
+  const rows = await client.reportRequest(params);
+  return new Map(
+    rows.map((row) => [
+      Number(row.CriterionId),
+      { campaignId: Number(row.CampaignId), keyword: row.Criterion, metrics: rowMetrics(row) },
+    ]),
+  );
+}
+
+// Evaluate a rule set. Returns { proposals: [{ KeywordId, CampaignId, keyword,
+// rule, metrics, before, after }], skipped: [{ KeywordId, keyword, reason }],
+// counts: { keywords, matched: { [rule]: n }, unmatched } }. Bids are micro-units.
+export async function evaluateRules(client, ruleSet, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const windows = [...new Set(ruleSet.rules.map((r) => r.days))];
+  const stats = new Map();
+  for (const days of windows) {
+    for (const [id, entry] of await keywordStats(client, ruleSet, days, today)) {
+      const known = stats.get(id) ?? { campaignId: entry.campaignId, keyword: entry.keyword, byDays: {} };
+      known.byDays[days] = entry.metrics;
+      stats.set(id, known);
+    }
+  }
+  // A keyword missing from one window's report had no activity in it.
+  const idle = { impressions: 0, clicks: 0, cost: 0, conversions: 0 };
+  const counts = { keywords: stats.size, matched: {}, unmatched: 0 };
+  const matches = [];
+  for (const [id, entry] of stats) {
+    const byDays = Object.fromEntries(windows.map((d) => [d, entry.byDays[d] ?? idle]));
+    const rule = matchRule(ruleSet.rules, byDays);
+    if (!rule) {
+      counts.unmatched += 1;
+      continue;
+    }
+    counts.matched[rule.name] = (counts.matched[rule.name] ?? 0) + 1;
+    matches.push({ id, entry, rule, metrics: describeMetrics(rule, byDays[rule.days]) });
+  }
+
+  const bids = new Map();
+  for (let start = 0; start < matches.length; start += 10000) {
+    const { items } = await client.directGetAll(
+      'keywordbids',
+      {
+        SelectionCriteria: { KeywordIds: matches.slice(start, start + 10000).map((m) => m.id) },
+        FieldNames: ['KeywordId'],
+        SearchFieldNames: ['Bid'],
+      },
+      'KeywordBids',
+    );
+    for (const item of items) bids.set(item.KeywordId, item.Search?.Bid);
+  }
+
+  const proposals = [];
+  const skipped = [];
+  for (const { id, entry, rule, metrics } of matches) {
+    const before = bids.get(id);
+    if (before == null) {
+      skipped.push({ KeywordId: id, keyword: entry.keyword, reason: 'no manual search bid (automatic strategy?)' });
+      continue;
+    }
+    const after = ruleBid(rule, before);
+    if (after === before) {
+      skipped.push({ KeywordId: id, keyword: entry.keyword, reason: `rule "${rule.name}" leaves the bid unchanged` });
+      continue;
+    }
+    proposals.push({
+      KeywordId: id,
+      CampaignId: entry.campaignId,
+      keyword: entry.keyword,
+      rule: rule.name,
+      metrics,
+      before,
+      after,
+    });
+  }
+  return { proposals, skipped, counts };
+}
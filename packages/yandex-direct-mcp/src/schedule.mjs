@@ -0,0 +1,114 @@
+// Campaign time targeting. Tools take a schedule as rules ("weekdays 9–18 at 100%")
+// and toTimeTargeting() expands them into the v5 TimeTargeting structure, whose
+// Schedule is one "day,h0,...,h23" string per weekday (1 = Monday) with a bid
+// percentage per hour (0 = no impressions). formatTimeTargeting() draws a stored
+// schedule back as an hour-by-weekday grid.
+
+import { z } from 'zod';
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Direct requires at least this many serving hours across Monday–Friday.
+const MIN_WEEKDAY_HOURS = 40;
+
+const hour = z.number().int().min(0).max(23);
+const bidPercent = z.number().int().min(10).max(200).multipleOf(10);
+
+export const timeTargetingSchema = z
+  .object({
+    schedule: z
+      .array(
+        z.object({
+          days: z.array(z.number().int().min(1).max(7)).min(1).describe('Weekdays, 1 = Monday … 7 = Sunday'),
+          from_hour: hour.describe('First hour served, 0-23'),
+          to_hour: z.number().int().min(1).max(24).describe('Hour serving stops (exclusive), 1-24'),
+          bid_percent: bidPercent
+            .optional()
+            .describe('Bid adjustment for these hours, 10-200 in steps of 10 (default 100)'),
+        }),
+      )
+      .min(1)
+      .describe('Serving hours; hours no rule covers get no impressions, later rules override earlier ones'),
+    consider_working_weekends: z
+      .boolean()
+      .optional()
+      .describe('Follow moved working days (a Saturday worked instead of a holiday uses that weekday’s hours)'),
+    holidays: z
+      .object({
+        suspend: z.boolean().describe('Stop serving on public holidays'),
+        from_hour: hour.optional().describe('When not suspended: first hour served on holidays'),
+        to_hour: z.number().int().min(1).max(24).optional().describe('When not suspended: hour serving stops'),
+        bid_percent: bidPercent.optional().describe('When not suspended: bid adjustment on holidays (default 100)'),
+      })
+      .optional()
+      .describe('Public holiday rule'),
+  })
+  .describe('Time targeting: weekly schedule rules plus optional holiday rule');
+
+// Schedule rules → v5 TimeTargeting. Throws on empty hour ranges and schedules
+// below the weekday minimum.
+export function toTimeTargeting({ schedule, consider_working_weekends, holidays }) {
+  const grid = DAYS.map(() => new Array(24).fill(0));
+  for (const rule of schedule) {
+    if (rule.to_hour <= rule.from_hour) {
+      throw new Error(`Schedule rule ${rule.from_hour}–${rule.to_hour}: to_hour must be after from_hour.`);
+    }
+    for (const day of rule.days) {
+      for (let h = rule.from_hour; h < rule.to_hour; h++) grid[day - 1][h] = rule.bid_percent ?? 100;
+    }
+  }
+  const weekdayHours = grid.slice(0, 5).reduce((sum, day) => sum + day.filter(Boolean).length, 0);
+  if (weekdayHours < MIN_WEEKDAY_HOURS) {
+    throw new Error(
+      `The schedule serves ${weekdayHours} hours on Monday–Friday; Direct requires at least ${MIN_WEEKDAY_HOURS}.`,
+    );
+  }
+
+  const result = { Schedule: { Items: grid.map((hours, i) => [i + 1, ...hours].join(',')) } };
+  if (consider_working_weekends != null) result.ConsiderWorkingWeekends = consider_working_weekends ? 'YES' : 'NO';
+  if (holidays) result.HolidaysSchedule = toHolidaysSchedule(holidays);
+  return result;
+}
+
+function toHolidaysSchedule({ suspend, from_hour, to_hour, bid_percent }) {
+  if (suspend) return { SuspendOnHolidays: 'YES' };
+  if (from_hour == null || to_hour == null || to_hour <= from_hour) {
+    throw new Error('holidays: when not suspended, from_hour and to_hour (after from_hour) are required.');
+  }
+  return { SuspendOnHolidays: 'NO', StartHour: from_hour, EndHour: to_hour, BidPercent: bid_percent ?? 100 };
+}
+
+// One character per hour: "." off, "#" 100%, "+" above, "-" below.
+function hourMark(percent) {
+  if (!percent) return '.';
+  if (percent === 100) return '#';
+  return percent > 100 ? '+' : '-';
+}
+
+// Hour-by-weekday grid of a v5 TimeTargeting, plus the holiday rule.
+export function formatTimeTargeting(timeTargeting) {
+  const items = timeTargeting?.Schedule?.Items;
+  if (!items?.length) return 'every day, all hours (no time targeting)';
+  const lines = ['     000000000011111111112222', '     012345678901234567890123'];
+  const adjusted = new Set();
+  for (const item of items) {
+    const [day, ...hours] = item.split(',').map(Number);
+    for (const p of hours) if (p && p !== 100) adjusted.add(p);
+    lines.push(`${DAYS[day - 1] ?? day}  ${hours.map(hourMark).join('')}`);
+  }
+  lines.push(
+    `(# 100%, + / - adjusted bid${adjusted.size ? `: ${[...adjusted].sort((a, b) => a - b).join('%, ')}%` : ''}, . off)`,
+  );
+  if (timeTargeting.ConsiderWorkingWeekends) {
+    lines.push(`working weekends considered: ${timeTargeting.ConsiderWorkingWeekends}`);
+  }
+  const holidays = timeTargeting.HolidaysSchedule;
+  if (holidays) {
+    lines.push(
+      holidays.SuspendOnHolidays === 'YES'
+        ? 'holidays: suspended'
+        : `holidays: ${holidays.StartHour}–${holidays.EndHour} at ${holidays.BidPercent}%`,
+    );
+  }
+  return lines.join('\n');
+}
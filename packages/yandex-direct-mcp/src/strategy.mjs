@@ -0,0 +1,237 @@
+// Text and Unified Performance campaign bidding strategies. Tools take a strategy
+// as { search, network }, each a zod discriminated union on `type` whose variants
+// carry exactly the parameters that strategy requires (amounts in account
+// currency). toBiddingStrategy() converts it into the v5 BiddingStrategy object
+// (micro-units) and describeStrategy() renders one back for humans.
+
+import { z } from 'zod';
+import { fromMicro, toMicro } from './money.mjs';
+
+const amount = z.number().positive();
+const goalId = z.number().describe('Metrica goal ID (see the Metrica counter goals)');
+const weeklyLimit = amount.describe('Weekly spend limit in account currency');
+const bidCeiling = amount.describe('Max bid in account currency');
+
+// Automatic (wallet-based) strategies, usable on search and, with search off, in networks.
+const AUTOMATIC = [
+  z.object({
+    type: z.literal('WB_MAXIMUM_CLICKS'),
+    weekly_spend_limit: weeklyLimit,
+    bid_ceiling: bidCeiling.optional(),
+  }),
+  z.object({
+    type: z.literal('WB_MAXIMUM_CONVERSION_RATE'),
+    weekly_spend_limit: weeklyLimit,
+    goal_id: goalId,
+    bid_ceiling: bidCeiling.optional(),
+  }),
+  z.object({
+    type: z.literal('AVERAGE_CPC'),
+    average_cpc: amount.describe('Target average cost per click in account currency'),
+    weekly_spend_limit: weeklyLimit.optional(),
+  }),
+  z.object({
+    type: z.literal('AVERAGE_CPA'),
+    average_cpa: amount.describe('Target average cost per conversion in account currency'),
+    goal_id: goalId,
+    weekly_spend_limit: weeklyLimit.optional(),
+    bid_ceiling: bidCeiling.optional(),
+  }),
+  z.object({
+    type: z.literal('PAY_FOR_CONVERSION'),
+    cpa: amount.describe('Price paid per conversion in account currency'),
+    goal_id: goalId,
+    weekly_spend_limit: weeklyLimit.optional(),
+  }),
+];
+
+export const searchStrategySchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('HIGHEST_POSITION') }),
+  z.object({ type: z.literal('SERVING_OFF') }),
+  ...AUTOMATIC,
+]);
+
+export const networkStrategySchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('SERVING_OFF') }),
+  z.object({
+    type: z.literal('NETWORK_DEFAULT'),
+    limit_percent: z
+      .number()
+      .int()
+      .min(10)
+      .max(100)
+      .multipleOf(10)
+      .optional()
+      .describe('Share of the search budget for networks, 10-100 in steps of 10'),
+  }),
+  z.object({ type: z.literal('MAXIMUM_COVERAGE') }),
+  ...AUTOMATIC,
+]);
+
+export const strategySchema = z
+  .object({
+    search: searchStrategySchema.optional().describe('Search strategy'),
+    network: networkStrategySchema.optional().describe('Network (YAN) strategy'),
+  })
+  .describe(
+    'Bidding strategy: { search: { type, ... }, network: { type, ... } }. Manual search (HIGHEST_POSITION) needs a manual network strategy (SERVING_OFF, NETWORK_DEFAULT, MAXIMUM_COVERAGE); automatic search needs network SERVING_OFF or NETWORK_DEFAULT; automatic network strategies need search SERVING_OFF.',
+  );
+
+// Unified Performance (ЕПК) search placements and their v5 PlacementTypes keys.
+const PLACEMENT_TYPES = {
+  search_results: 'SearchResults',
+  product_gallery: 'ProductGallery',
+  dynamic_places: 'DynamicPlaces',
+  maps: 'Maps',
+  search_organization_list: 'SearchOrganizationList',
+};
+
+export const placementTypesSchema = z
+  .object(Object.fromEntries(Object.keys(PLACEMENT_TYPES).map((key) => [key, z.boolean().optional()])))
+  .describe(
+    'Unified campaigns only: search placements to serve on (search_results, product_gallery, dynamic_places, maps, search_organization_list); unset ones keep their current value',
+  );
+
+// { maps: false, ... } → { Maps: 'NO', ... }
+export function toPlacementTypes(placements) {
+  return Object.fromEntries(
+    Object.entries(placements)
+      .filter(([key, on]) => PLACEMENT_TYPES[key] && on != null)
+      .map(([key, on]) => [PLACEMENT_TYPES[key], on ? 'YES' : 'NO']),
+  );
+}
+
+// v5 parameter block name and field mapping for each strategy type.
+const PARAMS = {
+  WB_MAXIMUM_CLICKS: ['WbMaximumClicks', { weekly_spend_limit: 'WeeklySpendLimit', bid_ceiling: 'BidCeiling' }],
+  WB_MAXIMUM_CONVERSION_RATE: [
+    'WbMaximumConversionRate',
+    { weekly_spend_limit: 'WeeklySpendLimit', bid_ceiling: 'BidCeiling', goal_id: 'GoalId' },
+  ],
+  AVERAGE_CPC: ['AverageCpc', { average_cpc: 'AverageCpc', weekly_spend_limit: 'WeeklySpendLimit' }],
+  AVERAGE_CPA: [
+    'AverageCpa',
+    { average_cpa: 'AverageCpa', goal_id: 'GoalId', weekly_spend_limit: 'WeeklySpendLimit', bid_ceiling: 'BidCeiling' },
+  ],
+  PAY_FOR_CONVERSION: ['PayForConversion', { cpa: 'Cpa', goal_id: 'GoalId', weekly_spend_limit: 'WeeklySpendLimit' }],
+  NETWORK_DEFAULT: ['NetworkDefault', { limit_percent: 'LimitPercent' }],
+};
+
+// Parameters that are plain numbers rather than money.
+const NON_MONEY = new Set(['GoalId', 'LimitPercent']);
+
+// v5 money fields inside strategy parameter blocks (for previews and formatting).
+export const STRATEGY_MONEY_KEYS = ['WeeklySpendLimit', 'BidCeiling', 'AverageCpc', 'AverageCpa', 'Cpa'];
+
+// Money amounts (micro-units) of a v5 BiddingStrategy, from the parameter block
+// of each half's current type only (a merged update may still carry the block of
+// the type it replaces): [{ field: 'Search.AverageCpa.WeeklySpendLimit', key, micro }].
+export function strategyAmounts(biddingStrategy) {
+  const amounts = [];
+  for (const half of ['Search', 'Network']) {
+    const placement = biddingStrategy?.[half];
+    const block = PARAMS[placement?.BiddingStrategyType]?.[0];
+    for (const key of STRATEGY_MONEY_KEYS) {
+      const micro = placement?.[block]?.[key];
+      if (micro != null) amounts.push({ field: `${half}.${block}.${key}`, key, micro });
+    }
+  }
+  return amounts;
+}
+
+const MANUAL_SEARCH = new Set(['HIGHEST_POSITION']);
+const MANUAL_NETWORK = new Set(['SERVING_OFF', 'NETWORK_DEFAULT', 'MAXIMUM_COVERAGE']);
+
+// Automatic strategies manage bids themselves within a weekly budget.
+export function isAutomatic(type) {
+  return !MANUAL_SEARCH.has(type) && !MANUAL_NETWORK.has(type);
+}
+
+// Throws when the search/network pair is a combination Direct does not accept.
+// Only checked when both halves are given (an update may change just one).
+export function checkStrategyPair({ search, network }) {
+  if (!search || !network) return;
+  if (search.type === 'SERVING_OFF' && network.type === 'SERVING_OFF') {
+    throw new Error('Search and network cannot both be SERVING_OFF.');
+  }
+  if (MANUAL_SEARCH.has(search.type) && !MANUAL_NETWORK.has(network.type)) {
+    throw new Error(`Manual search strategy ${search.type} requires a manual network strategy, not ${network.type}.`);
+  }
+  if (!MANUAL_SEARCH.has(search.type) && search.type !== 'SERVING_OFF') {
+    if (network.type !== 'SERVING_OFF' && network.type !== 'NETWORK_DEFAULT') {
+      throw new Error(
+        `Automatic search strategy ${search.type} requires network SERVING_OFF or NETWORK_DEFAULT, not ${network.type}.`,
+      );
+    }
+  }
+  if (!MANUAL_NETWORK.has(network.type) && search.type !== 'SERVING_OFF') {
+    throw new Error(`Automatic network strategy ${network.type} requires search SERVING_OFF.`);
+  }
+}
+
+function toPlacement(strategy) {
+  const placement = { BiddingStrategyType: strategy.type };
+  const spec = PARAMS[strategy.type];
+  if (!spec) return placement;
+  const [block, fields] = spec;
+  const params = {};
+  for (const [input, field] of Object.entries(fields)) {
+    if (strategy[input] == null) continue;
+    params[field] = NON_MONEY.has(field) ? strategy[input] : toMicro(strategy[input]);
+  }
+  if (Object.keys(params).length) placement[block] = params;
+  return placement;
+}
+
+// { search, network } → v5 BiddingStrategy (only the halves given).
+export function toBiddingStrategy(strategy) {
+  checkStrategyPair(strategy);
+  const result = {};
+  if (strategy.search) result.Search = toPlacement(strategy.search);
+  if (strategy.network) result.Network = toPlacement(strategy.network);
+  return result;
+}
+
+// The v5 BiddingStrategy of a new campaign: manual search with network serving
+// off unless given, and search off when the network strategy is automatic (an
+// automatic network strategy needs it).
+export function newCampaignStrategy(strategy = {}) {
+  const networkIsAutomatic = strategy.network && isAutomatic(strategy.network.type);
+  return toBiddingStrategy({
+    search: strategy.search ?? { type: networkIsAutomatic ? 'SERVING_OFF' : 'HIGHEST_POSITION' },
+    network: strategy.network ?? { type: 'SERVING_OFF' },
+  });
+}
+
+// A daily budget only applies to manual strategies; automatic ones spend by week.
+export function checkBudgetFits(strategy, dailyBudget) {
+  const automatic = [strategy?.search, strategy?.network].find((s) => s && isAutomatic(s.type));
+  if (automatic && dailyBudget != null) {
+    throw new Error(
+      `daily_budget cannot be combined with the automatic ${automatic.type} strategy; use its weekly_spend_limit.`,
+    );
+  }
+}
+
+function describePlacement(p) {
+  if (!p) return 'unknown';
+  const spec = PARAMS[p.BiddingStrategyType];
+  const params = spec && p[spec[0]];
+  const parts = Object.entries(params ?? {})
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `${k} ${NON_MONEY.has(k) ? v : fromMicro(v)}`);
+  const placements = Object.entries(p.PlacementTypes ?? {})
+    .filter(([, v]) => v === 'YES')
+    .map(([k]) => k);
+  return [
+    p.BiddingStrategyType,
+    parts.length ? ` (${parts.join(', ')})` : '',
+    placements.length ? ` on ${placements.join(', ')}` : '',
+  ].join('');
+}
+
+// "search AVERAGE_CPC (AverageCpc 20, WeeklySpendLimit 5000); network SERVING_OFF"
+export function describeStrategy(biddingStrategy) {
+  if (!biddingStrategy) return null;
+  return `search ${describePlacement(biddingStrategy.Search)}; network ${describePlacement(biddingStrategy.Network)}`;
+}
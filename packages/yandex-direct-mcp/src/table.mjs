@@ -0,0 +1,100 @@
+// Tables for bulk tools: CSV as exported from a spreadsheet (comma, semicolon or
+// tab separated, auto-detected; RFC 4180 quoting, so cells may hold separators,
+// quotes and line breaks), given inline or as a local file. Records keep the
+// line they start on, so results can be reported against the caller's rows.
+
+import { readFile } from 'node:fs/promises';
+
+const DELIMITERS = [',', ';', '\t'];
+
+// The candidate delimiter occurring most often in the header line.
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  let best = ',';
+  let bestCount = 0;
+  for (const d of DELIMITERS) {
+    const count = header.split(d).length - 1;
+    if (count > bestCount) [best, bestCount] = [d, count];
+  }
+  return best;
+}
+
+// [{ line, cells }] for every non-empty record.
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some((c) => c.trim() !== '')) records.push({ line: start, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === '\n') line++;
+        cell += c;
+      }
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      start = ++line;
+    } else {
+      cell += c;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted cell starting on line ${start}.`);
+  endRecord();
+  return records;
+}
+
+// "Ad Group ID" → "ad_group_id"
+function columnName(header) {
+  return header
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+}
+
+// Header row + records → { columns, rows: [{ line, values: { column: trimmed cell } }] }.
+export function readTable(text) {
+  const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('The table is empty.');
+  const columns = header.cells.map(columnName);
+  const rows = records.map(({ line, cells }) => {
+    if (cells.length > columns.length) {
+      throw new Error(`Line ${line} has ${cells.length} cells but the header has ${columns.length} columns.`);
+    }
+    return { line, values: Object.fromEntries(columns.map((col, i) => [col, (cells[i] ?? '').trim()])) };
+  });
+  return { columns, rows };
+}
+
+// Table from inline CSV text or a local file (exactly one of them).
+export async function loadTable({ csv, path }) {
+  if (!csv === !path) throw new Error('Pass exactly one of csv or file_path.');
+  if (csv) return readTable(csv);
+  try {
+    return readTable(await readFile(path, 'utf8'));
+  } catch (err) {
+    if (err.code) throw new Error(`Cannot read ${path}: ${err.message}`);
+    throw err;
+  }
+}
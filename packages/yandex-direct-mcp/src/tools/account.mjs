@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { formatUnits } from '../units.mjs';
 
 // Session cache for the geo-region dictionary (it is large and static within a session).
 let regionsCache = null;
@@ -63,4 +64,26 @@ export function registerAccountTools(server, client) {
       };
     },
   );
+
+  server.registerTool(
+    'get-api-units',
+    {
+      title: 'Get API Units',
+      description:
+        'READ. Returns the Yandex Direct API units (points) budget: spent by the last call, remaining today, and the daily limit. Uses the reading from the latest API call, or makes a cheap dictionary request if there is none yet.',
+      inputSchema: {},
+    },
+    async () => {
+      if (!client.units()) {
+        await client.directRequest('dictionaries', 'get', { DictionaryNames: ['Currencies'] });
+      }
+      const units = client.units();
+      const { floor, mode } = client.unitsPolicy;
+      const policy = floor > 0 ? `Floor: ${floor} units (${mode} below it).` : 'No units floor configured.';
+      return {
+        content: [{ type: 'text', text: `API units: ${formatUnits(units)}.\n${policy}` }],
+        structuredContent: { floor, mode },
+      };
+    },
+  );
 }
@@ -1,7 +1,61 @@
 import { z } from 'zod';
-import { listResult, writeResult } from '../format.mjs';
+import {
+  AUTOTARGETING_KEYWORD,
+  autotargetingCategoriesSchema,
+  describeAutotargeting,
+  toAutotargetingCategories,
+} from '../autotargeting.mjs';
+import { combinedResult, pagedListResult } from '../format.mjs';
+import { runWrite } from '../mutations.mjs';
 
-const ADGROUP_FIELDS = ['Id', 'Name', 'CampaignId', 'RegionIds', 'Status', 'Type'];
+const ADGROUP_FIELDS = [
+  'Id',
+  'Name',
+  'CampaignId',
+  'RegionIds',
+  'RestrictedRegionIds',
+  'NegativeKeywords',
+  'NegativeKeywordSharedSetIds',
+  'TrackingParams',
+  'Status',
+  'ServingStatus',
+  'Type',
+];
+
+// "225 excluding 1, 10174" — negative region IDs exclude a region from a broader one.
+function describeRegions(ids = []) {
+  const included = ids.filter((id) => id > 0);
+  const excluded = ids.filter((id) => id < 0).map((id) => -id);
+  return `${included.join(', ') || 'none'}${excluded.length ? ` excluding ${excluded.join(', ')}` : ''}`;
+}
+
+function formatAdGroup(g) {
+  const lines = [`- ${g.Name} (ID ${g.Id}) — campaign ${g.CampaignId}, status ${g.Status}, serving ${g.ServingStatus}`];
+  lines.push(`    regions: ${describeRegions(g.RegionIds)}`);
+  if (g.RestrictedRegionIds?.Items?.length) {
+    lines.push(`    not shown in: ${g.RestrictedRegionIds.Items.join(', ')} (restricted for this ad group's ads)`);
+  }
+  const negatives = g.NegativeKeywords?.Items ?? [];
+  if (negatives.length) lines.push(`    negative keywords (${negatives.length}): ${negatives.join(', ')}`);
+  if (g.NegativeKeywordSharedSetIds?.Items?.length) {
+    lines.push(`    negative keyword sets: ${g.NegativeKeywordSharedSetIds.Items.join(', ')}`);
+  }
+  if (g.TrackingParams) lines.push(`    tracking params: ${g.TrackingParams}`);
+  return lines.join('\n');
+}
+
+// The "---autotargeting" keyword of each given ad group.
+async function autotargetingKeywords(client, adGroupIds) {
+  const { items } = await client.directGetAll(
+    'keywords',
+    {
+      SelectionCriteria: { AdGroupIds: adGroupIds },
+      FieldNames: ['Id', 'AdGroupId', 'Keyword', 'State', 'AutotargetingCategories'],
+    },
+    'Keywords',
+  );
+  return items.filter((k) => k.Keyword === AUTOTARGETING_KEYWORD);
+}
 
 export function registerAdGroupTools(server, client) {
   server.registerTool(
@@ -11,21 +65,21 @@ export function registerAdGroupTools(server, client) {
       description: 'READ. Lists ad groups, optionally filtered by campaign.',
       inputSchema: {
         campaign_ids: z.array(z.number()).optional().describe('Filter by campaign IDs'),
-        limit: z.number().min(1).max(1000).optional().describe('Max ad groups to return (default 100)'),
+        limit: z.number().min(1).optional().describe('Max ad groups to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
       },
     },
-    async ({ campaign_ids, limit = 100 }) => {
+    async ({ campaign_ids, limit = 100, offset, all }) => {
       const SelectionCriteria = {};
       if (campaign_ids?.length) SelectionCriteria.CampaignIds = campaign_ids;
-      const result = await client.directRequest('adgroups', 'get', {
-        SelectionCriteria,
-        FieldNames: ADGROUP_FIELDS,
-        Page: { Limit: limit },
-      });
-      const lines = (result.AdGroups || []).map(
-        (g) => `- ${g.Name} (ID ${g.Id}) — campaign ${g.CampaignId}, status ${g.Status}`,
+      const page = await client.directGetAll(
+        'adgroups',
+        { SelectionCriteria, FieldNames: ADGROUP_FIELDS },
+        'AdGroups',
+        { offset, limit: all ? Infinity : limit },
       );
-      return listResult('ad group', lines, result);
+      return pagedListResult('ad group', page.items.map(formatAdGroup), 'AdGroups', page);
     },
   );
 
@@ -34,21 +88,174 @@ export function registerAdGroupTools(server, client) {
     {
       title: 'Create Ad Group',
       description:
-        'WRITE — creates an ad group in a campaign. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1. Region IDs default to [225] (Russia); use get-regions for others.',
+        'WRITE — creates an ad group in a campaign. In a dynamic text campaign the group takes either the site domain (ads from its pages) or a feed ID (ads from its offers). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1. Region IDs default to [225] (Russia); use get-regions for others.',
       inputSchema: {
         campaign_id: z.number().describe('Campaign ID to create the ad group in'),
         name: z.string().describe('Ad group name'),
         region_ids: z
           .array(z.number())
           .optional()
-          .describe('Target region IDs (default [225] = Russia; see get-regions)'),
+          .describe('Target region IDs (default [225] = Russia; see get-regions); a negative ID excludes that region'),
+        domain_url: z.string().optional().describe('Dynamic text campaigns: the site to build ads from, e.g. shop.ru'),
+        feed_id: z.number().optional().describe('Dynamic text campaigns: the feed to build ads from (see add-feed)'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
       },
     },
-    async ({ campaign_id, name, region_ids }) => {
-      const result = await client.directRequest('adgroups', 'add', {
-        AdGroups: [{ Name: name, CampaignId: campaign_id, RegionIds: region_ids?.length ? region_ids : [225] }],
+    async ({ campaign_id, name, region_ids, domain_url, feed_id, dry_run }) => {
+      if (domain_url && feed_id != null) throw new Error('Pass domain_url or feed_id, not both.');
+      const group = { Name: name, CampaignId: campaign_id, RegionIds: region_ids?.length ? region_ids : [225] };
+      if (domain_url) group.DynamicTextAdGroup = { DomainUrl: domain_url };
+      if (feed_id != null) group.DynamicTextFeedAdGroup = { FeedId: feed_id };
+      return runWrite(client, {
+        label: 'Create ad group',
+        service: 'adgroups',
+        method: 'add',
+        params: { AdGroups: [group] },
+        dryRun: dry_run,
       });
-      return writeResult('Create ad group', result);
+    },
+  );
+
+  server.registerTool(
+    'update-adgroup',
+    {
+      title: 'Update Ad Group',
+      description:
+        'WRITE — changes an ad group’s name, regions, negative keywords or tracking parameters. Regions and negative keywords replace the current lists. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        adgroup_id: z.number().describe('Ad group ID'),
+        name: z.string().optional().describe('New name'),
+        region_ids: z
+          .array(z.number())
+          .min(1)
+          .optional()
+          .describe('Target region IDs (see get-regions); a negative ID excludes that region, e.g. [225, -1]'),
+        excluded_region_ids: z
+          .array(z.number().positive())
+          .optional()
+          .describe(
+            'Regions to exclude, e.g. [1] to target Russia without Moscow; added to the current regions and exclusions if region_ids is omitted',
+          ),
+        negative_keywords: z
+          .array(z.string())
+          .optional()
+          .describe('Negative keywords of the group, replacing the current ones; [] removes them all'),
+        tracking_params: z
+          .string()
+          .optional()
+          .describe(
+            'Parameters appended to every landing page URL in the group, e.g. utm_source=yandex; "" removes them',
+          ),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ adgroup_id, name, region_ids, excluded_region_ids, negative_keywords, tracking_params, dry_run }) => {
+      const group = { Id: adgroup_id };
+      if (name != null) group.Name = name;
+      if (region_ids || excluded_region_ids) {
+        let regions = region_ids;
+        if (!regions) {
+          const { items } = await client.directGetAll(
+            'adgroups',
+            { SelectionCriteria: { Ids: [adgroup_id] }, FieldNames: ['Id', 'RegionIds'] },
+            'AdGroups',
+          );
+          if (!items.length) throw new Error(`Ad group ${adgroup_id} not found.`);
+          regions = items[0].RegionIds;
+        }
+        const excluded = (excluded_region_ids ?? []).map((id) => -id);
+        group.RegionIds = [...new Set([...regions, ...excluded])];
+        if (!group.RegionIds.some((id) => id > 0)) throw new Error('At least one region must be targeted.');
+      }
+      if (negative_keywords) group.NegativeKeywords = negative_keywords.length ? { Items: negative_keywords } : null;
+      if (tracking_params != null) group.TrackingParams = tracking_params.replace(/^[?&]/, '') || null;
+      if (Object.keys(group).length === 1) throw new Error('Nothing to update: pass at least one field.');
+      return runWrite(client, {
+        label: `Update ad group ${adgroup_id}`,
+        service: 'adgroups',
+        method: 'update',
+        params: { AdGroups: [group] },
+        dryRun: dry_run,
+      });
+    },
+  );
+
+  server.registerTool(
+    'get-autotargeting',
+    {
+      title: 'Get Autotargeting',
+      description:
+        'READ. Shows the autotargeting settings of ad groups: whether the ---autotargeting keyword is on and which query categories (exact, narrow, alternative, accessory, broader) it matches.',
+      inputSchema: {
+        adgroup_ids: z.array(z.number()).min(1).describe('Ad group IDs'),
+      },
+    },
+    async ({ adgroup_ids }) => {
+      const keywords = await autotargetingKeywords(client, adgroup_ids);
+      const byGroup = new Map(keywords.map((k) => [k.AdGroupId, k]));
+      const lines = adgroup_ids.map((id) => {
+        const k = byGroup.get(id);
+        if (!k) return `- Ad group ${id}: no autotargeting`;
+        const categories = describeAutotargeting(k.AutotargetingCategories ?? toAutotargetingCategories());
+        return `- Ad group ${id}: keyword ${k.Id}, state ${k.State} — ${categories}`;
+      });
+      return {
+        content: [{ type: 'text', text: `Autotargeting of ${adgroup_ids.length} ad group(s):\n${lines.join('\n')}` }],
+        structuredContent: { Keywords: keywords },
+      };
+    },
+  );
+
+  server.registerTool(
+    'set-autotargeting',
+    {
+      title: 'Set Autotargeting',
+      description:
+        'WRITE — turns autotargeting query categories on or off for ad groups, and optionally suspends or resumes autotargeting as a whole. Direct enables every category by default. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        adgroup_ids: z.array(z.number()).min(1).describe('Ad group IDs'),
+        categories: autotargetingCategoriesSchema.optional(),
+        enabled: z.boolean().optional().describe('false suspends autotargeting, true resumes it'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ adgroup_ids, categories, enabled, dry_run }) => {
+      if (!categories && enabled == null) throw new Error('Nothing to change: pass categories and/or enabled.');
+      const keywords = await autotargetingKeywords(client, adgroup_ids);
+      const missing = adgroup_ids.filter((id) => !keywords.some((k) => k.AdGroupId === id));
+      if (missing.length) throw new Error(`No autotargeting in ad group(s) ${missing.join(', ')}.`);
+
+      const results = [];
+      if (categories) {
+        results.push(
+          await runWrite(client, {
+            label: `Set autotargeting categories in ${adgroup_ids.length} ad group(s)`,
+            service: 'keywords',
+            method: 'update',
+            params: {
+              Keywords: keywords.map((k) => ({
+                Id: k.Id,
+                AutotargetingCategories: toAutotargetingCategories(k.AutotargetingCategories, categories),
+              })),
+            },
+            dryRun: dry_run,
+          }),
+        );
+      }
+      if (enabled != null) {
+        const method = enabled ? 'resume' : 'suspend';
+        results.push(
+          await runWrite(client, {
+            label: `${enabled ? 'Resume' : 'Suspend'} autotargeting in ${adgroup_ids.length} ad group(s)`,
+            service: 'keywords',
+            method,
+            params: { SelectionCriteria: { Ids: keywords.map((k) => k.Id) } },
+            dryRun: dry_run,
+            preview: { fields: ['AdGroupId', 'State'] },
+          }),
+        );
+      }
+      return combinedResult(results);
     },
   );
 
@@ -56,16 +263,28 @@ export function registerAdGroupTools(server, client) {
     'delete-adgroup',
     {
       title: 'Delete Ad Group',
-      description: 'WRITE — deletes an ad group. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      description:
+        'WRITE — deletes an ad group. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE, the first call returns a confirmation token that must be passed back to execute.',
       inputSchema: {
         adgroup_id: z.number().describe('Ad group ID'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
       },
     },
-    async ({ adgroup_id }) => {
-      const result = await client.directRequest('adgroups', 'delete', {
-        SelectionCriteria: { Ids: [adgroup_id] },
+    async ({ adgroup_id, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `Delete ad group ${adgroup_id}`,
+        service: 'adgroups',
+        method: 'delete',
+        params: { SelectionCriteria: { Ids: [adgroup_id] } },
+        dryRun: dry_run,
+        confirm: true,
+        confirmationToken: confirmation_token,
+        preview: { fields: ['Name', 'CampaignId', 'Status'] },
       });
-      return writeResult(`Delete ad group ${adgroup_id}`, result);
     },
   );
 }
@@ -1,8 +1,98 @@
 import { z } from 'zod';
-import { listResult, writeResult } from '../format.mjs';
+import { checkAdText, describeLengths, describeViolations, validateAdText } from '../adtext.mjs';
+import { AD_COLUMNS, BATCH_SIZE, bulkCreateAds, describeBulkResult } from '../bulk.mjs';
+import { calloutIdsSchema, describeExtensions, toCalloutSetting } from '../extensions.mjs';
+import { pagedListResult } from '../format.mjs';
+import { PENDING_HASH, withAdImage } from '../images.mjs';
+import { dryRunEnabled, runWrite } from '../mutations.mjs';
+import { loadTable } from '../table.mjs';
+import { withTrackingParams } from '../urls.mjs';
 
-const AD_FIELDS = ['Id', 'AdGroupId', 'CampaignId', 'State', 'Status', 'Type'];
-const TEXT_AD_FIELDS = ['Title', 'Title2', 'Text', 'Href', 'DisplayUrlPath'];
+const AD_FIELDS = ['Id', 'AdGroupId', 'CampaignId', 'State', 'Status', 'Type', 'Subtype'];
+const TEXT_AD_FIELDS = [
+  'Title',
+  'Title2',
+  'Text',
+  'Href',
+  'DisplayUrlPath',
+  'AdImageHash',
+  'VideoExtension',
+  'SitelinkSetId',
+  'AdExtensions',
+];
+const TEXT_IMAGE_AD_FIELDS = ['AdImageHash', 'Href'];
+const DYNAMIC_TEXT_AD_FIELDS = ['Text', 'AdImageHash', 'SitelinkSetId'];
+
+// An ad image given by hash, or uploaded on the fly (see images.mjs).
+const IMAGE_INPUTS = {
+  image_hash: z.string().optional().describe('AdImageHash of an uploaded image (see list-ad-images)'),
+  image_path: z.string().optional().describe('Local JPEG/PNG/GIF file to upload and use instead of image_hash'),
+  image_base64: z.string().optional().describe('Base64 image data to upload and use instead of image_hash'),
+};
+
+function formatAd(a) {
+  const ad = a.TextAd ?? a.TextImageAd ?? a.DynamicTextAd ?? {};
+  const parts = [`- Ad ${a.Id} (group ${a.AdGroupId}) — ${a.Type}, state ${a.State}, status ${a.Status}`];
+  if (ad.Title) parts.push(` — "${ad.Title}"`);
+  else if (ad.Text) parts.push(` — "${ad.Text}" (title from the page)`);
+  if (ad.AdImageHash) parts.push(`\n    image: ${ad.AdImageHash}`);
+  const extensions = describeExtensions(a.TextAd);
+  if (extensions) parts.push(`\n    ${extensions}`);
+  if (ad.VideoExtension?.CreativeId) {
+    const { CreativeId, Status } = ad.VideoExtension;
+    parts.push(`\n    video extension: creative ${CreativeId}${Status ? ` (${Status})` : ''}`);
+  }
+  return parts.join('');
+}
+
+// Moderation state of an ad's parts, read by get-ad-moderation.
+const MODERATION_FIELDS = [
+  'Title',
+  'SitelinksModeration',
+  'AdImageModeration',
+  'VCardModeration',
+  'DisplayUrlPathModeration',
+];
+const MODERATED_PARTS = {
+  SitelinksModeration: 'sitelinks',
+  AdImageModeration: 'image',
+  VCardModeration: 'vCard',
+  DisplayUrlPathModeration: 'display path',
+};
+
+const MODERATION_NOTE =
+  'Edited ads go back to moderation. An ad that was already accepted keeps serving its previous version until the new one is approved; drafts stay drafts until sent with manage-ad action=moderate.';
+
+function formatModeration(a) {
+  const title = a.TextAd?.Title ? `, "${a.TextAd.Title}"` : '';
+  const lines = [`- Ad ${a.Id} (group ${a.AdGroupId}) — ${a.Status}${title}`];
+  if (a.StatusClarification) lines.push(`    reason: ${a.StatusClarification}`);
+  if (a.Status === 'DRAFT') lines.push('    draft: not submitted yet — send it with manage-ad action=moderate');
+  for (const [field, part] of Object.entries(MODERATED_PARTS)) {
+    const m = a.TextAd?.[field];
+    if (m?.Status && m.Status !== 'ACCEPTED') {
+      lines.push(`    ${part}: ${m.Status}${m.StatusClarification ? ` — ${m.StatusClarification}` : ''}`);
+    }
+  }
+  if (a.TextAd?.VideoExtension?.Status === 'REJECTED') lines.push('    video extension: REJECTED');
+  return lines.join('\n');
+}
+
+async function currentHref(client, adId) {
+  const result = await client.directRequest('ads', 'get', {
+    SelectionCriteria: { Ids: [adId] },
+    FieldNames: ['Id'],
+    TextAdFieldNames: ['Href'],
+  });
+  const ad = result.Ads?.[0];
+  if (!ad) throw new Error(`Ad ${adId} not found.`);
+  return ad.TextAd?.Href ?? null;
+}
+
+// Dry runs upload nothing, so the preview shows where the new hash would go.
+function imageNote(hash) {
+  return hash === PENDING_HASH ? '\nThe image is uploaded first when the call is sent.' : '';
+}
 
 export function registerAdTools(server, client) {
   server.registerTool(
@@ -10,28 +100,58 @@ export function registerAdTools(server, client) {
     {
       title: 'List Ads',
       description:
-        'READ. Lists ads, optionally filtered by campaign or ad group, with their text and moderation status.',
+        'READ. Lists ads, optionally filtered by campaign or ad group, with their text, image, sitelink set, callouts, video extension and moderation status.',
       inputSchema: {
         campaign_ids: z.array(z.number()).optional().describe('Filter by campaign IDs'),
         adgroup_ids: z.array(z.number()).optional().describe('Filter by ad group IDs'),
-        limit: z.number().min(1).max(1000).optional().describe('Max ads to return (default 100)'),
+        limit: z.number().min(1).optional().describe('Max ads to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
       },
     },
-    async ({ campaign_ids, adgroup_ids, limit = 100 }) => {
+    async ({ campaign_ids, adgroup_ids, limit = 100, offset, all }) => {
       const SelectionCriteria = {};
       if (campaign_ids?.length) SelectionCriteria.CampaignIds = campaign_ids;
       if (adgroup_ids?.length) SelectionCriteria.AdGroupIds = adgroup_ids;
-      const result = await client.directRequest('ads', 'get', {
-        SelectionCriteria,
-        FieldNames: AD_FIELDS,
-        TextAdFieldNames: TEXT_AD_FIELDS,
-        Page: { Limit: limit },
-      });
-      const lines = (result.Ads || []).map((a) => {
-        const title = a.TextAd?.Title ? ` — "${a.TextAd.Title}"` : '';
-        return `- Ad ${a.Id} (group ${a.AdGroupId}) — ${a.Type}, state ${a.State}, status ${a.Status}${title}`;
-      });
-      return listResult('ad', lines, result);
+      const page = await client.directGetAll(
+        'ads',
+        {
+          SelectionCriteria,
+          FieldNames: AD_FIELDS,
+          TextAdFieldNames: TEXT_AD_FIELDS,
+          TextImageAdFieldNames: TEXT_IMAGE_AD_FIELDS,
+          DynamicTextAdFieldNames: DYNAMIC_TEXT_AD_FIELDS,
+        },
+        'Ads',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult('ad', page.items.map(formatAd), 'Ads', page);
+    },
+  );
+
+  server.registerTool(
+    'validate-ad',
+    {
+      title: 'Validate Ad Text',
+      description:
+        'READ. Checks text ad fields against Direct rules without calling the API: title 56 / title2 30 / text 81 characters (narrow punctuation . , ! : ; " not counted, up to 15 of it per field), words up to 22 characters, #template# counted as its default text, at most one "!" per field, URL and display path format. Explains each violation and suggests a truncation where possible.',
+      inputSchema: {
+        title: z.string().optional().describe('Ad title'),
+        title2: z.string().optional().describe('Second title'),
+        text: z.string().optional().describe('Ad body text'),
+        href: z.string().optional().describe('Landing page URL'),
+        display_url_path: z.string().optional().describe('Display URL path'),
+      },
+    },
+    async (ad) => {
+      const violations = validateAdText(ad);
+      const lengths = describeLengths(ad);
+      const text = violations.length
+        ? [`${violations.length} problem(s)${lengths ? ` (${lengths})` : ''}:`, ...describeViolations(violations)].join(
+            '\n',
+          )
+        : `No problems found${lengths ? ` (${lengths})` : ''}.`;
+      return { content: [{ type: 'text', text }], structuredContent: { valid: !violations.length, violations } };
     },
   );
 
@@ -40,27 +160,267 @@ export function registerAdTools(server, client) {
     {
       title: 'Create Text Ad',
       description:
-        'WRITE — creates a text ad in an ad group. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1. New ads enter moderation.',
+        'WRITE — creates a text ad in an ad group, optionally with an image (existing hash, or a file/base64 uploaded first), a sitelink set, callouts and a video extension. Title, text and URL are checked against Direct text rules first (see validate-ad). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1. New ads enter moderation.',
       inputSchema: {
         adgroup_id: z.number().describe('Ad group ID to add the ad to'),
-        title: z.string().describe('Ad title (max 56 chars)'),
-        text: z.string().describe('Ad body text (max 81 chars)'),
+        title: z.string().describe('Ad title (max 56 chars, narrow punctuation not counted)'),
+        text: z.string().describe('Ad body text (max 81 chars, narrow punctuation not counted)'),
         href: z.string().optional().describe('Landing page URL'),
-        title2: z.string().optional().describe('Second title (max 30 chars)'),
+        title2: z.string().optional().describe('Second title (max 30 chars, narrow punctuation not counted)'),
+        ...IMAGE_INPUTS,
+        video_creative_id: z.number().optional().describe('Video extension creative ID (see list-video-creatives)'),
+        sitelink_set_id: z.number().optional().describe('Sitelink set to attach (see create-sitelink-set)'),
+        callout_ids: calloutIdsSchema.optional(),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({
+      adgroup_id,
+      title,
+      text,
+      href,
+      title2,
+      video_creative_id,
+      sitelink_set_id,
+      callout_ids,
+      dry_run,
+      ...image
+    }) => {
+      checkAdText({ title, title2, text, href });
+      return withAdImage(client, image, { dryRun: dry_run }, async (hash) => {
+        const textAd = {
+          Title: title,
+          Text: text,
+          Mobile: 'NO',
+          ...(href ? { Href: href } : {}),
+          ...(title2 ? { Title2: title2 } : {}),
+          ...(hash ? { AdImageHash: hash } : {}),
+          ...(video_creative_id ? { VideoExtension: { CreativeId: video_creative_id } } : {}),
+          ...(sitelink_set_id ? { SitelinkSetId: sitelink_set_id } : {}),
+          ...(callout_ids?.length ? { AdExtensionIds: callout_ids } : {}),
+        };
+        const result = await runWrite(client, {
+          label: 'Create text ad',
+          service: 'ads',
+          method: 'add',
+          params: { Ads: [{ AdGroupId: adgroup_id, TextAd: textAd }] },
+          dryRun: dry_run,
+        });
+        result.content[0].text += imageNote(hash);
+        return result;
+      });
+    },
+  );
+
+  server.registerTool(
+    'create-dynamic-ad',
+    {
+      title: 'Create Dynamic Text Ad',
+      description:
+        'WRITE — creates a dynamic text ad in a dynamic ad group: Direct generates the title and link from the matching page or feed offer, the ad supplies the body text, optionally with an image and a sitelink set. The text is checked against Direct text rules first. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1. New ads enter moderation.',
+      inputSchema: {
+        adgroup_id: z.number().describe('Dynamic text ad group ID'),
+        text: z.string().describe('Ad body text (max 81 chars, narrow punctuation not counted)'),
+        ...IMAGE_INPUTS,
+        sitelink_set_id: z.number().optional().describe('Sitelink set to attach (see create-sitelink-set)'),
+        callout_ids: calloutIdsSchema.optional(),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ adgroup_id, text, sitelink_set_id, callout_ids, dry_run, ...image }) => {
+      checkAdText({ text });
+      return withAdImage(client, image, { dryRun: dry_run }, async (hash) => {
+        const dynamicAd = {
+          Text: text,
+          ...(hash ? { AdImageHash: hash } : {}),
+          ...(sitelink_set_id ? { SitelinkSetId: sitelink_set_id } : {}),
+          ...(callout_ids?.length ? { AdExtensionIds: callout_ids } : {}),
+        };
+        const result = await runWrite(client, {
+          label: 'Create dynamic text ad',
+          service: 'ads',
+          method: 'add',
+          params: { Ads: [{ AdGroupId: adgroup_id, DynamicTextAd: dynamicAd }] },
+          dryRun: dry_run,
+        });
+        result.content[0].text += imageNote(hash);
+        return result;
+      });
+    },
+  );
+
+  server.registerTool(
+    'create-image-ad',
+    {
+      title: 'Create Text-Image Ad',
+      description:
+        'WRITE — creates a text-image (graphic) ad for network placements: a single image plus landing page. The image is an existing hash or a file/base64 uploaded first (FIXED_IMAGE sizes such as 240x400, 300x250, 728x90). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1. New ads enter moderation.',
+      inputSchema: {
+        adgroup_id: z.number().describe('Ad group ID to add the ad to'),
+        href: z.string().describe('Landing page URL'),
+        ...IMAGE_INPUTS,
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
       },
     },
-    async ({ adgroup_id, title, text, href, title2 }) => {
-      const textAd = {
-        Title: title,
-        Text: text,
-        Mobile: 'NO',
-        ...(href ? { Href: href } : {}),
-        ...(title2 ? { Title2: title2 } : {}),
+    async ({ adgroup_id, href, dry_run, ...image }) => {
+      return withAdImage(client, image, { dryRun: dry_run }, async (hash) => {
+        if (!hash) throw new Error('An image is required: pass image_hash, image_path or image_base64.');
+        const result = await runWrite(client, {
+          label: 'Create text-image ad',
+          service: 'ads',
+          method: 'add',
+          params: { Ads: [{ AdGroupId: adgroup_id, TextImageAd: { AdImageHash: hash, Href: href } }] },
+          dryRun: dry_run,
+        });
+        result.content[0].text += imageNote(hash);
+        return result;
+      });
+    },
+  );
+
+  server.registerTool(
+    'bulk-create-ads',
+    {
+      title: 'Bulk Create Text Ads',
+      description: `WRITE — creates many text ads from a table: inline CSV text or a local CSV file (comma, semicolon or tab separated, e.g. exported from a spreadsheet), one ad per row, header row required. Columns: ${AD_COLUMNS.join(', ')} (callout_ids separated by spaces or |; adgroup_name needs campaign_id). Rows are checked locally first, valid ones sent in batches of up to ${BATCH_SIZE}, and a per-line status table reports created ad IDs and each failure. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1. New ads enter moderation.`,
+      inputSchema: {
+        csv: z.string().optional().describe('Table as CSV text, header row first'),
+        file_path: z.string().optional().describe('Local CSV file to read instead of csv'),
+        campaign_id: z.number().optional().describe('Campaign whose ad groups the adgroup_name column refers to'),
+        dry_run: z.boolean().optional().describe('Check every row and build the requests without sending them'),
+      },
+    },
+    async ({ csv, file_path, campaign_id, dry_run }) => {
+      const table = await loadTable({ csv, path: file_path });
+      const { statuses, requests } = await bulkCreateAds(client, table, { campaignId: campaign_id, dryRun: dry_run });
+      const heading = dryRunEnabled(dry_run) ? 'DRY RUN — Bulk create ads (nothing was sent)' : 'Bulk create ads';
+      return {
+        content: [{ type: 'text', text: `${heading} — ${describeBulkResult(statuses)}` }],
+        structuredContent: { rows: statuses, ...(requests.length ? { dry_run: true, requests } : {}) },
       };
-      const result = await client.directRequest('ads', 'add', {
-        Ads: [{ AdGroupId: adgroup_id, TextAd: textAd }],
+    },
+  );
+
+  server.registerTool(
+    'update-ad',
+    {
+      title: 'Update Text Ad',
+      description:
+        'WRITE — edits a text ad in place, keeping its statistics: titles, text, landing page URL, tracking parameters (merged into the URL query), display path, image, sitelink set, callouts and video extension. Text and URL are checked against Direct rules first. The edited ad re-enters moderation. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        ad_id: z.number().describe('Text ad ID'),
+        title: z.string().optional().describe('New title (max 56 chars, narrow punctuation not counted)'),
+        title2: z.string().optional().describe('New second title (max 30 chars)'),
+        text: z.string().optional().describe('New body text (max 81 chars)'),
+        href: z.string().optional().describe('New landing page URL'),
+        tracking_params: z
+          .string()
+          .optional()
+          .describe(
+            'Query parameters to merge into the landing page URL, e.g. utm_source=yandex&utm_term={keyword}; replaces parameters of the same name',
+          ),
+        display_url_path: z.string().optional().describe('New display URL path (max 20 chars)'),
+        ...IMAGE_INPUTS,
+        sitelink_set_id: z.number().nullable().optional().describe('Sitelink set to attach; null detaches it'),
+        callout_ids: calloutIdsSchema.optional(),
+        callout_mode: z.enum(['set', 'add', 'remove']).optional().describe('How callout_ids apply (default set)'),
+        video_creative_id: z
+          .number()
+          .nullable()
+          .optional()
+          .describe('Video extension creative ID; null removes the video extension'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({
+      ad_id,
+      title,
+      title2,
+      text,
+      href,
+      tracking_params,
+      display_url_path,
+      sitelink_set_id,
+      callout_ids,
+      callout_mode,
+      video_creative_id,
+      dry_run,
+      ...image
+    }) => {
+      checkAdText({ title, title2, text, href, display_url_path }, `Ad ${ad_id}`);
+      const textAd = {};
+      if (title != null) textAd.Title = title;
+      if (title2 != null) textAd.Title2 = title2;
+      if (text != null) textAd.Text = text;
+      if (href != null) textAd.Href = href;
+      if (tracking_params) {
+        const base = href ?? (await currentHref(client, ad_id));
+        if (!base) throw new Error(`Ad ${ad_id} has no landing page URL to add tracking parameters to.`);
+        textAd.Href = withTrackingParams(base, tracking_params);
+      }
+      if (display_url_path != null) textAd.DisplayUrlPath = display_url_path;
+      if (sitelink_set_id !== undefined) textAd.SitelinkSetId = sitelink_set_id;
+      if (callout_ids) textAd.CalloutSetting = toCalloutSetting(callout_ids, callout_mode);
+      if (video_creative_id !== undefined) {
+        textAd.VideoExtension = video_creative_id == null ? null : { CreativeId: video_creative_id };
+      }
+      const hasImage = image.image_hash || image.image_path || image.image_base64;
+      if (!Object.keys(textAd).length && !hasImage) throw new Error('Nothing to update: pass at least one field.');
+
+      return withAdImage(client, image, { dryRun: dry_run }, async (hash) => {
+        if (hash) textAd.AdImageHash = hash;
+        const result = await runWrite(client, {
+          label: `Update ad ${ad_id}`,
+          service: 'ads',
+          method: 'update',
+          params: { Ads: [{ Id: ad_id, TextAd: textAd }] },
+          dryRun: dry_run,
+          preview: { fields: ['Status'] },
+        });
+        result.content[0].text += `${imageNote(hash)}\n${MODERATION_NOTE}`;
+        return result;
       });
-      return writeResult('Create text ad', result);
+    },
+  );
+
+  server.registerTool(
+    'get-ad-moderation',
+    {
+      title: 'Get Ad Moderation',
+      description:
+        'READ. Shows why ads are not serving: moderation status, the moderator’s StatusClarification (rejection reasons), and the moderation status of their sitelinks, image, vCard, display path and video extension. Defaults to REJECTED and DRAFT ads of the given ads, ad groups or campaigns.',
+      inputSchema: {
+        ad_ids: z.array(z.number()).optional().describe('Ad IDs'),
+        adgroup_ids: z.array(z.number()).optional().describe('Ad group IDs'),
+        campaign_ids: z.array(z.number()).optional().describe('Campaign IDs'),
+        statuses: z
+          .array(z.enum(['DRAFT', 'MODERATION', 'PREACCEPTED', 'ACCEPTED', 'REJECTED']))
+          .optional()
+          .describe('Moderation statuses to include (default REJECTED and DRAFT)'),
+        limit: z.number().min(1).optional().describe('Max ads to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ ad_ids, adgroup_ids, campaign_ids, statuses = ['REJECTED', 'DRAFT'], limit = 100, offset, all }) => {
+      if (!ad_ids?.length && !adgroup_ids?.length && !campaign_ids?.length) {
+        throw new Error('Pass ad_ids, adgroup_ids or campaign_ids.');
+      }
+      const SelectionCriteria = { Statuses: statuses };
+      if (ad_ids?.length) SelectionCriteria.Ids = ad_ids;
+      if (adgroup_ids?.length) SelectionCriteria.AdGroupIds = adgroup_ids;
+      if (campaign_ids?.length) SelectionCriteria.CampaignIds = campaign_ids;
+      const page = await client.directGetAll(
+        'ads',
+        {
+          SelectionCriteria,
+          FieldNames: ['Id', 'AdGroupId', 'Status', 'StatusClarification'],
+          TextAdFieldNames: [...MODERATION_FIELDS, 'VideoExtension'],
+        },
+        'Ads',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult('ad', page.items.map(formatModeration), 'Ads', page);
     },
   );
 
@@ -69,19 +429,30 @@ export function registerAdTools(server, client) {
     {
       title: 'Manage Ad State',
       description:
-        'WRITE — changes an ad lifecycle state. moderate submits a draft for review; suspend/resume; archive/unarchive; delete removes it. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+        'WRITE — changes an ad lifecycle state. moderate submits a draft for review; suspend/resume; archive/unarchive; delete removes it. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE, delete first returns a confirmation token that must be passed back to execute.',
       inputSchema: {
         ad_id: z.number().describe('Ad ID'),
         action: z
           .enum(['moderate', 'suspend', 'resume', 'archive', 'unarchive', 'delete'])
           .describe('Lifecycle action'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
       },
     },
-    async ({ ad_id, action }) => {
-      const result = await client.directRequest('ads', action, {
-        SelectionCriteria: { Ids: [ad_id] },
+    async ({ ad_id, action, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `${action} ad ${ad_id}`,
+        service: 'ads',
+        method: action,
+        params: { SelectionCriteria: { Ids: [ad_id] } },
+        dryRun: dry_run,
+        confirm: action === 'delete',
+        confirmationToken: confirmation_token,
+        preview: { fields: ['AdGroupId', 'State', 'Status'] },
       });
-      return writeResult(`${action} ad ${ad_id}`, result);
     },
   );
 }
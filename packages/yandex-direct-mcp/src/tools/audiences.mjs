@@ -0,0 +1,296 @@
+import { z } from 'zod';
+import { pagedListResult } from '../format.mjs';
+import { toMicro } from '../money.mjs';
+import { runWrite } from '../mutations.mjs';
+import { raisesBid } from '../policy.mjs';
+import {
+  formatAudienceTarget,
+  formatRetargetingList,
+  retargetingRulesSchema,
+  toRetargetingRules,
+} from '../retargeting.mjs';
+
+const LIST_FIELDS = ['Id', 'Name', 'Description', 'Type', 'Rules', 'IsAvailable', 'Scope'];
+const TARGET_FIELDS = [
+  'Id',
+  'AdGroupId',
+  'CampaignId',
+  'RetargetingListId',
+  'InterestId',
+  'ContextBid',
+  'StrategyPriority',
+  'State',
+];
+
+const priority = z
+  .enum(['LOW', 'NORMAL', 'HIGH'])
+  .optional()
+  .describe('Priority under an automatic strategy (instead of a bid)');
+
+export function registerAudienceTools(server, client) {
+  server.registerTool(
+    'create-retargeting-list',
+    {
+      title: 'Create Retargeting List',
+      description:
+        'WRITE — creates a retargeting list (audience condition) from Metrica goals and Audience segments combined in rule groups: each group is all / any / none of its conditions, and every group must hold. RETARGETING lists target ads with audience targets; AUDIENCE lists (segments only) serve bid modifiers and audience campaigns. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        name: z.string().describe('List name'),
+        description: z.string().optional().describe('List description'),
+        type: z.enum(['RETARGETING', 'AUDIENCE']).optional().describe('List type (default RETARGETING)'),
+        rules: retargetingRulesSchema,
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ name, description, type, rules, dry_run }) => {
+      const list = { Name: name, Rules: toRetargetingRules(rules) };
+      if (description) list.Description = description;
+      if (type) list.Type = type;
+      return runWrite(client, {
+        label: 'Create retargeting list',
+        service: 'retargetinglists',
+        method: 'add',
+        params: { RetargetingLists: [list] },
+        dryRun: dry_run,
+      });
+    },
+  );
+
+  server.registerTool(
+    'update-retargeting-list',
+    {
+      title: 'Update Retargeting List',
+      description:
+        'WRITE — renames a retargeting list, changes its description, or replaces its rule groups. Affects every ad group the list targets. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        list_id: z.number().describe('Retargeting list ID'),
+        name: z.string().optional().describe('New name'),
+        description: z.string().optional().describe('New description; "" clears it'),
+        rules: retargetingRulesSchema.optional(),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ list_id, name, description, rules, dry_run }) => {
+      const update = { Id: list_id };
+      if (name != null) update.Name = name;
+      if (description != null) update.Description = description || null;
+      if (rules) update.Rules = toRetargetingRules(rules);
+      if (Object.keys(update).length === 1) throw new Error('Nothing to update: pass name, description or rules.');
+      return runWrite(client, {
+        label: `Update retargeting list ${list_id}`,
+        service: 'retargetinglists',
+        method: 'update',
+        params: { RetargetingLists: [update] },
+        dryRun: dry_run,
+      });
+    },
+  );
+
+  server.registerTool(
+    'list-retargeting-lists',
+    {
+      title: 'List Retargeting Lists',
+      description:
+        'READ. Lists retargeting lists with their rule groups and availability: a list becomes unavailable when one of its Metrica goals or segments is no longer accessible, and then targets nobody.',
+      inputSchema: {
+        list_ids: z.array(z.number()).optional().describe('Retargeting list IDs (default: all)'),
+        types: z
+          .array(z.enum(['RETARGETING', 'AUDIENCE']))
+          .optional()
+          .describe('Only these list types'),
+        limit: z.number().min(1).optional().describe('Max lists to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ list_ids, types, limit = 100, offset, all }) => {
+      const SelectionCriteria = {};
+      if (list_ids?.length) SelectionCriteria.Ids = list_ids;
+      if (types?.length) SelectionCriteria.Types = types;
+      const page = await client.directGetAll(
+        'retargetinglists',
+        { SelectionCriteria, FieldNames: LIST_FIELDS },
+        'RetargetingLists',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult('retargeting list', page.items.map(formatRetargetingList), 'RetargetingLists', page);
+    },
+  );
+
+  server.registerTool(
+    'delete-retargeting-lists',
+    {
+      title: 'Delete Retargeting Lists',
+      description:
+        'WRITE — deletes retargeting lists (lists still used by audience targets or bid modifiers cannot be deleted). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE it first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        list_ids: z.array(z.number()).min(1).describe('Retargeting list IDs to delete'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ list_ids, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `Delete ${list_ids.length} retargeting list(s)`,
+        service: 'retargetinglists',
+        method: 'delete',
+        params: { SelectionCriteria: { Ids: list_ids } },
+        dryRun: dry_run,
+        confirm: true,
+        confirmationToken: confirmation_token,
+        preview: { fields: ['Name', 'Type'] },
+      });
+    },
+  );
+
+  server.registerTool(
+    'add-audience-targets',
+    {
+      title: 'Add Audience Targets',
+      description:
+        'WRITE — targets ad groups at a retargeting list or an interest, with an optional network bid (manual strategies) or priority (automatic strategies). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        adgroup_ids: z.array(z.number()).min(1).describe('Ad groups to add the target to'),
+        retargeting_list_id: z.number().optional().describe('Retargeting list ID (type RETARGETING)'),
+        interest_id: z.number().optional().describe('Interest category ID (instead of a list)'),
+        context_bid: z.number().optional().describe('Network bid in account currency (converted to micro-units)'),
+        strategy_priority: priority,
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ adgroup_ids, retargeting_list_id, interest_id, context_bid, strategy_priority, dry_run }) => {
+      if ((retargeting_list_id == null) === (interest_id == null)) {
+        throw new Error('Pass exactly one of retargeting_list_id or interest_id.');
+      }
+      const targets = adgroup_ids.map((id) => {
+        const target = { AdGroupId: id };
+        if (retargeting_list_id != null) target.RetargetingListId = retargeting_list_id;
+        if (interest_id != null) target.InterestId = interest_id;
+        if (context_bid != null) target.ContextBid = toMicro(context_bid);
+        if (strategy_priority) target.StrategyPriority = strategy_priority;
+        return target;
+      });
+      return runWrite(client, {
+        label: `Add audience target to ${adgroup_ids.length} ad group(s)`,
+        service: 'audiencetargets',
+        method: 'add',
+        params: { AudienceTargets: targets },
+        dryRun: dry_run,
+        spend: 'bid',
+      });
+    },
+  );
+
+  server.registerTool(
+    'list-audience-targets',
+    {
+      title: 'List Audience Targets',
+      description: 'READ. Lists audience targets (retargeting lists and interests on ad groups) with bids and states.',
+      inputSchema: {
+        target_ids: z.array(z.number()).optional().describe('Audience target IDs'),
+        adgroup_ids: z.array(z.number()).optional().describe('Ad group IDs'),
+        campaign_ids: z.array(z.number()).optional().describe('Campaign IDs'),
+        retargeting_list_ids: z.array(z.number()).optional().describe('Only targets on these retargeting lists'),
+        states: z
+          .array(z.enum(['ON', 'SUSPENDED', 'DELETED']))
+          .optional()
+          .describe('Only targets in these states'),
+        limit: z.number().min(1).optional().describe('Max targets to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ target_ids, adgroup_ids, campaign_ids, retargeting_list_ids, states, limit = 100, offset, all }) => {
+      const SelectionCriteria = {};
+      if (target_ids?.length) SelectionCriteria.Ids = target_ids;
+      if (adgroup_ids?.length) SelectionCriteria.AdGroupIds = adgroup_ids;
+      if (campaign_ids?.length) SelectionCriteria.CampaignIds = campaign_ids;
+      if (retargeting_list_ids?.length) SelectionCriteria.RetargetingListIds = retargeting_list_ids;
+      if (!Object.keys(SelectionCriteria).length) {
+        throw new Error('Pass target_ids, adgroup_ids, campaign_ids or retargeting_list_ids.');
+      }
+      if (states?.length) SelectionCriteria.States = states;
+      const page = await client.directGetAll(
+        'audiencetargets',
+        { SelectionCriteria, FieldNames: TARGET_FIELDS },
+        'AudienceTargets',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult('audience target', page.items.map(formatAudienceTarget), 'AudienceTargets', page);
+    },
+  );
+
+  server.registerTool(
+    'set-audience-target-bids',
+    {
+      title: 'Set Audience Target Bids',
+      description:
+        'WRITE — sets the network bid and/or strategy priority of audience targets. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1 — on LIVE, a call that raises any bid first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        target_ids: z.array(z.number()).min(1).describe('Audience target IDs'),
+        context_bid: z.number().optional().describe('Network bid in account currency (converted to micro-units)'),
+        strategy_priority: priority,
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm a bid raise'),
+      },
+    },
+    async ({ target_ids, context_bid, strategy_priority, dry_run, confirmation_token }) => {
+      if (context_bid == null && !strategy_priority) {
+        throw new Error('Provide at least one of context_bid or strategy_priority.');
+      }
+      const bids = target_ids.map((id) => {
+        const entry = { Id: id };
+        if (context_bid != null) entry.ContextBid = toMicro(context_bid);
+        if (strategy_priority) entry.StrategyPriority = strategy_priority;
+        return entry;
+      });
+      return runWrite(client, {
+        label: 'Set audience target bids',
+        service: 'audiencetargets',
+        method: 'setBids',
+        params: { Bids: bids },
+        dryRun: dry_run,
+        confirm: raisesBid,
+        confirmationToken: confirmation_token,
+        spend: 'bid',
+        preview: { fields: ['AdGroupId', 'CampaignId', 'RetargetingListId'] },
+      });
+    },
+  );
+
+  server.registerTool(
+    'manage-audience-targets',
+    {
+      title: 'Manage Audience Targets',
+      description:
+        'WRITE — suspends, resumes or deletes audience targets. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE, delete first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        target_ids: z.array(z.number()).min(1).describe('Audience target IDs'),
+        action: z.enum(['suspend', 'resume', 'delete']).describe('Lifecycle action'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ target_ids, action, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `${action} ${target_ids.length} audience target(s)`,
+        service: 'audiencetargets',
+        method: action,
+        params: { SelectionCriteria: { Ids: target_ids } },
+        dryRun: dry_run,
+        confirm: action === 'delete',
+        confirmationToken: confirmation_token,
+        preview: { fields: ['AdGroupId', 'RetargetingListId', 'State'] },
+      });
+    },
+  );
+}
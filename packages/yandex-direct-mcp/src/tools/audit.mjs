@@ -0,0 +1,69 @@
+import { z } from 'zod';
+import { auditLogPath, inverseOf, readAuditLog } from '../audit.mjs';
+import { listResult } from '../format.mjs';
+import { runWrite } from '../mutations.mjs';
+
+function formatEntry(e) {
+  const outcome = e.error ? `FAILED: ${e.error}` : e.result.text.split('\n')[0];
+  const ids = e.affected_ids.length ? ` IDs ${e.affected_ids.join(', ')}` : '';
+  const where = e.live ? 'LIVE' : 'sandbox';
+  return `- ${e.id} ${e.timestamp} ${e.tool ?? '?'} (${where}) — ${e.request.service}.${e.request.method}${ids} — ${outcome}`;
+}
+
+export function registerAuditTools(server, client) {
+  server.registerTool(
+    'list-audit-log',
+    {
+      title: 'List Audit Log',
+      description:
+        'READ. Lists recorded Direct mutations (newest first) from the local audit log: tool, arguments, affected IDs, and outcome. Entry IDs can be passed to undo-change.',
+      inputSchema: {
+        tool: z.string().optional().describe('Only entries written by this tool (e.g. set-bids)'),
+        limit: z.number().min(1).max(500).optional().describe('Max entries to return (default 20)'),
+      },
+    },
+    async ({ tool, limit = 20 }) => {
+      if (!auditLogPath())
+        throw new Error('Audit logging is off; set YANDEX_DIRECT_AUDIT_LOG to on or a file path to enable it.');
+      let entries = (await readAuditLog()).reverse();
+      if (tool) entries = entries.filter((e) => e.tool === tool);
+      entries = entries.slice(0, limit);
+      return listResult('audit entry', entries.map(formatEntry), { entries });
+    },
+  );
+
+  server.registerTool(
+    'undo-change',
+    {
+      title: 'Undo Change',
+      description:
+        'WRITE — reverts a mutation recorded in the audit log: restores previous bids, budgets, names, and negative keywords; resumes/suspends or unarchives/archives back; deletes objects an add created. Deletes cannot be undone. Affects the account the change was made on; on LIVE, deleting created objects first returns a confirmation token.',
+      inputSchema: {
+        entry_id: z.string().describe('Audit entry ID (see list-audit-log)'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ entry_id, dry_run, confirmation_token }) => {
+      const entry = (await readAuditLog()).find((e) => e.id === entry_id);
+      if (!entry) throw new Error(`Audit entry ${entry_id} not found.`);
+      if (entry.live !== client.live) {
+        throw new Error(
+          `Entry ${entry_id} was made on the ${entry.live ? 'LIVE' : 'sandbox'} account, but the server is connected to the ${client.live ? 'LIVE' : 'sandbox'} one.`,
+        );
+      }
+      const inverse = inverseOf(entry);
+      return runWrite(client, {
+        label: `Undo ${entry_id} (${entry.tool ?? entry.request.service})`,
+        ...inverse,
+        dryRun: dry_run,
+        confirm: inverse.method === 'delete',
+        confirmationToken: confirmation_token,
+        preview: inverse.service === 'keywordbids' ? { from: 'keywords', idKey: 'KeywordId' } : {},
+      });
+    },
+  );
+}
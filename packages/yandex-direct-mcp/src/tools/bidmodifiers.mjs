@@ -0,0 +1,151 @@
+import { z } from 'zod';
+import {
+  BID_MODIFIER_TABLE_HEAD,
+  BID_MODIFIER_TYPES,
+  bidModifierKey,
+  bidModifierQuery,
+  bidModifierSchema,
+  flattenBidModifier,
+  formatBidModifierRow,
+  inputKey,
+  toAddItem,
+  toV5Types,
+} from '../bidmodifiers.mjs';
+import { combinedResult, pagedListResult } from '../format.mjs';
+import { runWrite } from '../mutations.mjs';
+
+const LEVELS = { campaign: 'CAMPAIGN', adgroup: 'AD_GROUP' };
+
+export function registerBidModifierTools(server, client) {
+  server.registerTool(
+    'list-bid-modifiers',
+    {
+      title: 'List Bid Modifiers',
+      description:
+        'READ. Lists bid modifiers (device, demographics, audience, region, video, smart ad, income) of campaigns or ad groups as a table. 100% leaves the bid unchanged; 0% stops ads for that segment.',
+      inputSchema: {
+        campaign_ids: z.array(z.number()).optional().describe('Campaign IDs'),
+        adgroup_ids: z.array(z.number()).optional().describe('Ad group IDs'),
+        types: z.array(z.enum(BID_MODIFIER_TYPES)).optional().describe('Only these modifier types'),
+        level: z
+          .enum(['campaign', 'adgroup'])
+          .optional()
+          .describe('Only modifiers set on campaigns or on ad groups (default both)'),
+        limit: z.number().min(1).optional().describe('Max modifiers to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ campaign_ids, adgroup_ids, types, level, limit = 100, offset, all }) => {
+      if (!campaign_ids?.length && !adgroup_ids?.length) throw new Error('Pass campaign_ids or adgroup_ids.');
+      const SelectionCriteria = {};
+      if (campaign_ids?.length) SelectionCriteria.CampaignIds = campaign_ids;
+      if (adgroup_ids?.length) SelectionCriteria.AdGroupIds = adgroup_ids;
+      if (types?.length) SelectionCriteria.Types = toV5Types(types);
+      if (level) SelectionCriteria.Levels = [LEVELS[level]];
+      const page = await client.directGetAll('bidmodifiers', bidModifierQuery(SelectionCriteria), 'BidModifiers', {
+        offset,
+        limit: all ? Infinity : limit,
+      });
+      const flat = page.items.map(flattenBidModifier);
+      return pagedListResult(
+        'bid modifier',
+        flat.map(formatBidModifierRow),
+        'BidModifiers',
+        { ...page, items: flat },
+        { header: BID_MODIFIER_TABLE_HEAD },
+      );
+    },
+  );
+
+  server.registerTool(
+    'set-bid-modifiers',
+    {
+      title: 'Set Bid Modifiers',
+      description:
+        'WRITE — sets bid modifiers on a campaign or an ad group: a modifier that already exists for the same type and condition (e.g. mobile on iOS, region 1) gets the new percentage, others are added. Percentages are checked against each type’s range first (regional 10–1300, video 50–1300, smart ad 20–1300, others 0–1300). Weather modifiers are not available in API v5. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        level: z.enum(['campaign', 'adgroup']).describe('Set the modifiers on a campaign or an ad group'),
+        id: z.number().describe('Campaign ID or ad group ID (matching level)'),
+        modifiers: z.array(bidModifierSchema).min(1).describe('Modifiers to set'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ level, id, modifiers, dry_run }) => {
+      const addItems = modifiers.map((m) => toAddItem(m, { level, id }));
+      const { items } = await client.directGetAll(
+        'bidmodifiers',
+        bidModifierQuery({
+          [level === 'campaign' ? 'CampaignIds' : 'AdGroupIds']: [id],
+          Levels: [LEVELS[level]],
+        }),
+        'BidModifiers',
+      );
+      const existing = new Map(items.map(flattenBidModifier).map((f) => [bidModifierKey(f), f]));
+
+      const updates = [];
+      const adds = [];
+      modifiers.forEach((m, i) => {
+        const current = existing.get(inputKey(m));
+        if (!current) adds.push(addItems[i]);
+        else if (current.BidModifier !== m.percent) updates.push({ Id: current.Id, BidModifier: m.percent });
+      });
+      if (!updates.length && !adds.length) {
+        return { content: [{ type: 'text', text: 'Every modifier already has the requested percentage.' }] };
+      }
+
+      const results = [];
+      if (updates.length) {
+        results.push(
+          await runWrite(client, {
+            label: `Change ${updates.length} bid modifier(s) on ${level} ${id}`,
+            service: 'bidmodifiers',
+            method: 'set',
+            params: { BidModifiers: updates },
+            dryRun: dry_run,
+          }),
+        );
+      }
+      if (adds.length) {
+        results.push(
+          await runWrite(client, {
+            label: `Add ${adds.length} bid modifier(s) to ${level} ${id}`,
+            service: 'bidmodifiers',
+            method: 'add',
+            params: { BidModifiers: adds },
+            dryRun: dry_run,
+          }),
+        );
+      }
+      return combinedResult(results);
+    },
+  );
+
+  server.registerTool(
+    'delete-bid-modifiers',
+    {
+      title: 'Delete Bid Modifiers',
+      description:
+        'WRITE — deletes bid modifiers by ID (see list-bid-modifiers); bids go back to 100% for those segments. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE it first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        modifier_ids: z.array(z.number()).min(1).describe('Bid modifier IDs to delete'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ modifier_ids, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `Delete ${modifier_ids.length} bid modifier(s)`,
+        service: 'bidmodifiers',
+        method: 'delete',
+        params: { SelectionCriteria: { Ids: modifier_ids } },
+        dryRun: dry_run,
+        confirm: true,
+        confirmationToken: confirmation_token,
+      });
+    },
+  );
+}
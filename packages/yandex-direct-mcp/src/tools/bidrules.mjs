@@ -0,0 +1,72 @@
+import { z } from 'zod';
+import { fromMicro } from '../money.mjs';
+import { runWrite } from '../mutations.mjs';
+import { raisesBid } from '../policy.mjs';
+import { evaluateRules, loadRules } from '../rules.mjs';
+
+function describeRun({ proposals, skipped, counts }) {
+  const matched = Object.entries(counts.matched).map(([rule, n]) => `"${rule}" ${n}`);
+  const lines = [
+    `Bid rules: ${counts.keywords} keyword(s) with statistics; matched ${matched.join(', ') || 'none'}; ${counts.unmatched} unmatched; ${proposals.length} bid change(s) proposed, ${skipped.length} skipped.`,
+  ];
+  if (proposals.length) {
+    lines.push('Proposed:');
+    for (const p of proposals) {
+      lines.push(
+        `- "${p.keyword}" (ID ${p.KeywordId}): ${fromMicro(p.before)} → ${fromMicro(p.after)} — ${p.rule} (${p.metrics})`,
+      );
+    }
+  }
+  if (skipped.length) {
+    lines.push('Skipped:');
+    for (const s of skipped) lines.push(`- "${s.keyword}" (ID ${s.KeywordId}): ${s.reason}`);
+  }
+  return lines.join('\n');
+}
+
+export function registerBidRuleTools(server, client) {
+  server.registerTool(
+    'run-bid-rules',
+    {
+      title: 'Run Bid Rules',
+      description:
+        'WRITE — evaluates bid rules (JSON or YAML, inline or a file) against per-keyword statistics from the criteria performance report and proposes new search bids, e.g. "when cpa > 500 and clicks > 30 over 14 days, lower the bid 15%". Without apply the run is only previewed; with apply the changes are sent through keywordbids.set under the spend policy and LIVE confirmation of set-bids. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        rules: z
+          .string()
+          .optional()
+          .describe(
+            'Rule set as JSON or YAML: { campaignIds?, goalIds?, rules: [{ name, days?, when: ["cpa > 500", "clicks > 30"], bidChangePct | setBid, minBid?, maxBid? }] }',
+          ),
+        rules_path: z.string().optional().describe('Path to a local JSON or YAML rules file (instead of rules)'),
+        apply: z.boolean().optional().describe('Send the proposed bid changes; without it the run is only previewed'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm a bid raise'),
+      },
+    },
+    async ({ rules, rules_path, apply, confirmation_token }) => {
+      const ruleSet = await loadRules({ text: rules, path: rules_path });
+      const run = await evaluateRules(client, ruleSet);
+      const summary = describeRun(run);
+      if (!run.proposals.length) {
+        return { content: [{ type: 'text', text: summary }], structuredContent: { ...run, applied: false } };
+      }
+      const result = await runWrite(client, {
+        label: `Apply bid rules (${run.proposals.length} keyword(s))`,
+        service: 'keywordbids',
+        method: 'set',
+        params: { KeywordBids: run.proposals.map((p) => ({ KeywordId: p.KeywordId, Bid: p.after })) },
+        dryRun: !apply,
+        confirm: raisesBid,
+        confirmationToken: confirmation_token,
+        spend: 'bid',
+        preview: { from: 'keywords', idKey: 'KeywordId', fields: ['Keyword', 'CampaignId'] },
+      });
+      result.content[0].text = `${summary}\n\n${result.content[0].text}`;
+      result.structuredContent = { ...result.structuredContent, run };
+      return result;
+    },
+  );
+}
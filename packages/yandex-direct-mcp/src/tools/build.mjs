@@ -0,0 +1,42 @@
+import { z } from 'zod';
+import { describeBuild, executeBuild, loadSpec, planBuild } from '../build.mjs';
+
+function describePlan(plan, { requests, violations }) {
+  const ads = plan.groups.reduce((n, g) => n + g.ads.length, 0);
+  const keywords = plan.groups.reduce((n, g) => n + g.keywords.length, 0);
+  const lines = [
+    `DRY RUN — Build campaign "${plan.name}" (nothing was sent)`,
+    `Spec is valid: 1 campaign, ${plan.groups.length} ad group(s), ${ads} ad(s), ${keywords} keyword(s).`,
+    'Requests, in order (IDs in <> are filled in from the previous step):',
+    ...requests.map((r) => `${r.service}.${r.method}\n${JSON.stringify(r.params, null, 2)}`),
+  ];
+  if (violations.length) lines.push('Spend policy would block this:', ...violations.map((v) => `  - ${v}`));
+  return lines.join('\n');
+}
+
+export function registerBuildTools(server, client) {
+  server.registerTool(
+    'build-campaign',
+    {
+      title: 'Build Campaign from Spec',
+      description:
+        'WRITE — creates a whole text or Unified Performance campaign from one JSON or YAML spec (inline or a file): the campaign with its strategy, budget and negative keywords, then its ad groups, text ads and keywords with bids, wiring the new IDs from step to step. The whole spec is validated first (schema, strategy, ad text rules, spend policy) and nothing is sent if any of it is wrong; if a step fails midway, everything already created is deleted again. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        spec: z
+          .string()
+          .optional()
+          .describe(
+            'Campaign spec as JSON or YAML: { campaign: { name, type?, start_date?, daily_budget?, strategy?, counter_ids?, negative_keywords? }, groups: [{ name, region_ids?, negative_keywords?, tracking_params?, bid?, keywords: ["phrase" | { phrase, bid }], ads: [{ title, title2?, text, href, display_url_path?, image_hash?, sitelink_set_id?, callout_ids? }] }] }',
+          ),
+        spec_path: z.string().optional().describe('Path to a local JSON or YAML spec file (instead of spec)'),
+        dry_run: z.boolean().optional().describe('Validate the spec and list the requests without sending them'),
+      },
+    },
+    async ({ spec, spec_path, dry_run }) => {
+      const plan = planBuild(await loadSpec({ text: spec, path: spec_path }));
+      const result = await executeBuild(client, plan, { dryRun: dry_run });
+      const text = result.dry_run ? describePlan(plan, result) : describeBuild(plan, result);
+      return { content: [{ type: 'text', text }], structuredContent: result };
+    },
+  );
+}
@@ -1,6 +1,17 @@
 import { z } from 'zod';
-import { listResult, today, writeResult } from '../format.mjs';
+import { pagedListResult, today } from '../format.mjs';
 import { fromMicro, toMicro } from '../money.mjs';
+import { runWrite } from '../mutations.mjs';
+import { formatTimeTargeting, timeTargetingSchema, toTimeTargeting } from '../schedule.mjs';
+import {
+  checkBudgetFits,
+  describeStrategy,
+  newCampaignStrategy,
+  placementTypesSchema,
+  strategySchema,
+  toBiddingStrategy,
+  toPlacementTypes,
+} from '../strategy.mjs';
 
 const CAMPAIGN_FIELDS = [
   'Id',
@@ -14,9 +25,119 @@ const CAMPAIGN_FIELDS = [
   'Currency',
 ];
 
+// The v5 structure holding each campaign type's own settings.
+const TYPE_STRUCTURES = {
+  TEXT_CAMPAIGN: 'TextCampaign',
+  UNIFIED_CAMPAIGN: 'UnifiedCampaign',
+  DYNAMIC_TEXT_CAMPAIGN: 'DynamicTextCampaign',
+  SMART_CAMPAIGN: 'SmartCampaign',
+  MOBILE_APP_CAMPAIGN: 'MobileAppCampaign',
+};
+
+// Type-specific fields, requested for every type at once (each campaign only
+// returns its own structure).
+const TYPE_FIELD_NAMES = {
+  TextCampaignFieldNames: ['BiddingStrategy', 'CounterIds', 'PriorityGoals'],
+  UnifiedCampaignFieldNames: ['BiddingStrategy', 'PackageBiddingStrategy', 'CounterIds', 'PriorityGoals'],
+  DynamicTextCampaignFieldNames: ['BiddingStrategy', 'CounterIds', 'PriorityGoals'],
+  SmartCampaignFieldNames: ['BiddingStrategy', 'CounterId'],
+  MobileAppCampaignFieldNames: ['BiddingStrategy'],
+};
+
+// Types whose BiddingStrategy takes the search/network strategies of strategy.mjs.
+const STRATEGY_TYPES = new Set(['TEXT_CAMPAIGN', 'UNIFIED_CAMPAIGN', 'DYNAMIC_TEXT_CAMPAIGN']);
+
+// Settings covered by get/update-campaign-settings: common fields plus the
+// type-specific ones of the types that have them.
+const SETTINGS_FIELDS = [
+  'Id',
+  'Name',
+  'Type',
+  'TimeZone',
+  'TimeTargeting',
+  'BlockedIps',
+  'ExcludedSites',
+  'Notification',
+];
+const GOAL_FIELDS = ['CounterIds', 'PriorityGoals', 'NegativeKeywordSharedSetIds'];
+const SETTINGS_TYPE_FIELD_NAMES = {
+  TextCampaignFieldNames: GOAL_FIELDS,
+  UnifiedCampaignFieldNames: GOAL_FIELDS,
+  DynamicTextCampaignFieldNames: GOAL_FIELDS,
+  SmartCampaignFieldNames: ['CounterId'],
+};
+const GOAL_TYPES = new Set(['TEXT_CAMPAIGN', 'UNIFIED_CAMPAIGN', 'DYNAMIC_TEXT_CAMPAIGN']);
+
 function formatCampaign(c) {
   const budget = c.DailyBudget ? `, daily budget ${fromMicro(c.DailyBudget.Amount)} ${c.Currency || ''}` : '';
-  return `- ${c.Name} (ID ${c.Id}) — ${c.Type}, state ${c.State}, status ${c.Status}${budget}`;
+  const details = c[TYPE_STRUCTURES[c.Type]] ?? {};
+  const lines = [`- ${c.Name} (ID ${c.Id}) — ${c.Type}, state ${c.State}, status ${c.Status}${budget}`];
+  const packageId = details.PackageBiddingStrategy?.StrategyId;
+  if (packageId) lines.push(`    package strategy: ID ${packageId}`);
+  else if (details.BiddingStrategy) lines.push(`    strategy: ${describeStrategy(details.BiddingStrategy)}`);
+  const counters = details.CounterIds?.Items ?? (details.CounterId ? [details.CounterId] : []);
+  if (counters.length) lines.push(`    Metrica counters: ${counters.join(', ')}`);
+  const goals = details.PriorityGoals?.Items ?? [];
+  if (goals.length) {
+    lines.push(`    priority goals: ${goals.map((g) => `${g.GoalId} (value ${fromMicro(g.Value)})`).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+function formatCampaignSettings(c) {
+  const details = c[TYPE_STRUCTURES[c.Type]] ?? {};
+  const list = (setting) => (setting?.Items?.length ? setting.Items.join(', ') : 'none');
+  const counters = details.CounterIds ?? (details.CounterId ? { Items: [details.CounterId] } : null);
+  const goals = details.PriorityGoals?.Items ?? [];
+  const indent = (text) => text.replace(/^/gm, '    ');
+  return [
+    `Settings of ${c.Name} (ID ${c.Id}, ${c.Type}):`,
+    `  time zone: ${c.TimeZone ?? 'unknown'}`,
+    `  time targeting:\n${indent(formatTimeTargeting(c.TimeTargeting))}`,
+    `  Metrica counters: ${list(counters)}`,
+    `  priority goals: ${goals.length ? goals.map((g) => `${g.GoalId} (value ${fromMicro(g.Value)})`).join(', ') : 'none'}`,
+    `  negative keyword sets: ${list(details.NegativeKeywordSharedSetIds)}`,
+    `  blocked IPs: ${list(c.BlockedIps)}`,
+    `  excluded sites: ${list(c.ExcludedSites)}`,
+    `  notification e-mail: ${c.Notification?.EmailSettings?.Email ?? 'none'}`,
+  ].join('\n');
+}
+
+// v5 list setting; an empty list clears it.
+function items(list) {
+  return list.length ? { Items: list } : null;
+}
+
+// A package (shared) strategy replaces the campaign's own strategy and budget.
+function checkPackageFits({ strategy, daily_budget, package_strategy_id, placement_types }) {
+  if (package_strategy_id == null) return;
+  if (strategy?.search || strategy?.network || placement_types) {
+    throw new Error('package_strategy_id cannot be combined with strategy or placement_types; the package sets both.');
+  }
+  if (daily_budget != null) throw new Error('daily_budget cannot be combined with a package strategy.');
+}
+
+function checkUnifiedOnly(type, { package_strategy_id, placement_types }, subject = 'The campaign') {
+  if (type !== 'UNIFIED_CAMPAIGN' && (package_strategy_id != null || placement_types)) {
+    throw new Error(`package_strategy_id and placement_types apply to UNIFIED_CAMPAIGN only; ${subject} is ${type}.`);
+  }
+}
+
+// One campaign with its type, for updates that must address its type structure.
+async function readCampaign(client, campaignId, fieldNames = {}) {
+  const result = await client.directRequest('campaigns', 'get', {
+    SelectionCriteria: { Ids: [campaignId] },
+    FieldNames: ['Id', 'Type'],
+    ...fieldNames,
+  });
+  const campaign = result.Campaigns?.[0];
+  if (!campaign) throw new Error(`Campaign ${campaignId} not found.`);
+  return campaign;
+}
+
+// Drop the null fields a v5 get returns for unset parameters, so a read object can be sent back.
+function withoutNulls(value) {
+  return JSON.parse(JSON.stringify(value, (_key, v) => (v === null ? undefined : v)));
 }
 
 export function registerCampaignTools(server, client) {
@@ -24,24 +145,28 @@ export function registerCampaignTools(server, client) {
     'list-campaigns',
     {
       title: 'List Campaigns',
-      description: 'READ. Lists Yandex Direct campaigns with their type, state, status, and daily budget.',
+      description:
+        'READ. Lists Yandex Direct campaigns of every type (text, Unified Performance, dynamic, smart, mobile app) with their state, status, daily budget, bidding or package strategy, and Metrica counters.',
       inputSchema: {
         states: z
           .array(z.enum(['ON', 'OFF', 'SUSPENDED', 'ENDED', 'CONVERTED', 'ARCHIVED']))
           .optional()
           .describe('Filter by campaign state'),
-        limit: z.number().min(1).max(1000).optional().describe('Max campaigns to return (default 100)'),
+        limit: z.number().min(1).optional().describe('Max campaigns to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
       },
     },
-    async ({ states, limit = 100 }) => {
+    async ({ states, limit = 100, offset, all }) => {
       const SelectionCriteria = {};
       if (states?.length) SelectionCriteria.States = states;
-      const result = await client.directRequest('campaigns', 'get', {
-        SelectionCriteria,
-        FieldNames: CAMPAIGN_FIELDS,
-        Page: { Limit: limit },
-      });
-      return listResult('campaign', (result.Campaigns || []).map(formatCampaign), result);
+      const page = await client.directGetAll(
+        'campaigns',
+        { SelectionCriteria, FieldNames: CAMPAIGN_FIELDS, ...TYPE_FIELD_NAMES },
+        'Campaigns',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult('campaign', page.items.map(formatCampaign), 'Campaigns', page);
     },
   );
 
@@ -49,7 +174,8 @@ export function registerCampaignTools(server, client) {
     'get-campaign',
     {
       title: 'Get Campaign',
-      description: 'READ. Returns details for a single campaign by ID.',
+      description:
+        'READ. Returns details for a single campaign by ID, including its type-specific settings: bidding or package strategy, placement types, Metrica counters and priority goals.',
       inputSchema: {
         campaign_id: z.number().describe('Campaign ID'),
       },
@@ -58,6 +184,7 @@ export function registerCampaignTools(server, client) {
       const result = await client.directRequest('campaigns', 'get', {
         SelectionCriteria: { Ids: [campaign_id] },
         FieldNames: CAMPAIGN_FIELDS,
+        ...TYPE_FIELD_NAMES,
       });
       const c = (result.Campaigns || [])[0];
       const text = c ? formatCampaign(c) : `Campaign ${campaign_id} not found.`;
@@ -70,32 +197,72 @@ export function registerCampaignTools(server, client) {
     {
       title: 'Create Campaign',
       description:
-        'WRITE — creates a new text campaign. Defaults to the SANDBOX account; with YANDEX_DIRECT_LIVE=1 this creates a real campaign. Uses a manual (highest-position) search strategy with network serving off; tune later with update-campaign.',
+        'WRITE — creates a new text, dynamic text (DYNAMIC_TEXT_CAMPAIGN, search only) or Unified Performance (ЕПК, type UNIFIED_CAMPAIGN) campaign. Defaults to the SANDBOX account; with YANDEX_DIRECT_LIVE=1 this creates a real campaign. Without a strategy it uses manual (highest-position) search with network serving off; pass strategy for automatic ones (WB_MAXIMUM_CLICKS, AVERAGE_CPC, AVERAGE_CPA, PAY_FOR_CONVERSION, WB_MAXIMUM_CONVERSION_RATE). Unified campaigns can instead use a package strategy (package_strategy_id) and choose search placement_types.',
       inputSchema: {
         name: z.string().describe('Campaign name'),
+        type: z
+          .enum(['TEXT_CAMPAIGN', 'DYNAMIC_TEXT_CAMPAIGN', 'UNIFIED_CAMPAIGN'])
+          .optional()
+          .describe(
+            'Campaign type (default TEXT_CAMPAIGN); DYNAMIC_TEXT_CAMPAIGN builds ads from site pages or a feed; UNIFIED_CAMPAIGN is a Unified Performance (ЕПК) campaign',
+          ),
         start_date: z.string().optional().describe('Start date YYYY-MM-DD (default: today)'),
         daily_budget: z
           .number()
           .optional()
-          .describe('Daily budget in account currency (e.g. rubles); converted to micro-units'),
+          .describe(
+            'Daily budget in account currency (e.g. rubles); converted to micro-units. Manual strategies only.',
+          ),
+        strategy: strategySchema.optional(),
+        package_strategy_id: z
+          .number()
+          .optional()
+          .describe('Unified campaigns only: ID of a package (shared) strategy to use instead of strategy'),
+        placement_types: placementTypesSchema.optional(),
+        counter_ids: z
+          .array(z.number())
+          .optional()
+          .describe('Metrica counter IDs to link (needed for goal-based strategies)'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
       },
     },
-    async ({ name, start_date, daily_budget }) => {
-      const campaign = {
-        Name: name,
-        StartDate: start_date || today(),
-        TextCampaign: {
-          BiddingStrategy: {
-            Search: { BiddingStrategyType: 'HIGHEST_POSITION' },
-            Network: { BiddingStrategyType: 'SERVING_OFF' },
-          },
-        },
-      };
+    async ({
+      name,
+      type = 'TEXT_CAMPAIGN',
+      start_date,
+      daily_budget,
+      strategy = {},
+      package_strategy_id,
+      placement_types,
+      counter_ids,
+      dry_run,
+    }) => {
+      checkBudgetFits(strategy, daily_budget);
+      checkPackageFits({ strategy, daily_budget, package_strategy_id, placement_types });
+      checkUnifiedOnly(type, { package_strategy_id, placement_types }, 'type');
+      if (type === 'DYNAMIC_TEXT_CAMPAIGN' && strategy.network && strategy.network.type !== 'SERVING_OFF') {
+        throw new Error('Dynamic text campaigns serve on search only; leave strategy.network out or SERVING_OFF.');
+      }
+      const settings = {};
+      if (package_strategy_id != null) {
+        settings.PackageBiddingStrategy = { StrategyId: package_strategy_id };
+      } else {
+        settings.BiddingStrategy = newCampaignStrategy(strategy);
+        if (placement_types) settings.BiddingStrategy.Search.PlacementTypes = toPlacementTypes(placement_types);
+      }
+      if (counter_ids?.length) settings.CounterIds = { Items: counter_ids };
+      const campaign = { Name: name, StartDate: start_date || today(), [TYPE_STRUCTURES[type]]: settings };
       if (daily_budget != null) {
         campaign.DailyBudget = { Amount: toMicro(daily_budget), Mode: 'STANDARD' };
       }
-      const result = await client.directRequest('campaigns', 'add', { Campaigns: [campaign] });
-      return writeResult('Create campaign', result);
+      return runWrite(client, {
+        label: 'Create campaign',
+        service: 'campaigns',
+        method: 'add',
+        params: { Campaigns: [campaign] },
+        dryRun: dry_run,
+        spend: 'budget',
+      });
     },
   );
 
@@ -104,19 +271,161 @@ export function registerCampaignTools(server, client) {
     {
       title: 'Update Campaign',
       description:
-        'WRITE — updates a campaign name and/or daily budget. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+        'WRITE — updates a campaign name, daily budget, and/or bidding strategy (search and network halves can be changed independently) of a text, dynamic or Unified Performance campaign; unified campaigns can also switch to a package strategy or change search placement_types. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
       inputSchema: {
         campaign_id: z.number().describe('Campaign ID'),
         name: z.string().optional().describe('New campaign name'),
         daily_budget: z.number().optional().describe('New daily budget in account currency (converted to micro-units)'),
+        strategy: strategySchema.optional(),
+        package_strategy_id: z
+          .number()
+          .optional()
+          .describe('Unified campaigns only: switch to this package (shared) strategy'),
+        placement_types: placementTypesSchema.optional(),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
       },
     },
-    async ({ campaign_id, name, daily_budget }) => {
+    async ({ campaign_id, name, daily_budget, strategy, package_strategy_id, placement_types, dry_run }) => {
+      checkBudgetFits(strategy, daily_budget);
+      checkPackageFits({ strategy, daily_budget, package_strategy_id, placement_types });
       const update = { Id: campaign_id };
       if (name != null) update.Name = name;
       if (daily_budget != null) update.DailyBudget = { Amount: toMicro(daily_budget), Mode: 'STANDARD' };
-      const result = await client.directRequest('campaigns', 'update', { Campaigns: [update] });
-      return writeResult('Update campaign', result);
+      if (strategy?.search || strategy?.network || package_strategy_id != null || placement_types) {
+        const campaign = await readCampaign(client, campaign_id, { UnifiedCampaignFieldNames: ['BiddingStrategy'] });
+        if (!STRATEGY_TYPES.has(campaign.Type)) {
+          throw new Error(`Bidding strategies of ${campaign.Type} campaigns cannot be changed with this tool.`);
+        }
+        checkUnifiedOnly(campaign.Type, { package_strategy_id, placement_types }, `campaign ${campaign_id}`);
+        const settings = {};
+        if (package_strategy_id != null) {
+          settings.PackageBiddingStrategy = { StrategyId: package_strategy_id };
+        } else {
+          settings.BiddingStrategy = toBiddingStrategy(strategy ?? {});
+          if (placement_types) {
+            // Placements live inside the search half, so the current one is resent
+            // when only the placements change.
+            const search =
+              settings.BiddingStrategy.Search ?? withoutNulls(campaign.UnifiedCampaign?.BiddingStrategy?.Search ?? {});
+            settings.BiddingStrategy.Search = { ...search, PlacementTypes: toPlacementTypes(placement_types) };
+          }
+        }
+        update[TYPE_STRUCTURES[campaign.Type]] = settings;
+      }
+      return runWrite(client, {
+        label: 'Update campaign',
+        service: 'campaigns',
+        method: 'update',
+        params: { Campaigns: [update] },
+        dryRun: dry_run,
+        spend: 'budget',
+        preview: { fields: ['Name'] },
+      });
+    },
+  );
+
+  server.registerTool(
+    'get-campaign-settings',
+    {
+      title: 'Get Campaign Settings',
+      description:
+        'READ. Returns a campaign’s serving settings: time zone, time targeting (as an hour-by-weekday grid with the holiday rule), Metrica counters, priority goals, negative keyword sets, blocked IPs, excluded sites and notification e-mail.',
+      inputSchema: {
+        campaign_id: z.number().describe('Campaign ID'),
+      },
+    },
+    async ({ campaign_id }) => {
+      const result = await client.directRequest('campaigns', 'get', {
+        SelectionCriteria: { Ids: [campaign_id] },
+        FieldNames: SETTINGS_FIELDS,
+        ...SETTINGS_TYPE_FIELD_NAMES,
+      });
+      const c = (result.Campaigns || [])[0];
+      const text = c ? formatCampaignSettings(c) : `Campaign ${campaign_id} not found.`;
+      return { content: [{ type: 'text', text }], structuredContent: result };
+    },
+  );
+
+  server.registerTool(
+    'update-campaign-settings',
+    {
+      title: 'Update Campaign Settings',
+      description:
+        'WRITE — updates a campaign’s serving settings: time targeting schedule and holiday rule, time zone, Metrica counters, priority goals, negative keyword sets, blocked IPs, excluded sites, notification e-mail. Only the settings passed change; list settings are replaced as a whole and [] clears them. Counters, priority goals and negative keyword sets apply to text, dynamic and Unified Performance campaigns. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        campaign_id: z.number().describe('Campaign ID'),
+        time_targeting: timeTargetingSchema.optional(),
+        time_zone: z.string().optional().describe('Time zone name, e.g. Europe/Moscow'),
+        counter_ids: z.array(z.number()).optional().describe('Metrica counter IDs to link'),
+        priority_goals: z
+          .array(
+            z.object({
+              goal_id: z.number().describe('Metrica goal ID'),
+              value: z.number().positive().describe('Conversion value in account currency'),
+            }),
+          )
+          .optional()
+          .describe('Key goals the campaign optimizes for, with the value of one conversion'),
+        negative_keyword_shared_set_ids: z
+          .array(z.number())
+          .optional()
+          .describe('Shared negative keyword set IDs to attach'),
+        blocked_ips: z.array(z.ipv4()).max(25).optional().describe('IPv4 addresses not shown the ads (up to 25)'),
+        excluded_sites: z
+          .array(z.string())
+          .max(1000)
+          .optional()
+          .describe('Sites and apps excluded from network placements (up to 1000)'),
+        notification_email: z.email().optional().describe('E-mail for campaign notifications'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({
+      campaign_id,
+      time_targeting,
+      time_zone,
+      counter_ids,
+      priority_goals,
+      negative_keyword_shared_set_ids,
+      blocked_ips,
+      excluded_sites,
+      notification_email,
+      dry_run,
+    }) => {
+      const update = { Id: campaign_id };
+      if (time_targeting) update.TimeTargeting = toTimeTargeting(time_targeting);
+      if (time_zone) update.TimeZone = time_zone;
+      if (blocked_ips) update.BlockedIps = items(blocked_ips);
+      if (excluded_sites) update.ExcludedSites = items(excluded_sites);
+      if (notification_email) update.Notification = { EmailSettings: { Email: notification_email } };
+
+      const typed = {};
+      if (counter_ids) typed.CounterIds = items(counter_ids);
+      if (priority_goals) {
+        typed.PriorityGoals = items(
+          priority_goals.map((g) => ({ GoalId: g.goal_id, Value: toMicro(g.value), Operation: 'SET' })),
+        );
+      }
+      if (negative_keyword_shared_set_ids) typed.NegativeKeywordSharedSetIds = items(negative_keyword_shared_set_ids);
+      if (Object.keys(typed).length) {
+        const campaign = await readCampaign(client, campaign_id);
+        if (!GOAL_TYPES.has(campaign.Type)) {
+          throw new Error(
+            `Counters, priority goals and negative keyword sets cannot be set on ${campaign.Type} campaigns with this tool.`,
+          );
+        }
+        update[TYPE_STRUCTURES[campaign.Type]] = typed;
+      }
+      if (Object.keys(update).length === 1) throw new Error('Nothing to update: pass at least one setting.');
+
+      return runWrite(client, {
+        label: 'Update campaign settings',
+        service: 'campaigns',
+        method: 'update',
+        params: { Campaigns: [update] },
+        dryRun: dry_run,
+        preview: { fields: ['Name'] },
+      });
     },
   );
 
@@ -125,17 +434,28 @@ export function registerCampaignTools(server, client) {
     {
       title: 'Manage Campaign State',
       description:
-        'WRITE — changes a campaign lifecycle state. suspend/resume pause or run it; archive/unarchive; delete removes it. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+        'WRITE — changes a campaign lifecycle state. suspend/resume pause or run it; archive/unarchive; delete removes it. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE, delete first returns a confirmation token that must be passed back to execute.',
       inputSchema: {
         campaign_id: z.number().describe('Campaign ID'),
         action: z.enum(['suspend', 'resume', 'archive', 'unarchive', 'delete']).describe('Lifecycle action'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
       },
     },
-    async ({ campaign_id, action }) => {
-      const result = await client.directRequest('campaigns', action, {
-        SelectionCriteria: { Ids: [campaign_id] },
+    async ({ campaign_id, action, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `${action} campaign ${campaign_id}`,
+        service: 'campaigns',
+        method: action,
+        params: { SelectionCriteria: { Ids: [campaign_id] } },
+        dryRun: dry_run,
+        confirm: action === 'delete',
+        confirmationToken: confirmation_token,
+        preview: { fields: ['Name', 'State', 'Status'] },
       });
-      return writeResult(`${action} campaign ${campaign_id}`, result);
     },
   );
 }
@@ -0,0 +1,336 @@
+import { z } from 'zod';
+import {
+  formatDynamicTarget,
+  formatSmartFilter,
+  SMART_AUDIENCES,
+  smartConditionsSchema,
+  toConditions,
+  webpageConditionsSchema,
+} from '../dynamic.mjs';
+import { combinedResult, pagedListResult } from '../format.mjs';
+import { toMicro } from '../money.mjs';
+import { runWrite } from '../mutations.mjs';
+import { raisesBid } from '../policy.mjs';
+
+const DYNAMIC_TARGET_FIELDS = [
+  'Id',
+  'AdGroupId',
+  'CampaignId',
+  'Name',
+  'Conditions',
+  'ConditionType',
+  'Bid',
+  'ContextBid',
+  'StrategyPriority',
+  'State',
+  'StatusClarification',
+];
+const SMART_FILTER_FIELDS = [
+  'Id',
+  'AdGroupId',
+  'CampaignId',
+  'Name',
+  'Audience',
+  'Conditions',
+  'AvailableItemsOnly',
+  'AverageCpc',
+  'AverageCpa',
+  'StrategyPriority',
+  'State',
+];
+
+const priority = z
+  .enum(['LOW', 'NORMAL', 'HIGH'])
+  .optional()
+  .describe('Priority under an automatic strategy (instead of a bid)');
+
+const LIST_INPUTS = {
+  adgroup_ids: z.array(z.number()).optional().describe('Ad group IDs'),
+  campaign_ids: z.array(z.number()).optional().describe('Campaign IDs'),
+  states: z
+    .array(z.enum(['ON', 'SUSPENDED', 'DELETED']))
+    .optional()
+    .describe('Only targets in these states'),
+  limit: z.number().min(1).optional().describe('Max targets to return (default 100); ignored with all'),
+  offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+  all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+};
+
+function targetSelection({ ids, adgroup_ids, campaign_ids, states }) {
+  const SelectionCriteria = {};
+  if (ids?.length) SelectionCriteria.Ids = ids;
+  if (adgroup_ids?.length) SelectionCriteria.AdGroupIds = adgroup_ids;
+  if (campaign_ids?.length) SelectionCriteria.CampaignIds = campaign_ids;
+  if (!Object.keys(SelectionCriteria).length) throw new Error('Pass target IDs, adgroup_ids or campaign_ids.');
+  if (states?.length) SelectionCriteria.States = states;
+  return SelectionCriteria;
+}
+
+// A lifecycle tool (suspend / resume / delete) over one target service.
+function registerManageTool(server, client, { name, title, noun, service, fields }) {
+  server.registerTool(
+    name,
+    {
+      title,
+      description: `WRITE — suspends, resumes or deletes ${noun}s. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE, delete first returns a confirmation token that must be passed back to execute.`,
+      inputSchema: {
+        target_ids: z
+          .array(z.number())
+          .min(1)
+          .describe(`${noun[0].toUpperCase()}${noun.slice(1)} IDs`),
+        action: z.enum(['suspend', 'resume', 'delete']).describe('Lifecycle action'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ target_ids, action, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `${action} ${target_ids.length} ${noun}(s)`,
+        service,
+        method: action,
+        params: { SelectionCriteria: { Ids: target_ids } },
+        dryRun: dry_run,
+        confirm: action === 'delete',
+        confirmationToken: confirmation_token,
+        preview: { fields },
+      });
+    },
+  );
+}
+
+export function registerDynamicTargetTools(server, client) {
+  server.registerTool(
+    'create-dynamic-target',
+    {
+      title: 'Create Dynamic Ad Target',
+      description:
+        'WRITE — adds a target to a dynamic text ad group: the site pages to build ads from, picked by URL, page title, content or domain conditions (none: every page). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        adgroup_id: z.number().describe('Dynamic text ad group ID'),
+        name: z.string().describe('Target name'),
+        conditions: webpageConditionsSchema.optional(),
+        bid: z.number().optional().describe('Search bid in account currency (manual strategies)'),
+        strategy_priority: priority,
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ adgroup_id, name, conditions, bid, strategy_priority, dry_run }) => {
+      const target = { AdGroupId: adgroup_id, Name: name };
+      if (conditions?.length) target.Conditions = toConditions(conditions);
+      if (bid != null) target.Bid = toMicro(bid);
+      if (strategy_priority) target.StrategyPriority = strategy_priority;
+      return runWrite(client, {
+        label: 'Create dynamic ad target',
+        service: 'dynamictextadtargets',
+        method: 'add',
+        params: { Webpages: [target] },
+        dryRun: dry_run,
+        spend: 'bid',
+      });
+    },
+  );
+
+  server.registerTool(
+    'list-dynamic-targets',
+    {
+      title: 'List Dynamic Ad Targets',
+      description: 'READ. Lists dynamic ad targets (page conditions of dynamic text ad groups) with bids and states.',
+      inputSchema: { target_ids: z.array(z.number()).optional().describe('Dynamic target IDs'), ...LIST_INPUTS },
+    },
+    async ({ target_ids, adgroup_ids, campaign_ids, states, limit = 100, offset, all }) => {
+      const page = await client.directGetAll(
+        'dynamictextadtargets',
+        {
+          SelectionCriteria: targetSelection({ ids: target_ids, adgroup_ids, campaign_ids, states }),
+          FieldNames: DYNAMIC_TARGET_FIELDS,
+        },
+        'Webpages',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult('dynamic ad target', page.items.map(formatDynamicTarget), 'Webpages', page);
+    },
+  );
+
+  server.registerTool(
+    'set-dynamic-target-bids',
+    {
+      title: 'Set Dynamic Ad Target Bids',
+      description:
+        'WRITE — sets the search bid and/or strategy priority of dynamic ad targets. The API cannot edit a target’s conditions: create a new target and delete the old one instead. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1 — on LIVE, a call that raises any bid first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        target_ids: z.array(z.number()).min(1).describe('Dynamic target IDs'),
+        bid: z.number().optional().describe('Search bid in account currency (converted to micro-units)'),
+        strategy_priority: priority,
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm a bid raise'),
+      },
+    },
+    async ({ target_ids, bid, strategy_priority, dry_run, confirmation_token }) => {
+      if (bid == null && !strategy_priority) throw new Error('Provide at least one of bid or strategy_priority.');
+      const bids = target_ids.map((id) => {
+        const entry = { Id: id };
+        if (bid != null) entry.Bid = toMicro(bid);
+        if (strategy_priority) entry.StrategyPriority = strategy_priority;
+        return entry;
+      });
+      return runWrite(client, {
+        label: 'Set dynamic ad target bids',
+        service: 'dynamictextadtargets',
+        method: 'setBids',
+        params: { Bids: bids },
+        dryRun: dry_run,
+        confirm: raisesBid,
+        confirmationToken: confirmation_token,
+        spend: 'bid',
+        preview: { fields: ['Name', 'AdGroupId', 'CampaignId'] },
+      });
+    },
+  );
+
+  registerManageTool(server, client, {
+    name: 'manage-dynamic-targets',
+    title: 'Manage Dynamic Ad Targets',
+    noun: 'dynamic ad target',
+    service: 'dynamictextadtargets',
+    fields: ['Name', 'AdGroupId', 'State'],
+  });
+
+  server.registerTool(
+    'create-smart-filter',
+    {
+      title: 'Create Smart Banner Filter',
+      description:
+        'WRITE — adds a filter to a smart banner ad group: the feed offers to show, picked by feed field conditions (none: every offer), for an audience segment, with an average CPC or CPA for automatic strategies. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        adgroup_id: z.number().describe('Smart ad group ID'),
+        name: z.string().describe('Filter name'),
+        conditions: smartConditionsSchema.optional(),
+        audience: z.enum(SMART_AUDIENCES).optional().describe('Audience segment (default ALL_SEGMENTS)'),
+        available_items_only: z.boolean().optional().describe('Only offers in stock (default: all offers)'),
+        average_cpc: z.number().optional().describe('Average CPC in account currency'),
+        average_cpa: z.number().optional().describe('Average CPA in account currency'),
+        strategy_priority: priority,
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async (args) => {
+      const filter = { AdGroupId: args.adgroup_id, Name: args.name, Audience: args.audience ?? 'ALL_SEGMENTS' };
+      if (args.conditions?.length) filter.Conditions = { Items: toConditions(args.conditions) };
+      if (args.available_items_only != null) filter.AvailableItemsOnly = args.available_items_only ? 'YES' : 'NO';
+      if (args.average_cpc != null) filter.AverageCpc = toMicro(args.average_cpc);
+      if (args.average_cpa != null) filter.AverageCpa = toMicro(args.average_cpa);
+      if (args.strategy_priority) filter.StrategyPriority = args.strategy_priority;
+      return runWrite(client, {
+        label: 'Create smart banner filter',
+        service: 'smartadtargets',
+        method: 'add',
+        params: { SmartAdTargets: [filter] },
+        dryRun: args.dry_run,
+        spend: 'bid',
+      });
+    },
+  );
+
+  server.registerTool(
+    'list-smart-filters',
+    {
+      title: 'List Smart Banner Filters',
+      description:
+        'READ. Lists smart banner filters (feed offer conditions of smart ad groups) with audiences, bids and states.',
+      inputSchema: { target_ids: z.array(z.number()).optional().describe('Smart filter IDs'), ...LIST_INPUTS },
+    },
+    async ({ target_ids, adgroup_ids, campaign_ids, states, limit = 100, offset, all }) => {
+      const page = await client.directGetAll(
+        'smartadtargets',
+        {
+          SelectionCriteria: targetSelection({ ids: target_ids, adgroup_ids, campaign_ids, states }),
+          FieldNames: SMART_FILTER_FIELDS,
+        },
+        'SmartAdTargets',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult('smart banner filter', page.items.map(formatSmartFilter), 'SmartAdTargets', page);
+    },
+  );
+
+  server.registerTool(
+    'update-smart-filter',
+    {
+      title: 'Update Smart Banner Filter',
+      description:
+        'WRITE — changes a smart banner filter: name, conditions (replacing them), audience, in-stock setting, and its average CPC / CPA or strategy priority. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1 — on LIVE, raising the average CPC or CPA first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        filter_id: z.number().describe('Smart filter ID'),
+        name: z.string().optional().describe('New name'),
+        conditions: smartConditionsSchema.optional(),
+        audience: z.enum(SMART_AUDIENCES).optional().describe('Audience segment'),
+        available_items_only: z.boolean().optional().describe('Only offers in stock'),
+        average_cpc: z.number().optional().describe('Average CPC in account currency'),
+        average_cpa: z.number().optional().describe('Average CPA in account currency'),
+        strategy_priority: priority,
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm a bid raise'),
+      },
+    },
+    async (args) => {
+      const update = { Id: args.filter_id };
+      if (args.name != null) update.Name = args.name;
+      if (args.conditions) update.Conditions = args.conditions.length ? { Items: toConditions(args.conditions) } : null;
+      if (args.audience) update.Audience = args.audience;
+      if (args.available_items_only != null) update.AvailableItemsOnly = args.available_items_only ? 'YES' : 'NO';
+      const bids = { Id: args.filter_id };
+      if (args.average_cpc != null) bids.AverageCpc = toMicro(args.average_cpc);
+      if (args.average_cpa != null) bids.AverageCpa = toMicro(args.average_cpa);
+      if (args.strategy_priority) bids.StrategyPriority = args.strategy_priority;
+      if (Object.keys(update).length === 1 && Object.keys(bids).length === 1) {
+        throw new Error('Nothing to update: pass the fields to change.');
+      }
+
+      const results = [];
+      if (Object.keys(update).length > 1) {
+        results.push(
+          await runWrite(client, {
+            label: `Update smart banner filter ${args.filter_id}`,
+            service: 'smartadtargets',
+            method: 'update',
+            params: { SmartAdTargets: [update] },
+            dryRun: args.dry_run,
+          }),
+        );
+      }
+      if (Object.keys(bids).length > 1) {
+        results.push(
+          await runWrite(client, {
+            label: `Set smart banner filter ${args.filter_id} bids`,
+            service: 'smartadtargets',
+            method: 'setBids',
+            params: { Bids: [bids] },
+            dryRun: args.dry_run,
+            confirm: raisesBid,
+            confirmationToken: args.confirmation_token,
+            spend: 'bid',
+            preview: { fields: ['Name', 'AdGroupId'] },
+          }),
+        );
+      }
+      return combinedResult(results);
+    },
+  );
+
+  registerManageTool(server, client, {
+    name: 'manage-smart-filters',
+    title: 'Manage Smart Banner Filters',
+    noun: 'smart banner filter',
+    service: 'smartadtargets',
+    fields: ['Name', 'AdGroupId', 'State'],
+  });
+}
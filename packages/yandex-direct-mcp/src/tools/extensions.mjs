@@ -0,0 +1,215 @@
+import { z } from 'zod';
+import {
+  calloutIdsSchema,
+  calloutTextSchema,
+  sitelinkSchema,
+  toCalloutSetting,
+  toSitelinkSet,
+} from '../extensions.mjs';
+import { pagedListResult } from '../format.mjs';
+import { runWrite } from '../mutations.mjs';
+
+const CALLOUT_FIELDS = ['Id', 'Type', 'State', 'Status', 'StatusClarification', 'Associated'];
+
+function formatSitelinkSet(set) {
+  const links = (set.Sitelinks ?? []).map(
+    (l, i) => `    ${i + 1}. ${l.Title} — ${l.Href ?? '(no URL)'}${l.Description ? ` (${l.Description})` : ''}`,
+  );
+  return [`- Set ${set.Id} (${links.length} link(s)):`, ...links].join('\n');
+}
+
+function formatCallout(c) {
+  const clarification = c.StatusClarification ? ` (${c.StatusClarification})` : '';
+  return `- Callout ${c.Id}: "${c.Callout?.CalloutText}" — state ${c.State}, status ${c.Status}${clarification}${
+    c.Associated === 'YES' ? ', used by ads' : ''
+  }`;
+}
+
+export function registerExtensionTools(server, client) {
+  server.registerTool(
+    'create-sitelink-set',
+    {
+      title: 'Create Sitelink Set',
+      description:
+        'WRITE — creates a sitelink set (1-8 links; titles of links 1-4 and of links 5-8 may total 66 chars each, checked before sending). Attach it to ads with sitelink_set_id. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        sitelinks: z.array(sitelinkSchema).describe('Links in display order'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ sitelinks, dry_run }) => {
+      return runWrite(client, {
+        label: 'Create sitelink set',
+        service: 'sitelinks',
+        method: 'add',
+        params: { SitelinksSets: [toSitelinkSet(sitelinks)] },
+        dryRun: dry_run,
+      });
+    },
+  );
+
+  server.registerTool(
+    'list-sitelink-sets',
+    {
+      title: 'List Sitelink Sets',
+      description: 'READ. Lists sitelink sets with their links (all sets, or the given IDs).',
+      inputSchema: {
+        set_ids: z.array(z.number()).optional().describe('Sitelink set IDs (default: all)'),
+        limit: z.number().min(1).optional().describe('Max sets to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ set_ids, limit = 100, offset, all }) => {
+      const page = await client.directGetAll(
+        'sitelinks',
+        {
+          SelectionCriteria: set_ids?.length ? { Ids: set_ids } : {},
+          FieldNames: ['Id', 'Sitelinks'],
+          SitelinkFieldNames: ['Title', 'Href', 'Description'],
+        },
+        'SitelinksSets',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult('sitelink set', page.items.map(formatSitelinkSet), 'SitelinksSets', page);
+    },
+  );
+
+  server.registerTool(
+    'delete-sitelink-set',
+    {
+      title: 'Delete Sitelink Sets',
+      description:
+        'WRITE — deletes sitelink sets (sets attached to ads cannot be deleted). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE it first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        set_ids: z.array(z.number()).min(1).describe('Sitelink set IDs to delete'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ set_ids, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `Delete ${set_ids.length} sitelink set(s)`,
+        service: 'sitelinks',
+        method: 'delete',
+        params: { SelectionCriteria: { Ids: set_ids } },
+        dryRun: dry_run,
+        confirm: true,
+        confirmationToken: confirmation_token,
+        preview: { fields: ['Sitelinks'] },
+      });
+    },
+  );
+
+  server.registerTool(
+    'create-callouts',
+    {
+      title: 'Create Callouts',
+      description:
+        'WRITE — creates callouts (short texts shown under an ad, max 25 chars each); returns their IDs to attach with callout_ids. Callouts are moderated separately. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        texts: z.array(calloutTextSchema).min(1).describe('Callout texts, one callout each'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ texts, dry_run }) => {
+      return runWrite(client, {
+        label: `Create ${texts.length} callout(s)`,
+        service: 'adextensions',
+        method: 'add',
+        params: { AdExtensions: texts.map((CalloutText) => ({ Callout: { CalloutText } })) },
+        dryRun: dry_run,
+      });
+    },
+  );
+
+  server.registerTool(
+    'list-callouts',
+    {
+      title: 'List Callouts',
+      description: 'READ. Lists callouts with their text, moderation status, and whether any ad uses them.',
+      inputSchema: {
+        callout_ids: z.array(z.number()).optional().describe('Callout IDs (default: all)'),
+        limit: z.number().min(1).optional().describe('Max callouts to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ callout_ids, limit = 100, offset, all }) => {
+      const SelectionCriteria = { Types: ['CALLOUT'] };
+      if (callout_ids?.length) SelectionCriteria.Ids = callout_ids;
+      const page = await client.directGetAll(
+        'adextensions',
+        { SelectionCriteria, FieldNames: CALLOUT_FIELDS, CalloutFieldNames: ['CalloutText'] },
+        'AdExtensions',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult('callout', page.items.map(formatCallout), 'AdExtensions', page);
+    },
+  );
+
+  server.registerTool(
+    'delete-callouts',
+    {
+      title: 'Delete Callouts',
+      description:
+        'WRITE — deletes callouts. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE it first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        callout_ids: z.array(z.number()).min(1).describe('Callout IDs to delete'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ callout_ids, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `Delete ${callout_ids.length} callout(s)`,
+        service: 'adextensions',
+        method: 'delete',
+        params: { SelectionCriteria: { Ids: callout_ids } },
+        dryRun: dry_run,
+        confirm: true,
+        confirmationToken: confirmation_token,
+        preview: { fields: ['Type', 'Associated'] },
+      });
+    },
+  );
+
+  server.registerTool(
+    'set-ad-extensions',
+    {
+      title: 'Set Ad Extensions',
+      description:
+        'WRITE — attaches or detaches a sitelink set and callouts on existing text ads. callout_mode set replaces the ad’s callouts, add/remove change only the given ones. Changed ads are re-moderated. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        ad_ids: z.array(z.number()).min(1).describe('Text ad IDs'),
+        sitelink_set_id: z
+          .number()
+          .nullable()
+          .optional()
+          .describe('Sitelink set to attach; null detaches the current one'),
+        callout_ids: calloutIdsSchema.optional(),
+        callout_mode: z.enum(['set', 'add', 'remove']).optional().describe('How callout_ids apply (default set)'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ ad_ids, sitelink_set_id, callout_ids, callout_mode, dry_run }) => {
+      const textAd = {};
+      if (sitelink_set_id !== undefined) textAd.SitelinkSetId = sitelink_set_id;
+      if (callout_ids) textAd.CalloutSetting = toCalloutSetting(callout_ids, callout_mode);
+      if (!Object.keys(textAd).length) throw new Error('Nothing to change: pass sitelink_set_id and/or callout_ids.');
+      return runWrite(client, {
+        label: `Set extensions on ${ad_ids.length} ad(s)`,
+        service: 'ads',
+        method: 'update',
+        params: { Ads: ad_ids.map((Id) => ({ Id, TextAd: textAd })) },
+        dryRun: dry_run,
+      });
+    },
+  );
+}
@@ -0,0 +1,167 @@
+import { z } from 'zod';
+import { BUSINESS_TYPES, FEED_FIELDS, feedSource, formatFeed, waitForFeeds } from '../feeds.mjs';
+import { pagedListResult } from '../format.mjs';
+import { dryRunEnabled, runWrite } from '../mutations.mjs';
+
+// Longest a call may wait for feeds to be processed.
+const MAX_WAIT_SECONDS = 600;
+
+const waitSeconds = z
+  .number()
+  .int()
+  .min(0)
+  .max(MAX_WAIT_SECONDS)
+  .optional()
+  .describe('Seconds to wait for Direct to finish processing the feed, polling its status (default 0, max 600)');
+
+const SOURCE_INPUTS = {
+  url: z.string().optional().describe('Feed URL Direct downloads the feed from'),
+  file_path: z.string().optional().describe('Local feed file to upload (instead of url)'),
+  remove_utm_tags: z.boolean().optional().describe('URL feeds: strip UTM tags from offer links'),
+  login: z.string().optional().describe('URL feeds: login for a protected feed'),
+  password: z.string().optional().describe('URL feeds: password for a protected feed'),
+};
+
+function describeFeeds(feeds, settled) {
+  const lines = feeds.map(formatFeed);
+  if (!settled) lines.push('Still processing; call get-feed-status again (with wait_seconds) to follow it.');
+  return lines.join('\n');
+}
+
+export function registerFeedTools(server, client) {
+  server.registerTool(
+    'add-feed',
+    {
+      title: 'Add Product Feed',
+      description:
+        'WRITE — registers a product feed for dynamic feed ad groups and smart banners, from a URL Direct downloads or a local file uploaded with the request. Direct processes the feed asynchronously; pass wait_seconds to poll until it is ready. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        name: z.string().describe('Feed name'),
+        business_type: z.enum(BUSINESS_TYPES).optional().describe('Kind of offers (default RETAIL)'),
+        ...SOURCE_INPUTS,
+        wait_seconds: waitSeconds,
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ name, business_type = 'RETAIL', wait_seconds, dry_run, ...source }) => {
+      const feed = { Name: name, BusinessType: business_type, ...(await feedSource(source)) };
+      const result = await runWrite(client, {
+        label: 'Add feed',
+        service: 'feeds',
+        method: 'add',
+        params: { Feeds: [feed] },
+        dryRun: dry_run,
+      });
+      const id = result.structuredContent.AddResults?.[0]?.Id;
+      if (dryRunEnabled(dry_run) || id == null) return result;
+      const { feeds, settled } = await waitForFeeds(client, [id], { waitSeconds: wait_seconds });
+      result.content[0].text += `\n\n${describeFeeds(feeds, settled)}`;
+      result.structuredContent = { ...result.structuredContent, feeds, settled };
+      return result;
+    },
+  );
+
+  server.registerTool(
+    'list-feeds',
+    {
+      title: 'List Product Feeds',
+      description:
+        'READ. Lists product feeds with their processing status (NEW, UPDATING, DONE, ERROR), offer count, last update and the campaigns using them.',
+      inputSchema: {
+        feed_ids: z.array(z.number()).optional().describe('Feed IDs (default: all)'),
+        limit: z.number().min(1).optional().describe('Max feeds to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ feed_ids, limit = 100, offset, all }) => {
+      const page = await client.directGetAll(
+        'feeds',
+        { SelectionCriteria: feed_ids?.length ? { Ids: feed_ids } : {}, ...FEED_FIELDS },
+        'Feeds',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult('feed', page.items.map(formatFeed), 'Feeds', page);
+    },
+  );
+
+  server.registerTool(
+    'get-feed-status',
+    {
+      title: 'Get Feed Status',
+      description:
+        'READ. Shows the processing status of feeds, optionally polling until none is NEW or UPDATING any more (or wait_seconds run out).',
+      inputSchema: {
+        feed_ids: z.array(z.number()).min(1).describe('Feed IDs'),
+        wait_seconds: waitSeconds,
+      },
+    },
+    async ({ feed_ids, wait_seconds }) => {
+      const { feeds, settled } = await waitForFeeds(client, feed_ids, { waitSeconds: wait_seconds });
+      return {
+        content: [{ type: 'text', text: describeFeeds(feeds, settled) }],
+        structuredContent: { feeds, settled },
+      };
+    },
+  );
+
+  server.registerTool(
+    'update-feed',
+    {
+      title: 'Update Product Feed',
+      description:
+        'WRITE — renames a feed or replaces its source (a new URL or file); Direct then processes it again. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        feed_id: z.number().describe('Feed ID'),
+        name: z.string().optional().describe('New name'),
+        ...SOURCE_INPUTS,
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ feed_id, name, dry_run, ...source }) => {
+      const update = { Id: feed_id };
+      if (name != null) update.Name = name;
+      if (source.url || source.file_path) {
+        const { SourceType, ...feed } = await feedSource(source);
+        Object.assign(update, feed);
+      }
+      if (Object.keys(update).length === 1) throw new Error('Nothing to update: pass name, url or file_path.');
+      return runWrite(client, {
+        label: `Update feed ${feed_id}`,
+        service: 'feeds',
+        method: 'update',
+        params: { Feeds: [update] },
+        dryRun: dry_run,
+      });
+    },
+  );
+
+  server.registerTool(
+    'delete-feeds',
+    {
+      title: 'Delete Product Feeds',
+      description:
+        'WRITE — deletes product feeds (feeds used by ad groups cannot be deleted). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE it first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        feed_ids: z.array(z.number()).min(1).describe('Feed IDs to delete'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ feed_ids, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `Delete ${feed_ids.length} feed(s)`,
+        service: 'feeds',
+        method: 'delete',
+        params: { SelectionCriteria: { Ids: feed_ids } },
+        dryRun: dry_run,
+        confirm: true,
+        confirmationToken: confirmation_token,
+        preview: { fields: ['Name', 'Status'] },
+      });
+    },
+  );
+}
@@ -1,8 +1,74 @@
 import { z } from 'zod';
-import { listResult, writeResult } from '../format.mjs';
+import { bidForTraffic, FORECAST_FIELDS, formatForecast } from '../auction.mjs';
+import { pagedListResult } from '../format.mjs';
 import { fromMicro, toMicro } from '../money.mjs';
+import { runWrite } from '../mutations.mjs';
+import { editPhraseList } from '../phrases.mjs';
+import { raisesBid } from '../policy.mjs';
 
-const KEYWORD_FIELDS = ['Id', 'Keyword', 'AdGroupId', 'CampaignId', 'State', 'Status', 'Bid', 'ContextBid'];
+const KEYWORD_FIELDS = [
+  'Id',
+  'Keyword',
+  'AdGroupId',
+  'CampaignId',
+  'State',
+  'Status',
+  'ServingStatus',
+  'Bid',
+  'ContextBid',
+  'UserParam1',
+  'UserParam2',
+];
+
+// v5 keywords update/suspend/resume/delete take up to 10000 keywords per call (keywords cannot be archived).
+const MAX_KEYWORDS = 10000;
+
+function formatKeyword(k) {
+  const bid = k.Bid != null ? `, search bid ${fromMicro(k.Bid)}` : '';
+  const ctx = k.ContextBid != null ? `, network bid ${fromMicro(k.ContextBid)}` : '';
+  const params = [k.UserParam1, k.UserParam2].some((p) => p)
+    ? `, params ${k.UserParam1 ?? '—'} / ${k.UserParam2 ?? '—'}`
+    : '';
+  return `- "${k.Keyword}" (ID ${k.Id}, group ${k.AdGroupId}) — state ${k.State}, status ${k.Status}${bid}${ctx}${params}`;
+}
+
+// directGetAll() for the keywords whose phrase contains `needle`: reads `limit`
+// keywords at a time until `limit` of them match or the listing ends, and
+// resumes (nextOffset) right after the last match returned.
+async function keywordsContaining(client, params, needle, { offset = 0, limit }) {
+  const items = [];
+  let cursor = offset;
+  while (cursor != null) {
+    const page = await client.directGetAll('keywords', params, 'Keywords', { offset: cursor, limit });
+    for (const [i, keyword] of page.items.entries()) {
+      if (!keyword.Keyword.toLowerCase().includes(needle)) continue;
+      items.push(keyword);
+      if (items.length === limit) {
+        return { items, nextOffset: i === page.items.length - 1 ? page.nextOffset : cursor + i + 1 };
+      }
+    }
+    cursor = page.nextOffset;
+  }
+  return { items, nextOffset: null };
+}
+
+// SelectionCriteria for keywordbids.get from keyword / ad group / campaign IDs.
+function bidSelection({ keyword_ids, adgroup_ids, campaign_ids }) {
+  const SelectionCriteria = {};
+  if (keyword_ids?.length) SelectionCriteria.KeywordIds = keyword_ids;
+  if (adgroup_ids?.length) SelectionCriteria.AdGroupIds = adgroup_ids;
+  if (campaign_ids?.length) SelectionCriteria.CampaignIds = campaign_ids;
+  if (!Object.keys(SelectionCriteria).length) throw new Error('Pass keyword_ids, adgroup_ids or campaign_ids.');
+  return SelectionCriteria;
+}
+
+// keywordbids.get takes at most 10 CampaignIds per request; get-bid-forecast
+// pages with offset/limit, so the list is capped rather than read in chunks.
+const BID_SELECTION_INPUTS = {
+  keyword_ids: z.array(z.number()).optional().describe('Keyword IDs'),
+  adgroup_ids: z.array(z.number()).optional().describe('Ad group IDs (all their keywords)'),
+  campaign_ids: z.array(z.number()).max(10).optional().describe('Campaign IDs (all their keywords), up to 10'),
+};
 
 export function registerKeywordTools(server, client) {
   server.registerTool(
@@ -10,28 +76,38 @@ export function registerKeywordTools(server, client) {
     {
       title: 'List Keywords',
       description:
-        'READ. Lists keywords with their current search and network bids (shown in account currency, converted from micro-units).',
+        'READ. Lists keywords with their state, moderation status, current search and network bids (shown in account currency, converted from micro-units) and UserParam1/2 values.',
       inputSchema: {
         adgroup_ids: z.array(z.number()).optional().describe('Filter by ad group IDs'),
         campaign_ids: z.array(z.number()).optional().describe('Filter by campaign IDs'),
-        limit: z.number().min(1).max(1000).optional().describe('Max keywords to return (default 100)'),
+        keyword_ids: z.array(z.number()).optional().describe('Filter by keyword IDs'),
+        states: z
+          .array(z.enum(['ON', 'OFF', 'SUSPENDED']))
+          .optional()
+          .describe('Filter by state'),
+        statuses: z
+          .array(z.enum(['ACCEPTED', 'DRAFT', 'REJECTED']))
+          .optional()
+          .describe('Filter by moderation status'),
+        contains: z.string().optional().describe('Only keywords whose phrase contains this text (case-insensitive)'),
+        limit: z.number().min(1).optional().describe('Max keywords to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
       },
     },
-    async ({ adgroup_ids, campaign_ids, limit = 100 }) => {
+    async ({ adgroup_ids, campaign_ids, keyword_ids, states, statuses, contains, limit = 100, offset, all }) => {
       const SelectionCriteria = {};
       if (adgroup_ids?.length) SelectionCriteria.AdGroupIds = adgroup_ids;
       if (campaign_ids?.length) SelectionCriteria.CampaignIds = campaign_ids;
-      const result = await client.directRequest('keywords', 'get', {
-        SelectionCriteria,
-        FieldNames: KEYWORD_FIELDS,
-        Page: { Limit: limit },
-      });
-      const lines = (result.Keywords || []).map((k) => {
-        const bid = k.Bid != null ? `, search bid ${fromMicro(k.Bid)}` : '';
-        const ctx = k.ContextBid != null ? `, network bid ${fromMicro(k.ContextBid)}` : '';
-        return `- "${k.Keyword}" (ID ${k.Id}, group ${k.AdGroupId}) — status ${k.Status}${bid}${ctx}`;
-      });
-      return listResult('keyword', lines, result);
+      if (keyword_ids?.length) SelectionCriteria.Ids = keyword_ids;
+      if (states?.length) SelectionCriteria.States = states;
+      if (statuses?.length) SelectionCriteria.Statuses = statuses;
+      const params = { SelectionCriteria, FieldNames: KEYWORD_FIELDS };
+      const paging = { offset, limit: all ? Infinity : limit };
+      const page = contains
+        ? await keywordsContaining(client, params, contains.toLowerCase(), paging)
+        : await client.directGetAll('keywords', params, 'Keywords', paging);
+      return pagedListResult('keyword', page.items.map(formatKeyword), 'Keywords', page);
     },
   );
 
@@ -48,16 +124,95 @@ export function registerKeywordTools(server, client) {
           .number()
           .optional()
           .describe('Starting search bid in account currency for each keyword (converted to micro-units)'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
       },
     },
-    async ({ adgroup_id, keywords, bid }) => {
+    async ({ adgroup_id, keywords, bid, dry_run }) => {
       const items = keywords.map((keyword) => {
         const entry = { AdGroupId: adgroup_id, Keyword: keyword };
         if (bid != null) entry.Bid = toMicro(bid);
         return entry;
       });
-      const result = await client.directRequest('keywords', 'add', { Keywords: items });
-      return writeResult('Add keywords', result);
+      return runWrite(client, {
+        label: 'Add keywords',
+        service: 'keywords',
+        method: 'add',
+        params: { Keywords: items },
+        dryRun: dry_run,
+        spend: 'bid',
+      });
+    },
+  );
+
+  server.registerTool(
+    'update-keywords',
+    {
+      title: 'Update Keywords',
+      description:
+        'WRITE — changes keyword phrases and/or their UserParam1/UserParam2 values (substituted for {param1}/{param2} in tracking URLs). Bids are set with set-bids. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        keywords: z
+          .array(
+            z.object({
+              keyword_id: z.number().describe('Keyword ID'),
+              keyword: z.string().optional().describe('New phrase, with operators and negatives if any'),
+              user_param1: z.string().optional().describe('Value for {param1} in tracking URLs; "" clears it'),
+              user_param2: z.string().optional().describe('Value for {param2} in tracking URLs; "" clears it'),
+            }),
+          )
+          .min(1)
+          .max(MAX_KEYWORDS)
+          .describe('Keywords to change'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ keywords, dry_run }) => {
+      const items = keywords.map(({ keyword_id, keyword, user_param1, user_param2 }) => {
+        const entry = { Id: keyword_id };
+        if (keyword != null) entry.Keyword = keyword;
+        if (user_param1 != null) entry.UserParam1 = user_param1 || null;
+        if (user_param2 != null) entry.UserParam2 = user_param2 || null;
+        if (Object.keys(entry).length === 1) throw new Error(`Nothing to update for keyword ${keyword_id}.`);
+        return entry;
+      });
+      return runWrite(client, {
+        label: `Update ${items.length} keyword(s)`,
+        service: 'keywords',
+        method: 'update',
+        params: { Keywords: items },
+        dryRun: dry_run,
+        preview: { fields: ['AdGroupId'] },
+      });
+    },
+  );
+
+  server.registerTool(
+    'manage-keywords',
+    {
+      title: 'Manage Keyword State',
+      description:
+        'WRITE — suspends, resumes or deletes keywords, up to 10000 per call (e.g. low performers found with get-report). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE, delete first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        keyword_ids: z.array(z.number()).min(1).max(MAX_KEYWORDS).describe('Keyword IDs'),
+        action: z.enum(['suspend', 'resume', 'delete']).describe('Lifecycle action'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ keyword_ids, action, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `${action} ${keyword_ids.length} keyword(s)`,
+        service: 'keywords',
+        method: action,
+        params: { SelectionCriteria: { Ids: keyword_ids } },
+        dryRun: dry_run,
+        confirm: action === 'delete',
+        confirmationToken: confirmation_token,
+        preview: { fields: ['Keyword', 'AdGroupId', 'State'] },
+      });
     },
   );
 
@@ -66,7 +221,7 @@ export function registerKeywordTools(server, client) {
     {
       title: 'Set Keyword Bids',
       description:
-        'WRITE — sets search and/or network bids on keywords. Bids are given in account currency (e.g. rubles) and converted to micro-units. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1 — check balance before raising bids on a live account.',
+        'WRITE — sets search and/or network bids on keywords. Bids are given in account currency (e.g. rubles) and converted to micro-units. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1 — on LIVE, a call that raises any bid first returns a confirmation token that must be passed back to execute.',
       inputSchema: {
         keyword_ids: z.array(z.number()).min(1).describe('Keyword IDs to set bids for'),
         bid: z.number().optional().describe('Search bid in account currency (converted to micro-units)'),
@@ -74,9 +229,14 @@ export function registerKeywordTools(server, client) {
           .number()
           .optional()
           .describe('Network/context bid in account currency (converted to micro-units)'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm a bid raise'),
       },
     },
-    async ({ keyword_ids, bid, context_bid }) => {
+    async ({ keyword_ids, bid, context_bid, dry_run, confirmation_token }) => {
       if (bid == null && context_bid == null) {
         throw new Error('Provide at least one of bid or context_bid.');
       }
@@ -86,8 +246,142 @@ export function registerKeywordTools(server, client) {
         if (context_bid != null) entry.ContextBid = toMicro(context_bid);
         return entry;
       });
-      const result = await client.directRequest('keywordbids', 'set', { KeywordBids: keywordBids });
-      return writeResult('Set bids', result);
+      return runWrite(client, {
+        label: 'Set bids',
+        service: 'keywordbids',
+        method: 'set',
+        params: { KeywordBids: keywordBids },
+        dryRun: dry_run,
+        confirm: raisesBid,
+        confirmationToken: confirmation_token,
+        spend: 'bid',
+        preview: { from: 'keywords', idKey: 'KeywordId', fields: ['Keyword', 'CampaignId'] },
+      });
+    },
+  );
+
+  server.registerTool(
+    'get-bid-forecast',
+    {
+      title: 'Get Bid Forecast',
+      description:
+        'READ. Shows the search auction for keywords: the bid needed for each traffic volume (5% … 100%, above 100 for the premium block) with the price actually charged, and the bid needed per share of network audience coverage. Amounts are in account currency.',
+      inputSchema: {
+        ...BID_SELECTION_INPUTS,
+        limit: z.number().min(1).optional().describe('Max keywords to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ keyword_ids, adgroup_ids, campaign_ids, limit = 100, offset, all }) => {
+      const page = await client.directGetAll(
+        'keywordbids',
+        { SelectionCriteria: bidSelection({ keyword_ids, adgroup_ids, campaign_ids }), ...FORECAST_FIELDS },
+        'KeywordBids',
+        { offset, limit: all ? Infinity : limit },
+      );
+      const phrases = new Map();
+      if (page.items.length) {
+        const { items } = await client.directGetAll(
+          'keywords',
+          { SelectionCriteria: { Ids: page.items.map((b) => b.KeywordId) }, FieldNames: ['Id', 'Keyword'] },
+          'Keywords',
+        );
+        for (const k of items) phrases.set(k.Id, k.Keyword);
+      }
+      const lines = page.items.map((b) => formatForecast(b, phrases.get(b.KeywordId)));
+      return pagedListResult('keyword', lines, 'KeywordBids', page);
+    },
+  );
+
+  server.registerTool(
+    'set-bids-by-traffic',
+    {
+      title: 'Set Bids by Traffic Volume',
+      description:
+        'WRITE — sets each keyword’s search bid to the auction bid for a target traffic volume (the cheapest position giving at least that traffic), optionally raised by a percentage and capped. Keywords without auction data are skipped. Same spend policy and LIVE confirmation as set-bids. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        ...BID_SELECTION_INPUTS,
+        target_traffic: z
+          .number()
+          .min(5)
+          .max(150)
+          .describe('Target traffic volume, e.g. 65; 100 is the top position, above 100 the premium block'),
+        increase_percent: z
+          .number()
+          .min(0)
+          .max(1000)
+          .optional()
+          .describe('Raise the computed bids by this percentage (default 0)'),
+        max_bid: z.number().positive().optional().describe('Cap for every bid in account currency'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm a bid raise'),
+      },
+    },
+    async ({
+      keyword_ids,
+      adgroup_ids,
+      campaign_ids,
+      target_traffic,
+      increase_percent,
+      max_bid,
+      dry_run,
+      confirmation_token,
+    }) => {
+      const { items } = await client.directGetAll(
+        'keywordbids',
+        { SelectionCriteria: bidSelection({ keyword_ids, adgroup_ids, campaign_ids }), ...FORECAST_FIELDS },
+        'KeywordBids',
+      );
+      const keywordBids = [];
+      const skipped = [];
+      const notes = [];
+      for (const item of items) {
+        const target = bidForTraffic(item, target_traffic, {
+          increasePct: increase_percent,
+          maxBid: max_bid != null ? toMicro(max_bid) : undefined,
+        });
+        if (!target) {
+          skipped.push(item.KeywordId);
+          continue;
+        }
+        if (target.trafficVolume < target_traffic) {
+          notes.push(`keyword ${item.KeywordId}: at most ${target.trafficVolume}% traffic available`);
+        }
+        if (target.bid !== item.Search?.Bid) keywordBids.push({ KeywordId: item.KeywordId, Bid: target.bid });
+      }
+      if (skipped.length) notes.push(`skipped (no auction data): ${skipped.join(', ')}`);
+      if (!keywordBids.length) {
+        const why = items.length
+          ? 'every keyword already has the target bid or lacks auction data'
+          : 'no keywords found';
+        return {
+          content: [
+            { type: 'text', text: `No bids to change: ${why}.${notes.length ? `\n- ${notes.join('\n- ')}` : ''}` },
+          ],
+        };
+      }
+      if (keywordBids.length > MAX_KEYWORDS) {
+        throw new Error(
+          `${keywordBids.length} bids to change; narrow the selection to at most ${MAX_KEYWORDS} keywords.`,
+        );
+      }
+      const result = await runWrite(client, {
+        label: `Set bids for ${target_traffic}% traffic`,
+        service: 'keywordbids',
+        method: 'set',
+        params: { KeywordBids: keywordBids },
+        dryRun: dry_run,
+        confirm: raisesBid,
+        confirmationToken: confirmation_token,
+        spend: 'bid',
+        preview: { from: 'keywords', idKey: 'KeywordId', fields: ['Keyword', 'CampaignId'] },
+      });
+      if (notes.length) result.content[0].text += `\nNotes:\n- ${notes.join('\n- ')}`;
+      return result;
     },
   );
 
@@ -96,21 +390,42 @@ export function registerKeywordTools(server, client) {
     {
       title: 'Set Negative Keywords',
       description:
-        'WRITE — replaces the negative-keyword list on a campaign or ad group (existing negatives are overwritten). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+        'WRITE — edits the negative-keyword list of a campaign or ad group: mode set replaces the whole list, add appends phrases not yet in it, remove drops the given ones (the rest of the list is kept). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
       inputSchema: {
         level: z.enum(['campaign', 'adgroup']).describe('Attach negatives to a campaign or an ad group'),
         id: z.number().describe('Campaign ID or ad group ID (matching level)'),
-        negative_keywords: z.array(z.string()).describe('Negative keyword phrases (empty array clears them)'),
+        negative_keywords: z
+          .array(z.string())
+          .describe('Negative keyword phrases (with mode set, an empty array clears the list)'),
+        mode: z
+          .enum(['set', 'add', 'remove'])
+          .optional()
+          .describe('set replaces the list (default); add appends; remove deletes the given phrases'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
       },
     },
-    async ({ level, id, negative_keywords }) => {
-      const NegativeKeywords = { Items: negative_keywords };
+    async ({ level, id, negative_keywords, mode = 'set', dry_run }) => {
       const service = level === 'campaign' ? 'campaigns' : 'adgroups';
       const collection = level === 'campaign' ? 'Campaigns' : 'AdGroups';
-      const result = await client.directRequest(service, 'update', {
-        [collection]: [{ Id: id, NegativeKeywords }],
+      let phrases = negative_keywords;
+      if (mode !== 'set') {
+        const { items } = await client.directGetAll(
+          service,
+          { SelectionCriteria: { Ids: [id] }, FieldNames: ['Id', 'NegativeKeywords'] },
+          collection,
+        );
+        if (!items.length) throw new Error(`${level === 'campaign' ? 'Campaign' : 'Ad group'} ${id} not found.`);
+        phrases = editPhraseList(items[0].NegativeKeywords?.Items, negative_keywords, mode);
+      }
+      const NegativeKeywords = phrases.length ? { Items: phrases } : null;
+      return runWrite(client, {
+        label: `Set negative keywords on ${level} ${id}`,
+        service,
+        method: 'update',
+        params: { [collection]: [{ Id: id, NegativeKeywords }] },
+        dryRun: dry_run,
+        preview: { fields: ['Name'] },
       });
-      return writeResult(`Set negative keywords on ${level} ${id}`, result);
     },
   );
 }
@@ -0,0 +1,124 @@
+import { z } from 'zod';
+import { pagedListResult } from '../format.mjs';
+import { loadImage } from '../images.mjs';
+import { runWrite } from '../mutations.mjs';
+
+const IMAGE_FIELDS = ['AdImageHash', 'Name', 'Type', 'Subtype', 'Associated', 'OriginalUrl', 'PreviewUrl'];
+const CREATIVE_FIELDS = ['Id', 'Type', 'Name', 'PreviewUrl', 'ThumbnailUrl'];
+
+export function registerMediaTools(server, client) {
+  server.registerTool(
+    'upload-ad-image',
+    {
+      title: 'Upload Ad Image',
+      description:
+        'WRITE — uploads an image to the ad image library from a local file path or base64 data (JPEG/PNG/GIF, up to 10 MB) and returns its AdImageHash for text and text-image ads. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        image_path: z.string().optional().describe('Local image file to upload'),
+        image_base64: z.string().optional().describe('Base64 image data (instead of image_path)'),
+        name: z.string().max(255).optional().describe('Image name (default: the file name)'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ image_path, image_base64, name, dry_run }) => {
+      const image = await loadImage({ path: image_path, base64: image_base64, name });
+      return runWrite(client, {
+        label: `Upload image ${image.Name}`,
+        service: 'adimages',
+        method: 'add',
+        params: { AdImages: [image] },
+        dryRun: dry_run,
+      });
+    },
+  );
+
+  server.registerTool(
+    'list-ad-images',
+    {
+      title: 'List Ad Images',
+      description:
+        'READ. Lists images in the ad image library with their hash, type (REGULAR, WIDE, FIXED_IMAGE), whether an ad uses them, and preview URL.',
+      inputSchema: {
+        associated: z.boolean().optional().describe('Only images used by ads (true) or unused ones (false)'),
+        limit: z.number().min(1).optional().describe('Max images to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ associated, limit = 100, offset, all }) => {
+      const SelectionCriteria = {};
+      if (associated != null) SelectionCriteria.Associated = associated ? 'YES' : 'NO';
+      const page = await client.directGetAll('adimages', { SelectionCriteria, FieldNames: IMAGE_FIELDS }, 'AdImages', {
+        offset,
+        limit: all ? Infinity : limit,
+      });
+      const lines = page.items.map(
+        (i) =>
+          `- ${i.Name} (hash ${i.AdImageHash}) — ${i.Type}${i.Subtype && i.Subtype !== 'NONE' ? `/${i.Subtype}` : ''}, ${
+            i.Associated === 'YES' ? 'used by ads' : 'unused'
+          }${i.PreviewUrl ? `, preview ${i.PreviewUrl}` : ''}`,
+      );
+      return pagedListResult('image', lines, 'AdImages', page);
+    },
+  );
+
+  server.registerTool(
+    'delete-ad-image',
+    {
+      title: 'Delete Ad Image',
+      description:
+        'WRITE — deletes images from the ad image library (only images no ad uses can be deleted). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE it first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        image_hashes: z.array(z.string()).min(1).describe('AdImageHash values to delete'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ image_hashes, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `Delete ${image_hashes.length} image(s)`,
+        service: 'adimages',
+        method: 'delete',
+        params: { SelectionCriteria: { AdImageHashes: image_hashes } },
+        dryRun: dry_run,
+        confirm: true,
+        confirmationToken: confirmation_token,
+        preview: { fields: ['Name', 'Associated'] },
+      });
+    },
+  );
+
+  server.registerTool(
+    'list-video-creatives',
+    {
+      title: 'List Video Creatives',
+      description:
+        'READ. Lists video extension creatives (made in the Direct video constructor) with their ID and duration; pass an ID as video_creative_id when creating a text ad to add the video extension.',
+      inputSchema: {
+        limit: z.number().min(1).optional().describe('Max creatives to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ limit = 100, offset, all }) => {
+      const page = await client.directGetAll(
+        'creatives',
+        {
+          SelectionCriteria: { Types: ['VIDEO_EXTENSION_CREATIVE'] },
+          FieldNames: CREATIVE_FIELDS,
+          VideoExtensionCreativeFieldNames: ['Duration'],
+        },
+        'Creatives',
+        { offset, limit: all ? Infinity : limit },
+      );
+      const lines = page.items.map((c) => {
+        const duration = c.VideoExtensionCreative?.Duration;
+        return `- ${c.Name} (ID ${c.Id})${duration ? `, ${duration} s` : ''}${c.PreviewUrl ? `, preview ${c.PreviewUrl}` : ''}`;
+      });
+      return pagedListResult('video creative', lines, 'Creatives', page);
+    },
+  );
+}
@@ -0,0 +1,355 @@
+import { z } from 'zod';
+import { combinedResult, pagedListResult } from '../format.mjs';
+import { runWrite } from '../mutations.mjs';
+import { blocksKeyword, editPhraseList } from '../phrases.mjs';
+
+// Campaign types that carry NegativeKeywordSharedSetIds, and the structure it sits in.
+const SET_STRUCTURES = {
+  TEXT_CAMPAIGN: 'TextCampaign',
+  UNIFIED_CAMPAIGN: 'UnifiedCampaign',
+  DYNAMIC_TEXT_CAMPAIGN: 'DynamicTextCampaign',
+};
+const SET_FIELD_NAMES = Object.fromEntries(
+  Object.values(SET_STRUCTURES).map((s) => [`${s}FieldNames`, ['NegativeKeywordSharedSetIds']]),
+);
+
+function formatSharedSet(set) {
+  const phrases = set.NegativeKeywords ?? [];
+  const shown = phrases.slice(0, 20).join(', ');
+  const more = phrases.length > 20 ? `, … ${phrases.length - 20} more` : '';
+  const used = set.Associated === 'YES' ? ', attached' : '';
+  return `- Set ${set.Id} "${set.Name}" (${phrases.length} phrase(s)${used}): ${shown}${more}`;
+}
+
+// The negatives that apply to each keyword of the campaigns: [{ phrase, source }]
+// from the campaign list, the ad group list and the shared sets of both.
+async function negativeSources(client, campaignIds) {
+  const { items: campaigns } = await client.directGetAll(
+    'campaigns',
+    {
+      SelectionCriteria: campaignIds?.length ? { Ids: campaignIds } : {},
+      FieldNames: ['Id', 'Name', 'Type', 'State', 'NegativeKeywords'],
+      ...SET_FIELD_NAMES,
+    },
+    'Campaigns',
+  );
+  const active = campaigns.filter((c) => c.State !== 'ARCHIVED' && SET_STRUCTURES[c.Type]);
+  const ids = active.map((c) => c.Id);
+  const groups = await client.directGetByCampaigns(
+    'adgroups',
+    { FieldNames: ['Id', 'CampaignId', 'NegativeKeywords', 'NegativeKeywordSharedSetIds'] },
+    'AdGroups',
+    ids,
+  );
+
+  const campaignSets = new Map(
+    active.map((c) => [c.Id, c[SET_STRUCTURES[c.Type]]?.NegativeKeywordSharedSetIds?.Items ?? []]),
+  );
+  const setIds = [
+    ...new Set([...campaignSets.values(), ...groups.map((g) => g.NegativeKeywordSharedSetIds?.Items ?? [])].flat()),
+  ];
+  const sets = new Map();
+  if (setIds.length) {
+    const { items } = await client.directGetAll(
+      'negativekeywordsharedsets',
+      { SelectionCriteria: { Ids: setIds }, FieldNames: ['Id', 'Name', 'NegativeKeywords'] },
+      'NegativeKeywordSharedSets',
+    );
+    for (const set of items) sets.set(set.Id, set);
+  }
+  const fromSets = (ids) =>
+    ids.flatMap((id) => {
+      const set = sets.get(id);
+      return (set?.NegativeKeywords ?? []).map((phrase) => ({ phrase, source: `shared set ${id} "${set.Name}"` }));
+    });
+
+  const byCampaign = new Map(
+    active.map((c) => [
+      c.Id,
+      [
+        ...(c.NegativeKeywords?.Items ?? []).map((phrase) => ({ phrase, source: `campaign ${c.Id}` })),
+        ...fromSets(campaignSets.get(c.Id)),
+      ],
+    ]),
+  );
+  const byGroup = new Map(
+    groups.map((g) => [
+      g.Id,
+      [
+        ...(g.NegativeKeywords?.Items ?? []).map((phrase) => ({ phrase, source: `ad group ${g.Id}` })),
+        ...fromSets(g.NegativeKeywordSharedSetIds?.Items ?? []),
+      ],
+    ]),
+  );
+  return { campaignIds: ids, byCampaign, byGroup };
+}
+
+export function registerNegativeKeywordTools(server, client) {
+  server.registerTool(
+    'create-negative-keyword-set',
+    {
+      title: 'Create Negative Keyword Set',
+      description:
+        'WRITE — creates a shared negative keyword set, a list maintained once and attached to many campaigns or ad groups with attach-negative-keyword-sets. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        name: z.string().describe('Set name'),
+        negative_keywords: z.array(z.string()).min(1).describe('Negative keyword phrases'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ name, negative_keywords, dry_run }) => {
+      return runWrite(client, {
+        label: 'Create negative keyword set',
+        service: 'negativekeywordsharedsets',
+        method: 'add',
+        params: { NegativeKeywordSharedSets: [{ Name: name, NegativeKeywords: negative_keywords }] },
+        dryRun: dry_run,
+      });
+    },
+  );
+
+  server.registerTool(
+    'list-negative-keyword-sets',
+    {
+      title: 'List Negative Keyword Sets',
+      description:
+        'READ. Lists shared negative keyword sets with their phrases and whether they are attached anywhere.',
+      inputSchema: {
+        set_ids: z.array(z.number()).optional().describe('Set IDs (default: all)'),
+        limit: z.number().min(1).optional().describe('Max sets to return (default 100); ignored with all'),
+        offset: z.number().min(0).optional().describe('Continuation cursor: next_offset from a previous call'),
+        all: z.boolean().optional().describe('Follow every page until the listing is exhausted'),
+      },
+    },
+    async ({ set_ids, limit = 100, offset, all }) => {
+      const page = await client.directGetAll(
+        'negativekeywordsharedsets',
+        {
+          SelectionCriteria: set_ids?.length ? { Ids: set_ids } : {},
+          FieldNames: ['Id', 'Name', 'NegativeKeywords', 'Associated'],
+        },
+        'NegativeKeywordSharedSets',
+        { offset, limit: all ? Infinity : limit },
+      );
+      return pagedListResult(
+        'negative keyword set',
+        page.items.map(formatSharedSet),
+        'NegativeKeywordSharedSets',
+        page,
+      );
+    },
+  );
+
+  server.registerTool(
+    'update-negative-keyword-set',
+    {
+      title: 'Update Negative Keyword Set',
+      description:
+        'WRITE — renames a shared negative keyword set and/or edits its phrases: mode set replaces them, add appends phrases not yet in the set, remove drops the given ones. Affects every campaign and ad group the set is attached to. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        set_id: z.number().describe('Set ID'),
+        name: z.string().optional().describe('New name'),
+        negative_keywords: z.array(z.string()).optional().describe('Phrases to set, add or remove'),
+        mode: z
+          .enum(['set', 'add', 'remove'])
+          .optional()
+          .describe('set replaces the phrases (default); add appends; remove deletes the given phrases'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ set_id, name, negative_keywords, mode = 'set', dry_run }) => {
+      const update = { Id: set_id };
+      if (name != null) update.Name = name;
+      if (negative_keywords) {
+        let phrases = negative_keywords;
+        if (mode !== 'set') {
+          const { items } = await client.directGetAll(
+            'negativekeywordsharedsets',
+            { SelectionCriteria: { Ids: [set_id] }, FieldNames: ['Id', 'NegativeKeywords'] },
+            'NegativeKeywordSharedSets',
+          );
+          if (!items.length) throw new Error(`Negative keyword set ${set_id} not found.`);
+          phrases = editPhraseList(items[0].NegativeKeywords, negative_keywords, mode);
+        }
+        if (!phrases.length) throw new Error('A negative keyword set cannot be empty; delete it instead.');
+        update.NegativeKeywords = phrases;
+      }
+      if (Object.keys(update).length === 1) throw new Error('Nothing to update: pass name and/or negative_keywords.');
+      return runWrite(client, {
+        label: `Update negative keyword set ${set_id}`,
+        service: 'negativekeywordsharedsets',
+        method: 'update',
+        params: { NegativeKeywordSharedSets: [update] },
+        dryRun: dry_run,
+      });
+    },
+  );
+
+  server.registerTool(
+    'delete-negative-keyword-sets',
+    {
+      title: 'Delete Negative Keyword Sets',
+      description:
+        'WRITE — deletes shared negative keyword sets (sets still attached to campaigns or ad groups cannot be deleted). Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1; on LIVE it first returns a confirmation token that must be passed back to execute.',
+      inputSchema: {
+        set_ids: z.array(z.number()).min(1).describe('Set IDs to delete'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+        confirmation_token: z
+          .string()
+          .optional()
+          .describe('LIVE only: token returned by a previous identical call to confirm the delete'),
+      },
+    },
+    async ({ set_ids, dry_run, confirmation_token }) => {
+      return runWrite(client, {
+        label: `Delete ${set_ids.length} negative keyword set(s)`,
+        service: 'negativekeywordsharedsets',
+        method: 'delete',
+        params: { SelectionCriteria: { Ids: set_ids } },
+        dryRun: dry_run,
+        confirm: true,
+        confirmationToken: confirmation_token,
+        preview: { fields: ['Name', 'Associated'] },
+      });
+    },
+  );
+
+  server.registerTool(
+    'attach-negative-keyword-sets',
+    {
+      title: 'Attach Negative Keyword Sets',
+      description:
+        'WRITE — attaches shared negative keyword sets to campaigns (text, unified, dynamic) and/or ad groups, or detaches them: mode add (default) keeps the sets already attached, remove detaches the given ones, set replaces the attached sets. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        set_ids: z.array(z.number()).describe('Negative keyword set IDs'),
+        campaign_ids: z.array(z.number()).optional().describe('Campaigns to attach the sets to'),
+        adgroup_ids: z.array(z.number()).optional().describe('Ad groups to attach the sets to'),
+        mode: z
+          .enum(['add', 'remove', 'set'])
+          .optional()
+          .describe('add attaches (default), remove detaches, set replaces the attached sets'),
+        dry_run: z.boolean().optional().describe('Preview the request and before/after state without sending it'),
+      },
+    },
+    async ({ set_ids, campaign_ids, adgroup_ids, mode = 'add', dry_run }) => {
+      if (!campaign_ids?.length && !adgroup_ids?.length) throw new Error('Pass campaign_ids and/or adgroup_ids.');
+      const edit = (current = []) => {
+        if (mode === 'set') return set_ids;
+        if (mode === 'remove') return current.filter((id) => !set_ids.includes(id));
+        return [...new Set([...current, ...set_ids])];
+      };
+      const items = (ids) => (ids.length ? { Items: ids } : null);
+
+      const results = [];
+      if (campaign_ids?.length) {
+        const { items: campaigns } = await client.directGetAll(
+          'campaigns',
+          { SelectionCriteria: { Ids: campaign_ids }, FieldNames: ['Id', 'Type'], ...SET_FIELD_NAMES },
+          'Campaigns',
+        );
+        const unsupported = campaigns.filter((c) => !SET_STRUCTURES[c.Type]);
+        if (unsupported.length) {
+          throw new Error(
+            `Negative keyword sets cannot be attached to ${unsupported.map((c) => `${c.Type} campaign ${c.Id}`).join(', ')}.`,
+          );
+        }
+        results.push(
+          await runWrite(client, {
+            label: `${mode === 'remove' ? 'Detach' : 'Attach'} negative keyword sets on ${campaigns.length} campaign(s)`,
+            service: 'campaigns',
+            method: 'update',
+            params: {
+              Campaigns: campaigns.map((c) => {
+                const structure = SET_STRUCTURES[c.Type];
+                const current = c[structure]?.NegativeKeywordSharedSetIds?.Items;
+                return { Id: c.Id, [structure]: { NegativeKeywordSharedSetIds: items(edit(current)) } };
+              }),
+            },
+            dryRun: dry_run,
+            preview: { fields: ['Name'] },
+          }),
+        );
+      }
+      if (adgroup_ids?.length) {
+        const { items: groups } = await client.directGetAll(
+          'adgroups',
+          { SelectionCriteria: { Ids: adgroup_ids }, FieldNames: ['Id', 'NegativeKeywordSharedSetIds'] },
+          'AdGroups',
+        );
+        results.push(
+          await runWrite(client, {
+            label: `${mode === 'remove' ? 'Detach' : 'Attach'} negative keyword sets on ${groups.length} ad group(s)`,
+            service: 'adgroups',
+            method: 'update',
+            params: {
+              AdGroups: groups.map((g) => ({
+                Id: g.Id,
+                NegativeKeywordSharedSetIds: items(edit(g.NegativeKeywordSharedSetIds?.Items)),
+              })),
+            },
+            dryRun: dry_run,
+            preview: { fields: ['Name'] },
+          }),
+        );
+      }
+      return combinedResult(results);
+    },
+  );
+
+  server.registerTool(
+    'analyze-negative-keywords',
+    {
+      title: 'Analyze Negative Keywords',
+      description:
+        'READ. Checks every negative keyword that applies to active keywords (campaign and ad group lists and their shared sets) and flags negatives that block the account’s own keywords, i.e. all words of the negative occur in the keyword. Word forms are compared by stem, so treat results as candidates to review.',
+      inputSchema: {
+        campaign_ids: z.array(z.number()).optional().describe('Campaigns to check (default: every non-archived one)'),
+      },
+    },
+    async ({ campaign_ids }) => {
+      const { campaignIds, byCampaign, byGroup } = await negativeSources(client, campaign_ids);
+      const keywords = (
+        await client.directGetByCampaigns(
+          'keywords',
+          { SelectionCriteria: { States: ['ON'] }, FieldNames: ['Id', 'Keyword', 'AdGroupId', 'CampaignId'] },
+          'Keywords',
+          campaignIds,
+        )
+      ).filter((k) => !k.Keyword.startsWith('---'));
+
+      const conflicts = [];
+      let checked = 0;
+      for (const k of keywords) {
+        const negatives = [...(byCampaign.get(k.CampaignId) ?? []), ...(byGroup.get(k.AdGroupId) ?? [])];
+        checked += negatives.length;
+        for (const n of negatives) {
+          if (blocksKeyword(n.phrase, k.Keyword)) {
+            conflicts.push({
+              negative: n.phrase,
+              source: n.source,
+              keyword_id: k.Id,
+              keyword: k.Keyword,
+              adgroup_id: k.AdGroupId,
+              campaign_id: k.CampaignId,
+            });
+          }
+        }
+      }
+
+      const grouped = new Map();
+      for (const c of conflicts) {
+        const key = `"${c.negative}" (${c.source})`;
+        grouped.set(key, [
+          ...(grouped.get(key) ?? []),
+          `    "${c.keyword}" (ID ${c.keyword_id}, group ${c.adgroup_id})`,
+        ]);
+      }
+      const head = `Checked ${keywords.length} active keyword(s) in ${campaignIds.length} campaign(s) (${checked} keyword/negative pair(s)): ${conflicts.length} conflict(s).`;
+      const lines = [...grouped].map(([negative, blocked]) => `- ${negative} blocks:\n${blocked.join('\n')}`);
+      return {
+        content: [{ type: 'text', text: [head, ...lines].join('\n') }],
+        structuredContent: { conflicts, keywords_checked: keywords.length },
+      };
+    },
+  );
+}
@@ -0,0 +1,177 @@
+import { z } from 'zod';
+import { combinedResult } from '../format.mjs';
+import { toMicro } from '../money.mjs';
+import { runWrite } from '../mutations.mjs';
+import { editPhraseList } from '../phrases.mjs';
+import { classifyQueries, groupQueries, QUERY_REPORT_FIELDS } from '../queries.mjs';
+
+let reportCounter = 0;
+
+function describeMetrics({ clicks, cost, conversions }) {
+  return `${conversions} conv., ${clicks} clicks, cost ${Math.round(cost * 100) / 100}`;
+}
+
+function describeMining(groups, { keywords, negatives, skipped }) {
+  const queries = groups.reduce((n, g) => n + g.queries.length, 0);
+  const lines = [
+    `${queries} search quer${queries === 1 ? 'y' : 'ies'} (word forms merged) for ${groups.length} keyword(s): ${keywords.length} keyword candidate(s), ${negatives.length} negative candidate(s), ${skipped.length} skipped.`,
+  ];
+  if (keywords.length) {
+    lines.push('Add as keywords:');
+    for (const k of keywords) {
+      lines.push(
+        `- "${k.phrase}" → ad group ${k.adGroupId} (from "${k.from.keyword}", ID ${k.from.keywordId}) — ${describeMetrics(k.metrics)}`,
+      );
+    }
+  }
+  if (negatives.length) {
+    lines.push('Add as negatives:');
+    for (const n of negatives) {
+      const level = n.level === 'campaign' ? 'campaign' : 'ad group';
+      const queries = n.queries.map((q) => `"${q}"`).join(', ');
+      lines.push(`- "${n.phrase}" → ${level} ${n.id} (queries ${queries}) — ${describeMetrics(n.metrics)}`);
+    }
+  }
+  if (skipped.length) {
+    lines.push('Skipped:');
+    for (const s of skipped) lines.push(`- "${s.query}" (from "${s.from.keyword}"): ${s.reason}`);
+  }
+  return lines.join('\n');
+}
+
+export function registerSearchQueryTools(server, client) {
+  server.registerTool(
+    'mine-search-queries',
+    {
+      title: 'Mine Search Queries',
+      description:
+        'WRITE — reads the search query report, groups queries by the keyword (or autotargeting) that triggered them, merges word forms, and proposes new keywords (queries that converted, optionally at or below max_cpa) and negative keywords (queries without conversions that reached the click or cost threshold; the negative is the words the keyword lacks). Without apply the result is only previewed; with apply the keywords are added to the ad groups and the negatives appended to the ad group or campaign lists. Affects the SANDBOX account unless YANDEX_DIRECT_LIVE=1.',
+      inputSchema: {
+        date_from: z.string().optional().describe('Range start YYYY-MM-DD (with date_to)'),
+        date_to: z.string().optional().describe('Range end YYYY-MM-DD (with date_from)'),
+        date_range_type: z
+          .enum(['LAST_7_DAYS', 'LAST_14_DAYS', 'LAST_30_DAYS', 'LAST_90_DAYS', 'LAST_MONTH'])
+          .optional()
+          .describe('Preset range when date_from/date_to are omitted (default LAST_30_DAYS)'),
+        campaign_ids: z.array(z.number()).optional().describe('Campaigns to mine (default: all)'),
+        goal_ids: z.array(z.number()).optional().describe('Metrika goals counted as conversions'),
+        min_conversions: z.number().int().min(1).optional().describe('Conversions a new keyword needs (default 1)'),
+        max_cpa: z.number().optional().describe('Highest cost per conversion for a new keyword, in account currency'),
+        negative_min_clicks: z
+          .number()
+          .int()
+          .min(1)
+          .optional()
+          .describe('Clicks without conversions that make a query a negative (default 10)'),
+        negative_min_cost: z
+          .number()
+          .optional()
+          .describe('Cost without conversions that makes a query a negative, in account currency'),
+        negative_level: z
+          .enum(['adgroup', 'campaign'])
+          .optional()
+          .describe('Add negatives to the ad group (default) or the campaign of the triggering keyword'),
+        bid: z.number().optional().describe('Starting search bid for added keywords, in account currency'),
+        apply: z
+          .boolean()
+          .optional()
+          .describe('Add the keywords and negatives; without it the result is only previewed'),
+      },
+    },
+    async (args) => {
+      const { date_from, date_to, date_range_type, campaign_ids, goal_ids, negative_level = 'adgroup' } = args;
+      if (!date_from !== !date_to)
+        throw new Error('Provide both date_from and date_to for a custom range, or neither.');
+
+      const SelectionCriteria = {
+        Filter: [{ Field: 'CriterionType', Operator: 'IN', Values: ['KEYWORD', 'AUTOTARGETING'] }],
+      };
+      if (date_from) Object.assign(SelectionCriteria, { DateFrom: date_from, DateTo: date_to });
+      if (campaign_ids?.length) {
+        SelectionCriteria.Filter.push({ Field: 'CampaignId', Operator: 'IN', Values: campaign_ids.map(String) });
+      }
+      reportCounter += 1;
+      const params = {
+        SelectionCriteria,
+        FieldNames: QUERY_REPORT_FIELDS,
+        ReportName: `mcp-search-queries-${Date.now()}-${reportCounter}`,
+        ReportType: 'SEARCH_QUERY_PERFORMANCE_REPORT',
+        DateRangeType: date_from ? 'CUSTOM_DATE' : date_range_type || 'LAST_30_DAYS',
+        IncludeVAT: 'NO',
+      };
+      if (goal_ids?.length) params.Goals = goal_ids.map(String);
+      const groups = groupQueries(await client.reportRequest(params));
+
+      const ownKeywords = await client.directGetByCampaigns(
+        'keywords',
+        { FieldNames: ['Id', 'Keyword', 'AdGroupId', 'CampaignId'] },
+        'Keywords',
+        [...new Set(groups.map((g) => g.campaignId))],
+      );
+      const mined = classifyQueries(
+        groups,
+        {
+          minConversions: args.min_conversions,
+          maxCpa: args.max_cpa,
+          negativeMinClicks: args.negative_min_clicks,
+          negativeMinCost: args.negative_min_cost,
+        },
+        { ownKeywords, negativeLevel: negative_level },
+      );
+      const summary = describeMining(groups, mined);
+      if (!mined.keywords.length && !mined.negatives.length) {
+        return { content: [{ type: 'text', text: summary }], structuredContent: { ...mined, applied: false } };
+      }
+
+      const results = [];
+      if (mined.keywords.length) {
+        results.push(
+          await runWrite(client, {
+            label: `Add ${mined.keywords.length} keyword(s) from search queries`,
+            service: 'keywords',
+            method: 'add',
+            params: {
+              Keywords: mined.keywords.map((k) => ({
+                AdGroupId: k.adGroupId,
+                Keyword: k.phrase,
+                ...(args.bid != null ? { Bid: toMicro(args.bid) } : {}),
+              })),
+            },
+            dryRun: !args.apply,
+            spend: 'bid',
+          }),
+        );
+      }
+      if (mined.negatives.length) {
+        const service = negative_level === 'campaign' ? 'campaigns' : 'adgroups';
+        const collection = negative_level === 'campaign' ? 'Campaigns' : 'AdGroups';
+        const phrases = new Map();
+        for (const n of mined.negatives) phrases.set(n.id, [...(phrases.get(n.id) ?? []), n.phrase]);
+        const { items } = await client.directGetAll(
+          service,
+          { SelectionCriteria: { Ids: [...phrases.keys()] }, FieldNames: ['Id', 'NegativeKeywords'] },
+          collection,
+        );
+        results.push(
+          await runWrite(client, {
+            label: `Add negatives from search queries to ${items.length} ${negative_level === 'campaign' ? 'campaign' : 'ad group'}(s)`,
+            service,
+            method: 'update',
+            params: {
+              [collection]: items.map((item) => ({
+                Id: item.Id,
+                NegativeKeywords: { Items: editPhraseList(item.NegativeKeywords?.Items, phrases.get(item.Id), 'add') },
+              })),
+            },
+            dryRun: !args.apply,
+            preview: { fields: ['Name'] },
+          }),
+        );
+      }
+      const result = combinedResult(results);
+      result.content[0].text = `${summary}\n\n${result.content[0].text}`;
+      result.structuredContent = { ...result.structuredContent, mined, applied: Boolean(args.apply) };
+      return result;
+    },
+  );
+}
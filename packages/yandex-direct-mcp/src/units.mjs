@@ -0,0 +1,56 @@
+// API units ("points") bookkeeping. Every v5 response carries a `Units` header
+// "spent/remaining/daily limit" (plus `Units-Used-Login`, the login charged).
+// client.mjs records the latest reading and enforces the low-quota floor; this
+// module parses the header, reads the policy from env, and annotates tool results.
+
+// Parse "10/20828/64000" into numbers. Returns null for a missing/garbled header.
+export function parseUnits(header, login) {
+  const parts = String(header ?? '')
+    .split('/')
+    .map((p) => Number(p.trim()));
+  if (parts.length !== 3 || parts.some((n) => !Number.isFinite(n))) return null;
+  const [spent, remaining, limit] = parts;
+  return { spent, remaining, limit, login: login || null };
+}
+
+// YANDEX_DIRECT_UNITS_FLOOR: remaining-units threshold (0/unset disables the check).
+// YANDEX_DIRECT_UNITS_MODE: what happens to a mutating call below the floor —
+// "warn" (default) lets it through and flags the result, "refuse" rejects it.
+// `get` calls are always allowed: they are cheap and keep the reading fresh.
+export function unitsPolicy(env = process.env) {
+  const floor = Number(env.YANDEX_DIRECT_UNITS_FLOOR) || 0;
+  const mode = env.YANDEX_DIRECT_UNITS_MODE === 'refuse' ? 'refuse' : 'warn';
+  return { floor, mode };
+}
+
+export function isBelowFloor(units, { floor }) {
+  return Boolean(units && floor > 0 && units.remaining < floor);
+}
+
+export function formatUnits(units) {
+  if (!units) return 'no reading yet';
+  const login = units.login ? ` (login ${units.login})` : '';
+  return `${units.remaining} of ${units.limit} units left today, last call spent ${units.spent}${login}`;
+}
+
+// Server facade for the register*Tools() functions: every handler result gets the
+// latest reading in structuredContent.units, and a warning line when the
+// remainder is below the configured floor.
+export function withUnits(server, client) {
+  return {
+    registerTool(name, config, handler) {
+      return server.registerTool(name, config, async (...args) => {
+        const result = await handler(...args);
+        const units = client.units();
+        const content = [...result.content];
+        if (isBelowFloor(units, client.unitsPolicy)) {
+          content.push({
+            type: 'text',
+            text: `⚠️ Low Yandex Direct API units: ${formatUnits(units)} (floor ${client.unitsPolicy.floor}).`,
+          });
+        }
+        return { ...result, content, structuredContent: { ...result.structuredContent, units } };
+      });
+    },
+  };
+}
@@ -0,0 +1,19 @@
+// Landing page URL helpers. Direct substitutes {placeholders} such as
+// {campaign_id} or {keyword} in URLs at click time, so query strings are edited
+// as raw text here: URL/URLSearchParams would percent-encode the braces.
+
+// Merge "utm_source=yandex&utm_term={keyword}" into the query of `href`,
+// replacing parameters it already has and keeping any #fragment last.
+export function withTrackingParams(href, params) {
+  const hashAt = href.indexOf('#');
+  const fragment = hashAt === -1 ? '' : href.slice(hashAt);
+  const base = hashAt === -1 ? href : href.slice(0, hashAt);
+  const queryAt = base.indexOf('?');
+  const path = queryAt === -1 ? base : base.slice(0, queryAt);
+  const pairs = (queryAt === -1 ? '' : base.slice(queryAt + 1)).split('&').filter(Boolean);
+
+  const added = params.replace(/^[?&]/, '').split('&').filter(Boolean);
+  const addedKeys = new Set(added.map((p) => p.split('=')[0]));
+  const kept = pairs.filter((p) => !addedKeys.has(p.split('=')[0]));
+  return `${path}?${[...kept, ...added].join('&')}${fragment}`;
+}
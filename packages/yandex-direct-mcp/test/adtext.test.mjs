@@ -0,0 +1,51 @@
+import { describe, expect, test } from 'bun:test';
+import { checkAdText, measure, validateAdText } from '../src/adtext.mjs';
+
+const rules = (ad) => validateAdText(ad).map((v) => `${v.field}:${v.rule}`);
+
+describe('measure', () => {
+  test('skips narrow punctuation and template marks', () => {
+    expect(measure('Купить окна, недорого!')).toEqual({ length: 20, narrow: 2 });
+    expect(measure('#Пластиковые окна# в Москве')).toEqual({ length: 25, narrow: 0 });
+  });
+});
+
+describe('validateAdText', () => {
+  test('accepts an ad within every limit', () => {
+    expect(validateAdText({ title: 'Пластиковые окна', text: 'Замер бесплатно.', href: 'https://x.ru' })).toEqual([]);
+  });
+
+  test('counts the title limit without narrow punctuation', () => {
+    const title = `${'а'.repeat(10)}, ${'б'.repeat(10)}, ${'в'.repeat(10)}, ${'г'.repeat(10)}, ${'д'.repeat(12)}.`;
+    expect(measure(title).length).toBe(56);
+    expect(rules({ title })).toEqual([]);
+  });
+
+  test('suggests a word-boundary truncation for long fields', () => {
+    const [violation] = validateAdText({ title2: 'Бесплатная доставка по всей России' });
+    expect(violation.rule).toBe('length');
+    expect(violation.suggestion).toBe('Бесплатная доставка по всей');
+  });
+
+  test('flags long words, unpaired templates and extra exclamation marks', () => {
+    expect(rules({ title: 'Электрополотенцесушитель!!', text: '#Окна в Москве' })).toEqual([
+      'title:word',
+      'title:exclamation',
+      'text:template',
+    ]);
+    expect(validateAdText({ title: 'Скидки! Только сегодня!' })[0].suggestion).toBe('Скидки! Только сегодня.');
+  });
+
+  test('checks URL and display path format', () => {
+    expect(rules({ href: 'x.ru/page', display_url_path: 'okna_pvh' })).toEqual([
+      'href:url',
+      'display_url_path:characters',
+    ]);
+  });
+});
+
+test('checkAdText throws with every violation', () => {
+  expect(() => checkAdText({ title: 'a'.repeat(60), text: 'Ok!!' })).toThrow(
+    /title: 60 characters[\s\S]*text: 2 exclamation/,
+  );
+});
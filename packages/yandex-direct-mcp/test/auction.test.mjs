@@ -0,0 +1,39 @@
+import { expect, test } from 'bun:test';
+import { bidForTraffic, formatForecast } from '../src/auction.mjs';
+
+const M = 1_000_000;
+const keywordBid = {
+  KeywordId: 71,
+  AdGroupId: 7,
+  ServingStatus: 'ELIGIBLE',
+  Search: {
+    Bid: 10 * M,
+    AuctionBids: {
+      AuctionBidItems: [
+        { TrafficVolume: 100, Bid: 40 * M, Price: 35 * M },
+        { TrafficVolume: 5, Bid: 2 * M, Price: 2 * M },
+        { TrafficVolume: 65, Bid: 20 * M, Price: 18 * M },
+      ],
+    },
+  },
+  Network: { Bid: 3 * M, Coverage: { CoverageItems: [{ Probability: 50, Bid: 4 * M }] } },
+};
+
+test('bidForTraffic takes the cheapest position reaching the target, then raises and caps it', () => {
+  expect(bidForTraffic(keywordBid, 50)).toEqual({ bid: 20 * M, trafficVolume: 65 });
+  expect(bidForTraffic(keywordBid, 50, { increasePct: 10 })).toEqual({ bid: 22 * M, trafficVolume: 65 });
+  expect(bidForTraffic(keywordBid, 100, { maxBid: 30 * M })).toEqual({ bid: 30 * M, trafficVolume: 100 });
+  // Beyond the highest volume on offer, the top position is used.
+  expect(bidForTraffic(keywordBid, 150).trafficVolume).toBe(100);
+  expect(bidForTraffic({ KeywordId: 1 }, 50)).toBeNull();
+});
+
+test('formatForecast lists bids per traffic volume and coverage in currency', () => {
+  expect(formatForecast(keywordBid, 'buy x')).toBe(
+    [
+      '- "buy x" (ID 71), group 7 — search bid 10, network bid 3, serving ELIGIBLE',
+      '    search traffic: 5%: 2 (pays 2), 65%: 20 (pays 18), 100%: 40 (pays 35)',
+      '    network coverage: 50%: 4',
+    ].join('\n'),
+  );
+});
@@ -0,0 +1,102 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { mkdtempSync } from 'node:fs';
+import { homedir, tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { auditLogPath, inverseOf, readAuditLog, withAudit } from '../src/audit.mjs';
+import { runWrite } from '../src/mutations.mjs';
+
+beforeAll(() => {
+  process.env.YANDEX_DIRECT_AUDIT_LOG = join(mkdtempSync(join(tmpdir(), 'direct-audit-')), 'audit.jsonl');
+});
+
+afterAll(() => {
+  delete process.env.YANDEX_DIRECT_AUDIT_LOG;
+});
+
+function entry(request, { before = [], ids = [1] } = {}) {
+  return { id: 'abc', request, before, result: { ids, has_errors: false, text: '' }, error: null };
+}
+
+describe('auditLogPath', () => {
+  test('is off unless YANDEX_DIRECT_AUDIT_LOG turns it on', () => {
+    expect(auditLogPath({})).toBeNull();
+    expect(auditLogPath({ YANDEX_DIRECT_AUDIT_LOG: 'off' })).toBeNull();
+    expect(auditLogPath({ YANDEX_DIRECT_AUDIT_LOG: 'on' })).toBe(join(homedir(), '.yandex-direct-mcp', 'audit.jsonl'));
+    expect(auditLogPath({ YANDEX_DIRECT_AUDIT_LOG: '/tmp/direct.jsonl' })).toBe('/tmp/direct.jsonl');
+  });
+});
+
+describe('audit log', () => {
+  test('records a sent mutation with its tool call and snapshot', async () => {
+    const client = {
+      live: false,
+      async directGetAll() {
+        return { items: [{ Id: 1, Name: 'Old' }], nextOffset: null };
+      },
+      async directRequest() {
+        return { UpdateResults: [{ Id: 1 }] };
+      },
+    };
+    let handler;
+    const server = { registerTool: (_name, _config, h) => (handler = h) };
+    withAudit(server).registerTool('update-campaign', {}, () =>
+      runWrite(client, {
+        label: 'Update campaign',
+        service: 'campaigns',
+        method: 'update',
+        params: { Campaigns: [{ Id: 1, Name: 'New' }] },
+      }),
+    );
+    const result = await handler({ campaign_id: 1, name: 'New' });
+
+    const [logged] = await readAuditLog();
+    expect(result.content[0].text).toBe(`Update campaign — Succeeded: 1\n(audit entry ${logged.id})`);
+    expect(logged).toMatchObject({
+      tool: 'update-campaign',
+      arguments: { campaign_id: 1, name: 'New' },
+      affected_ids: [1],
+      before: [{ Id: 1, Name: 'Old' }],
+      result: { ids: [1], has_errors: false },
+    });
+  });
+});
+
+describe('inverseOf', () => {
+  test('restores updated fields from the snapshot', () => {
+    const e = entry(
+      { service: 'campaigns', method: 'update', params: { Campaigns: [{ Id: 1, Name: 'New', DailyBudget: {} }] } },
+      { before: [{ Id: 1, Name: 'Old' }] },
+    );
+    expect(inverseOf(e)).toEqual({
+      service: 'campaigns',
+      method: 'update',
+      params: { Campaigns: [{ Id: 1, Name: 'Old', DailyBudget: null }] },
+    });
+  });
+
+  test('restores previous bids', () => {
+    const e = entry(
+      { service: 'keywordbids', method: 'set', params: { KeywordBids: [{ KeywordId: 5, Bid: 30_000_000 }] } },
+      { before: [{ Id: 5, Bid: 10_000_000 }], ids: [5] },
+    );
+    expect(inverseOf(e).params).toEqual({ KeywordBids: [{ KeywordId: 5, Bid: 10_000_000 }] });
+  });
+
+  test('reverses lifecycle actions and deletes what an add created', () => {
+    const suspend = entry({ service: 'ads', method: 'suspend', params: { SelectionCriteria: { Ids: [1] } } });
+    expect(inverseOf(suspend).method).toBe('resume');
+    const add = entry({ service: 'keywords', method: 'add', params: { Keywords: [] } }, { ids: [7, 8] });
+    expect(inverseOf(add)).toEqual({
+      service: 'keywords',
+      method: 'delete',
+      params: { SelectionCriteria: { Ids: [7, 8] } },
+    });
+    const upload = entry({ service: 'adimages', method: 'add', params: { AdImages: [] } }, { ids: ['h4sh'] });
+    expect(inverseOf(upload).params).toEqual({ SelectionCriteria: { AdImageHashes: ['h4sh'] } });
+  });
+
+  test('refuses deletes', () => {
+    const del = entry({ service: 'adgroups', method: 'delete', params: { SelectionCriteria: { Ids: [1] } } });
+    expect(() => inverseOf(del)).toThrow('adgroups.delete cannot be undone');
+  });
+});
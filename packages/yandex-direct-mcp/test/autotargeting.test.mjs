@@ -0,0 +1,24 @@
+import { expect, test } from 'bun:test';
+import { describeAutotargeting, toAutotargetingCategories } from '../src/autotargeting.mjs';
+
+test('toAutotargetingCategories applies changes over the current settings', () => {
+  const current = [
+    { Category: 'EXACT', Value: 'YES' },
+    { Category: 'BROADER', Value: 'NO' },
+  ];
+  expect(toAutotargetingCategories(current, { accessory: false })).toEqual([
+    { Category: 'EXACT', Value: 'YES' },
+    { Category: 'NARROW', Value: 'YES' },
+    { Category: 'ALTERNATIVE', Value: 'YES' },
+    { Category: 'ACCESSORY', Value: 'NO' },
+    { Category: 'BROADER', Value: 'NO' },
+  ]);
+  expect(toAutotargetingCategories(current, { broader: true }).at(-1)).toEqual({ Category: 'BROADER', Value: 'YES' });
+});
+
+test('describeAutotargeting groups categories by setting', () => {
+  expect(
+    describeAutotargeting(toAutotargetingCategories([], { alternative: false, accessory: false, broader: false })),
+  ).toBe('exact, narrow on; alternative, accessory, broader off');
+  expect(describeAutotargeting(toAutotargetingCategories())).toBe('exact, narrow, alternative, accessory, broader on');
+});
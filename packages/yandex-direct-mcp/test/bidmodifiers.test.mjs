@@ -0,0 +1,74 @@
+import { describe, expect, test } from 'bun:test';
+import { inverseOf } from '../src/audit.mjs';
+import { bidModifierKey, flattenBidModifier, formatBidModifierRow, inputKey, toAddItem } from '../src/bidmodifiers.mjs';
+import { previewChanges } from '../src/mutations.mjs';
+
+const regional = {
+  Id: 3,
+  CampaignId: 1,
+  Level: 'CAMPAIGN',
+  Type: 'REGIONAL_ADJUSTMENT',
+  RegionalAdjustment: { RegionId: 1, BidModifier: 130, Enabled: 'YES' },
+};
+
+describe('toAddItem', () => {
+  test('builds the per-type structure on a campaign or ad group', () => {
+    expect(toAddItem({ type: 'mobile', percent: 50, os: 'IOS' }, { level: 'campaign', id: 1 })).toEqual({
+      CampaignId: 1,
+      MobileAdjustment: { OperatingSystemType: 'IOS', BidModifier: 50 },
+    });
+    expect(toAddItem({ type: 'regional', percent: 130, region_id: 1 }, { level: 'adgroup', id: 7 })).toEqual({
+      AdGroupId: 7,
+      RegionalAdjustments: [{ RegionId: 1, BidModifier: 130 }],
+    });
+  });
+
+  test('rejects percentages outside the type range', () => {
+    expect(() => toAddItem({ type: 'regional', percent: 5, region_id: 1 }, { level: 'campaign', id: 1 })).toThrow(
+      'regional modifier: 5% is outside the allowed 10–1300%.',
+    );
+    expect(() => toAddItem({ type: 'mobile', percent: 1400 }, { level: 'campaign', id: 1 })).toThrow('0–1300%');
+    expect(() => toAddItem({ type: 'demographics', percent: 80 }, { level: 'campaign', id: 1 })).toThrow(
+      'gender, an age group, or both',
+    );
+  });
+});
+
+test('an input modifier matches the existing one of the same type and condition', () => {
+  const flat = flattenBidModifier(regional);
+  expect(flat).toEqual({
+    Id: 3,
+    CampaignId: 1,
+    AdGroupId: undefined,
+    Level: 'CAMPAIGN',
+    Type: 'REGIONAL_ADJUSTMENT',
+    RegionId: 1,
+    BidModifier: 130,
+    Enabled: 'YES',
+  });
+  expect(inputKey({ type: 'regional', percent: 150, region_id: 1 })).toBe(bidModifierKey(flat));
+  expect(inputKey({ type: 'regional', percent: 150, region_id: 2 })).not.toBe(bidModifierKey(flat));
+  expect(formatBidModifierRow(flat)).toBe('| 3 | campaign 1 | regional | region 1 | 130% (+30%) | yes |');
+});
+
+test('set previews and undoes against the flattened modifier', async () => {
+  const reads = [];
+  const client = {
+    async directGetAll(_service, params) {
+      reads.push(params);
+      return { items: [regional], nextOffset: null };
+    },
+  };
+  const params = { BidModifiers: [{ Id: 3, BidModifier: 150 }] };
+  const [change] = await previewChanges(client, { service: 'bidmodifiers', method: 'set', params });
+  expect(reads[0].SelectionCriteria).toEqual({ Levels: ['CAMPAIGN', 'AD_GROUP'], Ids: [3] });
+  expect([change.before.BidModifier, change.after.BidModifier]).toEqual([130, 150]);
+
+  const entry = {
+    id: 'e1',
+    request: { service: 'bidmodifiers', method: 'set', params },
+    before: [change.before],
+    result: { ids: [3] },
+  };
+  expect(inverseOf(entry).params).toEqual({ BidModifiers: [{ Id: 3, BidModifier: 130 }] });
+});
@@ -0,0 +1,148 @@
+import { describe, expect, test } from 'bun:test';
+import { executeBuild, parseSpec, planBuild } from '../src/build.mjs';
+
+const SPEC = `
+campaign:
+  name: Phones
+  start_date: 2026-11-01
+  daily_budget: 500
+  negative_keywords: [бесплатно]
+groups:
+  - name: Smartphones
+    region_ids: [213]
+    bid: 12
+    keywords:
+      - купить смартфон
+      - { phrase: "!iphone 15", bid: 20 }
+    ads:
+      - { title: Smartphones in stock, text: Delivery today, href: "https://shop.ru/phones" }
+  - name: Cases
+    ads:
+      - { title: Phone cases, text: Any model, href: "https://shop.ru/cases" }
+`;
+
+// Answers every add with new IDs (or errors for `reject`ed services) and every
+// delete with success, recording the calls in order.
+function fakeClient({ reject } = {}) {
+  const calls = [];
+  let nextId = 100;
+  return {
+    calls,
+    async directRequest(service, method, params) {
+      calls.push({ service, method, params });
+      if (method === 'delete') return { DeleteResults: params.SelectionCriteria.Ids.map((Id) => ({ Id })) };
+      const items = Object.values(params)[0];
+      return {
+        AddResults: items.map(() =>
+          service === reject ? { Errors: [{ Code: 8800, Message: 'Object not found' }] } : { Id: nextId++ },
+        ),
+      };
+    },
+  };
+}
+
+describe('parseSpec and planBuild', () => {
+  test('builds the v5 objects with defaults and group bids', () => {
+    const plan = planBuild(parseSpec(SPEC));
+    expect(plan.campaign).toEqual({
+      Name: 'Phones',
+      StartDate: '2026-11-01',
+      TextCampaign: {
+        BiddingStrategy: {
+          Search: { BiddingStrategyType: 'HIGHEST_POSITION' },
+          Network: { BiddingStrategyType: 'SERVING_OFF' },
+        },
+      },
+      DailyBudget: { Amount: 500_000_000, Mode: 'STANDARD' },
+      NegativeKeywords: { Items: ['бесплатно'] },
+    });
+    expect(plan.groups[0].keywords).toEqual([
+      { Keyword: 'купить смартфон', Bid: 12_000_000 },
+      { Keyword: '!iphone 15', Bid: 20_000_000 },
+    ]);
+    expect(plan.groups[1].group).toEqual({ Name: 'Cases', RegionIds: [225] });
+    expect(plan.groups[1].keywords).toEqual([]);
+  });
+
+  test('reports schema problems with their path', () => {
+    expect(() => parseSpec('campaign: { name: X }\ngroups: [{ name: G, ads: [] }]')).toThrow('groups.0.ads');
+    expect(() => parseSpec('campaign: { name: X, budget: 5 }\ngroups: []')).toThrow('Invalid campaign spec');
+    expect(() => parseSpec('campaign: { name: X }\ngroups: [{ name: G, ads: [{ title: T, text: T }] }]')).toThrow(
+      'groups.0.ads.0.href',
+    );
+  });
+
+  test('collects every problem of the spec before anything is sent', () => {
+    const spec = parseSpec(`
+campaign:
+  name: X
+  daily_budget: 500
+  strategy: { search: { type: WB_MAXIMUM_CLICKS, weekly_spend_limit: 3000 } }
+groups:
+  - name: G
+    keywords: [окна, Окна]
+    ads: [{ title: Windows!!, text: Cheap, href: "https://shop.ru/windows" }]
+  - name: G
+    ads: [{ title: Doors, text: Cheap, href: "https://shop.ru/doors" }]
+`);
+    let message;
+    try {
+      planBuild(spec);
+    } catch (err) {
+      message = err.message;
+    }
+    expect(message.split('\n')).toEqual([
+      'Invalid campaign spec:',
+      '- campaign.daily_budget: daily_budget cannot be combined with the automatic WB_MAXIMUM_CLICKS strategy; use its weekly_spend_limit.',
+      '- groups.0.ads.0: title: 2 exclamation marks, limit 1',
+      '  suggested: "Windows!."',
+      '- groups.0.keywords.1: "Окна" is listed twice',
+      '- groups.1.name: "G" is used by an earlier group',
+    ]);
+  });
+});
+
+describe('executeBuild', () => {
+  test('creates objects in dependency order and wires their IDs', async () => {
+    const client = fakeClient();
+    const built = await executeBuild(client, planBuild(parseSpec(SPEC)));
+    expect(client.calls.map((c) => `${c.service}.${c.method}`)).toEqual([
+      'campaigns.add',
+      'adgroups.add',
+      'ads.add',
+      'keywords.add',
+    ]);
+    expect(client.calls[1].params.AdGroups.map((g) => g.CampaignId)).toEqual([100, 100]);
+    expect(client.calls[2].params.Ads.map((a) => a.AdGroupId)).toEqual([101, 102]);
+    expect(client.calls[3].params.Keywords.map((k) => k.AdGroupId)).toEqual([101, 101]);
+    expect(built).toEqual({
+      campaign_id: 100,
+      adgroups: [
+        { id: 101, name: 'Smartphones', ad_ids: [103], keyword_ids: [105, 106] },
+        { id: 102, name: 'Cases', ad_ids: [104], keyword_ids: [] },
+      ],
+    });
+  });
+
+  test('deletes what it created, newest first, when a step fails', async () => {
+    const client = fakeClient({ reject: 'ads' });
+    await expect(executeBuild(client, planBuild(parseSpec(SPEC)))).rejects.toThrow(
+      /create 2 ad\(s\) failed:[\s\S]*Object not found[\s\S]*Rolled back \(deleted\):\n- adgroups: 101, 102\n- campaigns: 100/,
+    );
+    expect(client.calls.map((c) => `${c.service}.${c.method}`)).toEqual([
+      'campaigns.add',
+      'adgroups.add',
+      'ads.add',
+      'adgroups.delete',
+      'campaigns.delete',
+    ]);
+  });
+
+  test('dry run sends nothing and lists the requests with placeholders', async () => {
+    const client = fakeClient();
+    const result = await executeBuild(client, planBuild(parseSpec(SPEC)), { dryRun: true });
+    expect(client.calls).toEqual([]);
+    expect(result.requests.map((r) => r.service)).toEqual(['campaigns', 'adgroups', 'ads', 'keywords']);
+    expect(result.requests[3].params.Keywords[0].AdGroupId).toBe('<ad group 1>');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, test } from 'bun:test';
+import { BATCH_SIZE, bulkCreateAds } from '../src/bulk.mjs';
+import { readTable } from '../src/table.mjs';
+
+// Answers ads.add with an error for ads titled "Reject", an ID for the rest.
+function fakeClient(groups = []) {
+  const batches = [];
+  let nextId = 100;
+  return {
+    batches,
+    async directGetAll() {
+      return { items: groups, nextOffset: null };
+    },
+    async directRequest(_service, _method, params) {
+      batches.push(params.Ads);
+      return {
+        AddResults: params.Ads.map((ad) =>
+          ad.TextAd.Title === 'Reject' ? { Errors: [{ Code: 5004, Message: 'Invalid href' }] } : { Id: nextId++ },
+        ),
+      };
+    },
+  };
+}
+
+describe('bulkCreateAds', () => {
+  test('maps API results and local checks back to table lines', async () => {
+    const client = fakeClient([{ Id: 7, Name: 'Windows' }]);
+    const table = readTable(
+      [
+        'adgroup_id,adgroup_name,title,text,callout_ids',
+        '5,,Plastic windows,Free measurement,1 2',
+        ',Windows,Reject,Free measurement,',
+        ',Doors,Doors,Any size,',
+        '5,,Too long!!,Text,',
+      ].join('\n'),
+    );
+    const { statuses } = await bulkCreateAds(client, table, { campaignId: 1 });
+    expect(statuses).toEqual([
+      { line: 2, status: 'created', id: 100 },
+      { line: 3, status: 'failed', detail: 'Invalid href' },
+      { line: 4, status: 'invalid', detail: 'no ad group named "Doors" in the campaign' },
+      { line: 5, status: 'invalid', detail: 'title: 2 exclamation marks, limit 1' },
+    ]);
+    expect(client.batches[0]).toEqual([
+      {
+        AdGroupId: 5,
+        TextAd: { Title: 'Plastic windows', Text: 'Free measurement', Mobile: 'NO', AdExtensionIds: [1, 2] },
+      },
+      { AdGroupId: 7, TextAd: { Title: 'Reject', Text: 'Free measurement', Mobile: 'NO' } },
+    ]);
+  });
+
+  test('splits rows into API-sized batches', async () => {
+    const client = fakeClient();
+    const lines = Array.from({ length: BATCH_SIZE + 1 }, (_, i) => `5,Ad ${i},Text`);
+    const { statuses } = await bulkCreateAds(client, readTable(['adgroup_id,title,text', ...lines].join('\n')));
+    expect(client.batches.map((b) => b.length)).toEqual([BATCH_SIZE, 1]);
+    expect(statuses.at(-1)).toEqual({ line: BATCH_SIZE + 2, status: 'created', id: 100 + BATCH_SIZE });
+  });
+
+  test('rejects unknown columns before doing anything', async () => {
+    await expect(bulkCreateAds(fakeClient(), readTable('adgroup_id,title,text,color\n5,a,b,red'))).rejects.toThrow(
+      'Unknown column(s): color',
+    );
+  });
+});
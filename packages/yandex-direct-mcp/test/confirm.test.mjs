@@ -0,0 +1,62 @@
+import { describe, expect, test } from 'bun:test';
+import { issueToken, redeemToken, TOKEN_TTL_MS } from '../src/confirm.mjs';
+import { runWrite } from '../src/mutations.mjs';
+
+const request = { service: 'campaigns', method: 'delete', params: { SelectionCriteria: { Ids: [1] } } };
+
+describe('confirmation tokens', () => {
+  test('are single-use', () => {
+    const { token } = issueToken(request);
+    redeemToken(token, request);
+    expect(() => redeemToken(token, request)).toThrow(/Unknown or already used/);
+  });
+
+  test('are bound to the exact request', () => {
+    const { token } = issueToken(request);
+    const other = { ...request, params: { SelectionCriteria: { Ids: [2] } } };
+    expect(() => redeemToken(token, other)).toThrow(/different arguments/);
+    redeemToken(token, request);
+  });
+
+  test('expire', () => {
+    const now = Date.now();
+    const { token } = issueToken(request, now);
+    expect(() => redeemToken(token, request, now + TOKEN_TTL_MS)).toThrow(/expired/);
+  });
+});
+
+describe('runWrite on LIVE', () => {
+  function liveClient() {
+    return {
+      live: true,
+      sent: 0,
+      async directGetAll() {
+        return { items: [{ Id: 1, Name: 'Brand', State: 'ON' }], nextOffset: null };
+      },
+      async directRequest() {
+        this.sent += 1;
+        return { DeleteResults: [{ Id: 1 }] };
+      },
+    };
+  }
+  const write = { label: 'delete campaign 1', ...request, confirm: true, preview: { fields: ['Name', 'State'] } };
+
+  test('returns a token first and executes only when it comes back', async () => {
+    const client = liveClient();
+    const first = await runWrite(client, write);
+    expect(client.sent).toBe(0);
+    expect(first.structuredContent.confirmation_required).toBe(true);
+    expect(first.content[0].text).toContain('- ID 1: {"Id":1,"Name":"Brand","State":"ON"} → deleted');
+
+    const token = first.structuredContent.confirmation_token;
+    const second = await runWrite(client, { ...write, confirmationToken: token });
+    expect(client.sent).toBe(1);
+    expect(second.content[0].text).toBe('delete campaign 1 — Succeeded: 1');
+  });
+
+  test('a predicate can waive confirmation', async () => {
+    const client = liveClient();
+    await runWrite(client, { ...write, confirm: () => false });
+    expect(client.sent).toBe(1);
+  });
+});
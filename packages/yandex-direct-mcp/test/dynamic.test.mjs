@@ -0,0 +1,47 @@
+import { expect, test } from 'bun:test';
+import {
+  describeConditions,
+  formatDynamicTarget,
+  formatSmartFilter,
+  toConditions,
+  webpageConditionsSchema,
+} from '../src/dynamic.mjs';
+
+test('toConditions and describeConditions round-trip page conditions', () => {
+  const conditions = toConditions([
+    { operand: 'URL', operator: 'CONTAINS_ANY', arguments: ['/sale/', '/promo/'] },
+    { operand: 'PAGE_TITLE', operator: 'NOT_CONTAINS_ALL', arguments: ['б/у'] },
+  ]);
+  expect(conditions[0]).toEqual({ Operand: 'URL', Operator: 'CONTAINS_ANY', Arguments: ['/sale/', '/promo/'] });
+  expect(describeConditions(conditions)).toBe(
+    'URL contains any of "/sale/", "/promo/"; PAGE_TITLE contains none of "б/у"',
+  );
+  expect(describeConditions([])).toBe('all pages');
+});
+
+test('webpageConditionsSchema enforces the v5 argument limits', () => {
+  const condition = (args) => [{ operand: 'URL', operator: 'CONTAINS_ANY', arguments: args }];
+  expect(webpageConditionsSchema.safeParse(condition(['sale'])).success).toBe(true);
+  expect(webpageConditionsSchema.safeParse(condition([])).success).toBe(false);
+  expect(webpageConditionsSchema.safeParse(condition(['x'.repeat(101)])).success).toBe(false);
+});
+
+test('dynamic targets and smart filters are listed with bids and conditions', () => {
+  expect(formatDynamicTarget({ Id: 1, Name: 'Sale', AdGroupId: 7, State: 'ON', Bid: 12_000_000, Conditions: [] })).toBe(
+    '- "Sale" (ID 1, group 7) — state ON, search bid 12: all pages',
+  );
+  expect(
+    formatSmartFilter({
+      Id: 2,
+      Name: 'Cheap',
+      AdGroupId: 8,
+      State: 'SUSPENDED',
+      Audience: 'ALL_SEGMENTS',
+      AvailableItemsOnly: 'YES',
+      AverageCpc: 5_500_000,
+      Conditions: { Items: [{ Operand: 'price', Operator: 'LESS_THAN', Arguments: ['1000'] }] },
+    }),
+  ).toBe(
+    '- "Cheap" (ID 2, group 8) — state SUSPENDED, audience ALL_SEGMENTS, in-stock offers only, average CPC 5.5: price < "1000"',
+  );
+});
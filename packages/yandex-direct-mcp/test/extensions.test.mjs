@@ -0,0 +1,66 @@
+import { describe, expect, test } from 'bun:test';
+import { describeExtensions, toCalloutSetting, toSitelinkSet } from '../src/extensions.mjs';
+import { previewChanges } from '../src/mutations.mjs';
+
+const link = (title) => ({ title, href: 'https://example.com' });
+
+describe('toSitelinkSet', () => {
+  test('builds the v5 set, keeping descriptions only when given', () => {
+    expect(toSitelinkSet([link('Delivery'), { ...link('Prices'), description: 'All prices' }])).toEqual({
+      Sitelinks: [
+        { Title: 'Delivery', Href: 'https://example.com' },
+        { Title: 'Prices', Href: 'https://example.com', Description: 'All prices' },
+      ],
+    });
+  });
+
+  test('enforces the link count and the per-four total title length', () => {
+    expect(() => toSitelinkSet([])).toThrow('1 to 8 links');
+    expect(() => toSitelinkSet(Array.from({ length: 9 }, () => link('x')))).toThrow('not 9');
+    const long = 'x'.repeat(17); // 4 × 17 = 68 > 66
+    expect(() => toSitelinkSet([link(long), link(long), link(long), link(long)])).toThrow(
+      'Sitelinks 1–4: titles total 68 chars',
+    );
+    // The limit applies to each group of four separately.
+    const ok = 'x'.repeat(16);
+    expect(toSitelinkSet(Array.from({ length: 8 }, () => link(ok))).Sitelinks).toHaveLength(8);
+  });
+});
+
+test('toCalloutSetting applies one operation to every callout', () => {
+  expect(toCalloutSetting([1, 2], 'remove')).toEqual({
+    AdExtensions: [
+      { AdExtensionId: 1, Operation: 'REMOVE' },
+      { AdExtensionId: 2, Operation: 'REMOVE' },
+    ],
+  });
+});
+
+test('describeExtensions lists the sitelink set and callouts', () => {
+  expect(
+    describeExtensions({
+      SitelinkSetId: 12,
+      AdExtensions: [
+        { AdExtensionId: 3, Type: 'CALLOUT' },
+        { AdExtensionId: 4, Type: 'CALLOUT' },
+      ],
+    }),
+  ).toBe('sitelinks: set 12; callouts: 3, 4');
+  expect(describeExtensions({ AdExtensions: [] })).toBeNull();
+});
+
+test('callout updates are previewed against the ad’s current extensions', async () => {
+  const reads = [];
+  const client = {
+    async directGetAll(_service, params) {
+      reads.push(params);
+      return { items: [{ Id: 9, TextAd: { AdExtensions: [] } }], nextOffset: null };
+    },
+  };
+  await previewChanges(client, {
+    service: 'ads',
+    method: 'update',
+    params: { Ads: [{ Id: 9, TextAd: { CalloutSetting: toCalloutSetting([1]) } }] },
+  });
+  expect(reads[0].TextAdFieldNames).toEqual(['AdExtensions']);
+});
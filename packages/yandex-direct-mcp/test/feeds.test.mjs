@@ -0,0 +1,60 @@
+import { expect, test } from 'bun:test';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { feedSource, formatFeed, waitForFeeds } from '../src/feeds.mjs';
+
+test('feedSource builds URL and file sources', async () => {
+  expect(await feedSource({ url: 'https://shop.ru/feed.xml', remove_utm_tags: true })).toEqual({
+    SourceType: 'URL',
+    UrlFeed: { Url: 'https://shop.ru/feed.xml', RemoveUtmTags: 'YES' },
+  });
+  const path = join(mkdtempSync(join(tmpdir(), 'feed-')), 'offers.xml');
+  writeFileSync(path, '<yml_catalog/>');
+  expect(await feedSource({ file_path: path })).toEqual({
+    SourceType: 'FILE',
+    FileFeed: { Data: Buffer.from('<yml_catalog/>').toString('base64'), Filename: 'offers.xml' },
+  });
+  await expect(feedSource({})).rejects.toThrow('exactly one of url or file_path');
+  await expect(feedSource({ url: 'shop.ru/feed.xml' })).rejects.toThrow('http');
+});
+
+test('waitForFeeds polls until the feeds are processed', async () => {
+  const statuses = ['NEW', 'UPDATING', 'DONE'];
+  const client = {
+    async directGetAll() {
+      return { items: [{ Id: 5, Status: statuses.shift() }], nextOffset: null };
+    },
+  };
+  const sleeps = [];
+  const { feeds, settled } = await waitForFeeds(client, [5], {
+    waitSeconds: 60,
+    sleep: async (ms) => sleeps.push(ms),
+  });
+  expect(settled).toBe(true);
+  expect(feeds[0].Status).toBe('DONE');
+  expect(sleeps).toEqual([10_000, 10_000]);
+});
+
+test('waitForFeeds without a wait reads the status once', async () => {
+  const client = {
+    async directGetAll() {
+      return { items: [{ Id: 5, Status: 'UPDATING' }], nextOffset: null };
+    },
+  };
+  expect(await waitForFeeds(client, [5])).toEqual({ feeds: [{ Id: 5, Status: 'UPDATING' }], settled: false });
+});
+
+test('formatFeed shows status, size and source', () => {
+  expect(
+    formatFeed({
+      Id: 5,
+      Name: 'Shop',
+      BusinessType: 'RETAIL',
+      SourceType: 'URL',
+      Status: 'DONE',
+      NumberOfItems: 1200,
+      UrlFeed: { Url: 'https://shop.ru/feed.xml' },
+    }),
+  ).toBe('- "Shop" (ID 5, RETAIL) — status DONE, 1200 offer(s); source https://shop.ru/feed.xml');
+});
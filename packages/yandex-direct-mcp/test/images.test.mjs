@@ -0,0 +1,102 @@
+import { describe, expect, test } from 'bun:test';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadImage, PENDING_HASH, resolveImageHash, withAdImage } from '../src/images.mjs';
+import { runWrite } from '../src/mutations.mjs';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+describe('loadImage', () => {
+  test('reads a file into a named AdImages item', async () => {
+    const path = join(mkdtempSync(join(tmpdir(), 'direct-image-')), 'banner.png');
+    writeFileSync(path, PNG);
+    expect(await loadImage({ path })).toEqual({ ImageData: PNG.toString('base64'), Name: 'banner.png' });
+  });
+
+  test('rejects data that is not an image, and ambiguous sources', async () => {
+    const text = Buffer.from('hello world').toString('base64');
+    await expect(loadImage({ base64: text })).rejects.toThrow('not a JPEG, PNG or GIF');
+    await expect(loadImage({ path: 'a.png', base64: text })).rejects.toThrow('exactly one');
+  });
+});
+
+describe('resolveImageHash', () => {
+  test('uploads through adimages.add and returns the new hash', async () => {
+    const sent = [];
+    const client = {
+      async directRequest(service, method, params) {
+        sent.push({ service, method, params });
+        return { AddResults: [{ AdImageHash: 'h4sh' }] };
+      },
+    };
+    expect(await resolveImageHash(client, { image_base64: PNG.toString('base64') })).toBe('h4sh');
+    expect(sent[0].service).toBe('adimages');
+    expect(sent[0].params.AdImages[0].ImageData).toBe(PNG.toString('base64'));
+  });
+
+  test('a dry run uploads nothing', async () => {
+    const client = {
+      async directRequest() {
+        throw new Error('must not be called');
+      },
+    };
+    expect(await resolveImageHash(client, { image_base64: PNG.toString('base64') }, { dryRun: true })).toBe(
+      PENDING_HASH,
+    );
+  });
+});
+
+describe('withAdImage', () => {
+  // Uploads return 'h4sh', deletes succeed; every call is recorded.
+  function client() {
+    return {
+      calls: [],
+      async directRequest(service, method, params) {
+        this.calls.push(`${service}.${method}`);
+        if (method === 'delete') return { DeleteResults: [{ AdImageHash: params.SelectionCriteria.AdImageHashes[0] }] };
+        return { AddResults: [{ AdImageHash: 'h4sh' }] };
+      },
+    };
+  }
+  const image = { image_base64: PNG.toString('base64') };
+  const failed = { content: [{ type: 'text', text: 'Create ad — Issues' }], structuredContent: { AddResults: [{}] } };
+
+  test('deletes the uploaded image when the ad write reports errors', async () => {
+    const c = client();
+    const result = await withAdImage(c, image, {}, async () => failed);
+    expect(c.calls).toEqual(['adimages.add', 'adimages.delete']);
+    expect(result.content[0].text).toContain('The image uploaded for the ad (h4sh) was deleted again.');
+  });
+
+  test('deletes the uploaded image when the ad write throws', async () => {
+    const c = client();
+    await expect(
+      withAdImage(c, image, {}, async () => {
+        throw new Error('Spend policy blocked Create ad');
+      }),
+    ).rejects.toThrow('Spend policy blocked Create ad\nThe image uploaded for the ad (h4sh) was deleted again.');
+    expect(c.calls).toEqual(['adimages.add', 'adimages.delete']);
+  });
+
+  test('leaves an image given by hash alone', async () => {
+    const c = client();
+    await withAdImage(c, { image_hash: 'given' }, {}, async () => failed);
+    expect(c.calls).toEqual([]);
+  });
+});
+
+test('previews replace image data with its size', async () => {
+  const result = await runWrite(
+    {},
+    {
+      label: 'Upload image',
+      service: 'adimages',
+      method: 'add',
+      params: { AdImages: [{ ImageData: 'x'.repeat(5000), Name: 'big.png' }] },
+      dryRun: true,
+    },
+  );
+  expect(result.content[0].text).toContain('"ImageData": "<5000 chars>"');
+  expect(result.content[0].text).not.toContain('xxxx');
+});
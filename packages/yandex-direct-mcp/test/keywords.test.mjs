@@ -0,0 +1,160 @@
+import { describe, expect, test } from 'bun:test';
+import { z } from 'zod';
+import { registerKeywordTools } from '../src/tools/keywords.mjs';
+
+// Registers the keyword tools against a client that records every call; reads
+// return `rows`, writes succeed for every item.
+function setup(rows = []) {
+  const tools = {};
+  const server = { registerTool: (name, config, handler) => (tools[name] = { config, handler }) };
+  const client = {
+    live: false,
+    reads: [],
+    writes: [],
+    async directGetAll(service, params) {
+      this.reads.push({ service, params });
+      return { items: rows, nextOffset: null };
+    },
+    async directRequest(service, method, params) {
+      this.writes.push({ service, method, params });
+      const ids = params.SelectionCriteria?.Ids ?? params.Keywords.map((k) => k.Id);
+      const results = ids.map((Id) => ({ Id }));
+      return method === 'update' ? { UpdateResults: results } : { ActionResults: results };
+    },
+  };
+  registerKeywordTools(server, client);
+  return { tools, client };
+}
+
+const accepts = (tool, args) => z.object(tool.config.inputSchema).safeParse(args).success;
+
+describe('update-keywords', () => {
+  test('sends only the given fields, clearing a user parameter with null', async () => {
+    const { tools, client } = setup();
+    await tools['update-keywords'].handler({
+      keywords: [
+        { keyword_id: 1, user_param1: '' },
+        { keyword_id: 2, keyword: 'купить окна', user_param2: 'winter' },
+      ],
+    });
+    expect(client.writes).toEqual([
+      {
+        service: 'keywords',
+        method: 'update',
+        params: {
+          Keywords: [
+            { Id: 1, UserParam1: null },
+            { Id: 2, Keyword: 'купить окна', UserParam2: 'winter' },
+          ],
+        },
+      },
+    ]);
+  });
+
+  test('rejects a keyword with nothing to change before sending anything', async () => {
+    const { tools, client } = setup();
+    await expect(
+      tools['update-keywords'].handler({ keywords: [{ keyword_id: 1, keyword: 'окна' }, { keyword_id: 2 }] }),
+    ).rejects.toThrow('Nothing to update for keyword 2.');
+    expect(client.writes).toEqual([]);
+  });
+
+  test('takes up to 10000 keywords, sent in one call', async () => {
+    const { tools, client } = setup();
+    const keywords = Array.from({ length: 10000 }, (_, i) => ({ keyword_id: i + 1, user_param1: 'x' }));
+    expect(accepts(tools['update-keywords'], { keywords })).toBe(true);
+    expect(accepts(tools['update-keywords'], { keywords: [...keywords, { keyword_id: 0, user_param1: 'x' }] })).toBe(
+      false,
+    );
+    await tools['update-keywords'].handler({ keywords });
+    expect(client.writes).toHaveLength(1);
+    expect(client.writes[0].params.Keywords).toHaveLength(10000);
+  });
+});
+
+describe('manage-keywords', () => {
+  test('offers only the lifecycle actions the keywords service has', () => {
+    const { tools } = setup();
+    expect(accepts(tools['manage-keywords'], { keyword_ids: [1], action: 'suspend' })).toBe(true);
+    expect(accepts(tools['manage-keywords'], { keyword_ids: [1], action: 'archive' })).toBe(false);
+    expect(accepts(tools['manage-keywords'], { keyword_ids: [1], action: 'unarchive' })).toBe(false);
+  });
+
+  test('sends the action for every selected keyword in one call', async () => {
+    const { tools, client } = setup();
+    await tools['manage-keywords'].handler({ keyword_ids: [4, 5], action: 'resume' });
+    expect(client.writes).toEqual([
+      { service: 'keywords', method: 'resume', params: { SelectionCriteria: { Ids: [4, 5] } } },
+    ]);
+  });
+});
+
+describe('list-keywords', () => {
+  test('filters by state and status in the request and by phrase locally', async () => {
+    const { tools, client } = setup([
+      { Id: 1, Keyword: 'Купить ОКНА', AdGroupId: 3, State: 'ON', Status: 'ACCEPTED' },
+      { Id: 2, Keyword: 'двери', AdGroupId: 3, State: 'ON', Status: 'ACCEPTED' },
+    ]);
+    const result = await tools['list-keywords'].handler({
+      adgroup_ids: [3],
+      states: ['ON'],
+      statuses: ['ACCEPTED', 'DRAFT'],
+      contains: 'окна',
+    });
+    expect(client.reads[0].params.SelectionCriteria).toEqual({
+      AdGroupIds: [3],
+      States: ['ON'],
+      Statuses: ['ACCEPTED', 'DRAFT'],
+    });
+    expect(result.structuredContent.Keywords.map((k) => k.Id)).toEqual([1]);
+  });
+});
+
+describe('bid selection', () => {
+  test('takes at most 10 campaign IDs, the keywordbids.get limit', () => {
+    const { tools } = setup();
+    const campaign_ids = Array.from({ length: 10 }, (_, i) => i + 1);
+    for (const name of ['get-bid-forecast', 'set-bids-by-traffic']) {
+      const args = name === 'set-bids-by-traffic' ? { target_traffic: 100 } : {};
+      expect(accepts(tools[name], { ...args, campaign_ids })).toBe(true);
+      expect(accepts(tools[name], { ...args, campaign_ids: [...campaign_ids, 11] })).toBe(false);
+    }
+  });
+});
+
+describe('list-keywords contains', () => {
+  // Ten keywords, every third one matching "окна", served in offset/limit pages.
+  const rows = Array.from({ length: 10 }, (_, i) => ({
+    Id: i + 1,
+    Keyword: i % 3 === 2 ? `окна ${i}` : `двери ${i}`,
+    AdGroupId: 3,
+    State: 'ON',
+    Status: 'ACCEPTED',
+  }));
+  function pagingSetup() {
+    const { tools, client } = setup();
+    client.directGetAll = async (_service, _params, _collection, { offset = 0, limit = Infinity } = {}) => {
+      client.reads.push({ offset, limit });
+      const items = rows.slice(offset, offset + limit);
+      return { items, nextOffset: offset + items.length < rows.length ? offset + items.length : null };
+    };
+    return { tools, client };
+  }
+
+  test('reads on until the limit is filled and resumes after the last match', async () => {
+    const { tools, client } = pagingSetup();
+    const first = await tools['list-keywords'].handler({ contains: 'ОКНА', limit: 2 });
+    expect(first.structuredContent.Keywords.map((k) => k.Id)).toEqual([3, 6]);
+    expect(first.structuredContent.next_offset).toBe(6);
+    expect(client.reads).toEqual([
+      { offset: 0, limit: 2 },
+      { offset: 2, limit: 2 },
+      { offset: 4, limit: 2 },
+    ]);
+
+    const rest = await tools['list-keywords'].handler({ contains: 'окна', limit: 2, offset: 6 });
+    expect(rest.structuredContent.Keywords.map((k) => k.Id)).toEqual([9]);
+    expect(rest.structuredContent.next_offset).toBeNull();
+    expect(rest.content[0].text).toStartWith('Found 1 keyword(s):');
+  });
+});
@@ -0,0 +1,103 @@
+import { afterEach, describe, expect, test } from 'bun:test';
+import { previewChanges, runWrite } from '../src/mutations.mjs';
+
+// A client double: `get` reads come from `rows`, every other call is recorded.
+function fakeClient(rows = []) {
+  const sent = [];
+  return {
+    sent,
+    reads: [],
+    async directGetAll(service, params) {
+      this.reads.push({ service, params });
+      return { items: rows.filter((r) => params.SelectionCriteria.Ids.includes(r.Id)), nextOffset: null };
+    },
+    async directRequest(service, method, params) {
+      sent.push({ service, method, params });
+      return { UpdateResults: [{ Id: 1 }] };
+    },
+  };
+}
+
+afterEach(() => {
+  delete process.env.YANDEX_DIRECT_DRY_RUN;
+});
+
+describe('previewChanges', () => {
+  test('update merges the sent fields over the current object', async () => {
+    const client = fakeClient([{ Id: 1, Name: 'Old', DailyBudget: { Amount: 500_000_000, Mode: 'STANDARD' } }]);
+    const changes = await previewChanges(client, {
+      service: 'campaigns',
+      method: 'update',
+      params: { Campaigns: [{ Id: 1, Name: 'New' }] },
+    });
+    expect(changes).toEqual([
+      {
+        id: 1,
+        before: { Id: 1, Name: 'Old', DailyBudget: { Amount: 500_000_000, Mode: 'STANDARD' } },
+        after: { Id: 1, Name: 'New', DailyBudget: { Amount: 500_000_000, Mode: 'STANDARD' } },
+      },
+    ]);
+    expect(client.reads[0].params.FieldNames).toEqual(['Id', 'Name']);
+  });
+
+  test('keyword bids are read from the keywords service by KeywordId', async () => {
+    const client = fakeClient([{ Id: 7, Bid: 10_000_000 }]);
+    const changes = await previewChanges(client, {
+      service: 'keywordbids',
+      method: 'set',
+      params: { KeywordBids: [{ KeywordId: 7, Bid: 12_000_000 }] },
+      from: 'keywords',
+      idKey: 'KeywordId',
+    });
+    expect(client.reads[0].service).toBe('keywords');
+    expect(changes[0]).toEqual({ id: 7, before: { Id: 7, Bid: 10_000_000 }, after: { Id: 7, Bid: 12_000_000 } });
+  });
+
+  test('actions patch the state; delete leaves nothing; adds have no before', async () => {
+    const client = fakeClient([{ Id: 3, State: 'ON' }]);
+    const suspend = { service: 'ads', params: { SelectionCriteria: { Ids: [3] } }, fields: ['State'] };
+    expect((await previewChanges(client, { ...suspend, method: 'suspend' }))[0].after).toEqual({
+      Id: 3,
+      State: 'SUSPENDED',
+    });
+    expect((await previewChanges(client, { ...suspend, method: 'delete' }))[0].after).toBeNull();
+    const add = await previewChanges(client, { service: 'ads', method: 'add', params: { Ads: [{ AdGroupId: 9 }] } });
+    expect(add).toEqual([{ id: null, before: null, after: { AdGroupId: 9 } }]);
+  });
+
+  test('feed sources are read through their own field lists, without unreadable fields', async () => {
+    const client = fakeClient([{ Id: 4, FileFeed: { Filename: 'old.xml' } }]);
+    const changes = await previewChanges(client, {
+      service: 'feeds',
+      method: 'update',
+      params: { Feeds: [{ Id: 4, FileFeed: { Data: 'PHhtbC8+', Filename: 'new.xml' } }] },
+    });
+    expect(client.reads[0].params.FileFeedFieldNames).toEqual(['Filename']);
+    expect(changes[0].after.FileFeed.Filename).toBe('new.xml');
+  });
+});
+
+describe('runWrite', () => {
+  const write = {
+    label: 'Update campaign',
+    service: 'campaigns',
+    method: 'update',
+    params: { Campaigns: [{ Id: 1, DailyBudget: { Amount: 700_000_000, Mode: 'STANDARD' } }] },
+  };
+
+  test('sends the mutation by default', async () => {
+    const client = fakeClient();
+    const result = await runWrite(client, write);
+    expect(client.sent).toHaveLength(1);
+    expect(result.content[0].text).toBe('Update campaign — Succeeded: 1');
+  });
+
+  test('the server-wide switch forces a preview and shows money in currency', async () => {
+    process.env.YANDEX_DIRECT_DRY_RUN = '1';
+    const client = fakeClient([{ Id: 1, DailyBudget: { Amount: 500_000_000, Mode: 'STANDARD' } }]);
+    const result = await runWrite(client, { ...write, dryRun: false });
+    expect(client.sent).toHaveLength(0);
+    expect(result.structuredContent.dry_run).toBe(true);
+    expect(result.content[0].text).toContain('DailyBudget: {"Amount":500,"Mode":"STANDARD"} → {"Amount":700');
+  });
+});
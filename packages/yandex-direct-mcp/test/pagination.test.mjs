@@ -0,0 +1,59 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { createClient } from '../src/client.mjs';
+
+// Stubs fetch with an in-memory keywords service holding `total` rows and checks
+// that directGetAll() follows LimitedBy/Offset the way the v5 API pages.
+
+const realFetch = globalThis.fetch;
+let requests;
+
+function serveKeywords(total) {
+  requests = [];
+  globalThis.fetch = async (_url, init) => {
+    const { params } = JSON.parse(init.body);
+    requests.push(params.Page);
+    const { Limit, Offset } = params.Page;
+    const end = Math.min(total, Offset + Limit);
+    const Keywords = [];
+    for (let i = Offset; i < end; i++) Keywords.push({ Id: i + 1 });
+    const result = end < total ? { Keywords, LimitedBy: end } : { Keywords };
+    return new Response(JSON.stringify({ result }));
+  };
+}
+
+beforeEach(() => {
+  process.env.YANDEX_DIRECT_TOKEN = 'test-token';
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+describe('directGetAll', () => {
+  test('stops at the caller limit and returns a continuation cursor', async () => {
+    serveKeywords(250);
+    const page = await createClient().directGetAll('keywords', {}, 'Keywords', { limit: 100 });
+    expect(page.items).toHaveLength(100);
+    expect(page.nextOffset).toBe(100);
+    expect(requests).toEqual([{ Limit: 100, Offset: 0 }]);
+  });
+
+  test('resumes from an offset and reports exhaustion with a null cursor', async () => {
+    serveKeywords(250);
+    const page = await createClient().directGetAll('keywords', {}, 'Keywords', { offset: 200, limit: 100 });
+    expect(page.items.map((k) => k.Id)).toEqual(Array.from({ length: 50 }, (_, i) => 201 + i));
+    expect(page.nextOffset).toBeNull();
+  });
+
+  test('follows LimitedBy across full pages until exhausted', async () => {
+    serveKeywords(25_000);
+    const page = await createClient().directGetAll('keywords', {}, 'Keywords');
+    expect(page.items).toHaveLength(25_000);
+    expect(page.nextOffset).toBeNull();
+    expect(requests).toEqual([
+      { Limit: 10000, Offset: 0 },
+      { Limit: 10000, Offset: 10000 },
+      { Limit: 10000, Offset: 20000 },
+    ]);
+  });
+});
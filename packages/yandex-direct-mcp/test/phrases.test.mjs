@@ -0,0 +1,48 @@
+import { expect, test } from 'bun:test';
+import { blocksKeyword, editPhraseList, phraseWords, stem } from '../src/phrases.mjs';
+
+test('stem reduces word forms to a shared stem', () => {
+  expect(stem('телефонов')).toBe(stem('телефон'));
+  expect(stem('Купить')).toBe(stem('купил'));
+  expect(stem('phones')).toBe(stem('phone'));
+  expect(stem('ёлка')).toBe(stem('елки'));
+});
+
+test('stem keeps unrelated words that differ by a last letter apart', () => {
+  expect(stem('стол')).not.toBe(stem('сто'));
+  expect(stem('стал')).not.toBe(stem('стая'));
+  expect(stem('столы')).toBe(stem('стол'));
+  expect(stem('бесплатно')).toBe(stem('бесплатный'));
+  expect(blocksKeyword('сто', 'купить стол')).toBe(false);
+  expect(blocksKeyword('столы', 'купить стол')).toBe(true);
+});
+
+test('phraseWords drops operators, stop words and the keyword’s own negatives', () => {
+  expect(phraseWords('"купить !телефон в +в москве" -бу -дешево')).toEqual([
+    { word: 'купить', fixed: false },
+    { word: 'телефон', fixed: true },
+    { word: 'в', fixed: false },
+    { word: 'москве', fixed: false },
+  ]);
+  expect(phraseWords('[билеты москва]')).toEqual([
+    { word: 'билеты', fixed: false },
+    { word: 'москва', fixed: false },
+  ]);
+});
+
+test('blocksKeyword flags negatives whose words all occur in the keyword', () => {
+  expect(blocksKeyword('бесплатно', 'скачать игры бесплатно')).toBe(true);
+  expect(blocksKeyword('телефоны', 'купить телефон')).toBe(true);
+  expect(blocksKeyword('купить бу', 'купить телефон')).toBe(false);
+  expect(blocksKeyword('!телефоны', 'купить телефон')).toBe(false);
+  expect(blocksKeyword('дешево', 'купить телефон -дешево')).toBe(false);
+  expect(blocksKeyword('для', 'чехол для телефона')).toBe(false);
+});
+
+test('editPhraseList sets, appends and removes phrases case-insensitively', () => {
+  const current = ['бесплатно', 'Своими руками'];
+  expect(editPhraseList(current, ['бу'])).toEqual(['бу']);
+  expect(editPhraseList(current, ['своими  руками', 'бу', 'БУ'], 'add')).toEqual(['бесплатно', 'Своими руками', 'бу']);
+  expect(editPhraseList(current, ['БЕСПЛАТНО'], 'remove')).toEqual(['Своими руками']);
+  expect(editPhraseList(undefined, ['бу'], 'add')).toEqual(['бу']);
+});
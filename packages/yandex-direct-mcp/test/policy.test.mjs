@@ -0,0 +1,205 @@
+import { describe, expect, test } from 'bun:test';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { runWrite } from '../src/mutations.mjs';
+import { checkSpend, findViolations, limitsFor, loadSpendPolicy } from '../src/policy.mjs';
+
+const policy = {
+  maxBid: { RUB: 100, USD: 2 },
+  maxBidChangePct: 50,
+  campaigns: { 42: { maxBid: { RUB: 300 } } },
+};
+
+describe('loadSpendPolicy', () => {
+  test('is off when nothing is configured', () => {
+    expect(loadSpendPolicy({})).toBeNull();
+  });
+
+  test('reads the JSON file and lets env override it', () => {
+    const file = join(mkdtempSync(join(tmpdir(), 'direct-policy-')), 'policy.json');
+    writeFileSync(file, JSON.stringify(policy));
+    const loaded = loadSpendPolicy({ YANDEX_DIRECT_POLICY_FILE: file, YANDEX_DIRECT_MAX_BID_CHANGE_PCT: '20' });
+    expect(loaded.maxBid).toEqual({ RUB: 100, USD: 2 });
+    expect(loaded.maxBidChangePct).toBe(20);
+  });
+
+  test('rejects a bad env value', () => {
+    expect(() => loadSpendPolicy({ YANDEX_DIRECT_MAX_BID: 'lots' })).toThrow('YANDEX_DIRECT_MAX_BID');
+  });
+});
+
+describe('limits', () => {
+  test('campaign overrides win and per-currency caps resolve', () => {
+    expect(limitsFor(policy, 42, 'RUB').maxBid).toBe(300);
+    expect(limitsFor(policy, 7, 'RUB').maxBid).toBe(100);
+    expect(limitsFor(policy, 7, 'EUR').maxBid).toBeUndefined();
+  });
+
+  test('flags absolute caps and raises beyond the allowed percentage', () => {
+    const amounts = [
+      { subject: 'ID 1', campaignId: 7, field: 'Bid', before: 15, after: 1500 },
+      { subject: 'ID 2', campaignId: 42, field: 'Bid', before: 100, after: 200 },
+      { subject: 'ID 3', campaignId: 7, field: 'Bid', before: 40, after: 20 },
+    ];
+    expect(findViolations(policy, 'bid', amounts, 'RUB')).toEqual([
+      'ID 1: Bid 1500 RUB exceeds the maxBid of 100 RUB',
+      'ID 1: Bid raise 15 → 1500 RUB (+9900%) exceeds the maxBidChangePct of 50%',
+      'ID 2: Bid raise 100 → 200 RUB (+100%) exceeds the maxBidChangePct of 50% for campaign 42',
+    ]);
+  });
+});
+
+describe('runWrite with a spend policy', () => {
+  function client() {
+    return {
+      spendPolicy: policy,
+      sent: 0,
+      async directGetAll() {
+        return { items: [{ Id: 5, CampaignId: 7, Bid: 10_000_000 }], nextOffset: null };
+      },
+      async directRequest(service) {
+        if (service === 'clients') return { Clients: [{ Currency: 'RUB' }] };
+        this.sent += 1;
+        return { SetResults: [{ KeywordId: 5 }] };
+      },
+    };
+  }
+  const write = (bid) => ({
+    label: 'Set bids',
+    service: 'keywordbids',
+    method: 'set',
+    params: { KeywordBids: [{ KeywordId: 5, Bid: bid * 1_000_000 }] },
+    spend: 'bid',
+    preview: { from: 'keywords', idKey: 'KeywordId', fields: ['CampaignId'] },
+  });
+
+  test('rejects a violating write without sending it', async () => {
+    const c = client();
+    await expect(runWrite(c, write(1500))).rejects.toThrow(/Spend policy blocked Set bids:\n {2}- ID 5: Bid 1500 RUB/);
+    expect(c.sent).toBe(0);
+  });
+
+  test('lets a compliant write through', async () => {
+    const c = client();
+    await runWrite(c, write(12));
+    expect(c.sent).toBe(1);
+  });
+
+  test('dry run reports the violation instead of throwing', async () => {
+    const result = await runWrite(client(), { ...write(1500), dryRun: true });
+    expect(result.structuredContent.violations).toHaveLength(2);
+    expect(result.content[0].text).toContain('Spend policy would block this:');
+  });
+});
+
+describe('strategy amounts', () => {
+  const budgetPolicy = { maxBid: 100, maxCpa: 1000, maxDailyBudget: 1000, maxBudgetChangePct: 100, campaigns: {} };
+  const currencyClient = {
+    async directGetAll() {
+      return { items: [], nextOffset: null };
+    },
+    async directRequest() {
+      return { Clients: [{ Currency: 'RUB' }] };
+    },
+  };
+  const search = (BiddingStrategyType, block, params) => ({
+    TextCampaign: {
+      BiddingStrategy: {
+        Search: { BiddingStrategyType, [block]: params },
+        Network: { BiddingStrategyType: 'SERVING_OFF' },
+      },
+    },
+  });
+  const averageCpa = (cpa, weekly) =>
+    search('AVERAGE_CPA', 'AverageCpa', {
+      AverageCpa: cpa * 1_000_000,
+      GoalId: 1,
+      WeeklySpendLimit: weekly * 1_000_000,
+    });
+
+  test('a target CPA is held to maxCpa, not to the per-click maxBid', async () => {
+    const violations = await checkSpend(currencyClient, budgetPolicy, 'budget', [
+      { id: null, before: null, after: { Name: 'Ok', ...averageCpa(500, 5000) } },
+      { id: null, before: null, after: { Name: 'New', ...averageCpa(1500, 9000) } },
+      {
+        id: null,
+        before: null,
+        after: { Name: 'Pay', ...search('PAY_FOR_CONVERSION', 'PayForConversion', { Cpa: 2_000_000_000, GoalId: 1 }) },
+      },
+    ]);
+    expect(violations).toEqual([
+      'new item: Search.AverageCpa.AverageCpa 1500 RUB exceeds the maxCpa of 1000 RUB',
+      'new item: Search.PayForConversion.Cpa 2000 RUB exceeds the maxCpa of 1000 RUB',
+      'new item: Search.AverageCpa.WeeklySpendLimit 9000 RUB exceeds 7 × the maxDailyBudget of 1000 RUB',
+    ]);
+  });
+
+  test('a bid ceiling is held to maxBid', async () => {
+    const violations = await checkSpend(currencyClient, budgetPolicy, 'budget', [
+      {
+        id: null,
+        before: null,
+        after: search('WB_MAXIMUM_CLICKS', 'WbMaximumClicks', {
+          WeeklySpendLimit: 3_000_000_000,
+          BidCeiling: 150_000_000,
+        }),
+      },
+    ]);
+    expect(violations).toEqual(['new item: Search.WbMaximumClicks.BidCeiling 150 RUB exceeds the maxBid of 100 RUB']);
+  });
+
+  test('raising a weekly spend limit counts against the budget change limit', async () => {
+    const violations = await checkSpend(currencyClient, budgetPolicy, 'budget', [
+      { id: 5, before: averageCpa(50, 1500), after: averageCpa(50, 6000) },
+    ]);
+    expect(violations).toEqual([
+      'ID 5: Search.AverageCpa.WeeklySpendLimit raise 1500 → 6000 RUB (+300%) exceeds the maxBudgetChangePct of 100%',
+    ]);
+  });
+});
+
+describe('smart filter bids', () => {
+  function client() {
+    return {
+      spendPolicy: policy,
+      sent: 0,
+      async directGetAll(service) {
+        const items =
+          service === 'adgroups'
+            ? [{ Id: 3, CampaignId: 7 }]
+            : [{ Id: 9, Name: 'Phones', AdGroupId: 3, AverageCpc: 10_000_000 }];
+        return { items, nextOffset: null };
+      },
+      async directRequest(service) {
+        if (service === 'clients') return { Clients: [{ Currency: 'RUB' }] };
+        this.sent += 1;
+        return { SetBidsResults: [{ Id: 9 }] };
+      },
+    };
+  }
+
+  test('an average CPC raise is held to the bid limits', async () => {
+    const c = client();
+    await expect(
+      runWrite(c, {
+        label: 'Set smart banner filter 9 bids',
+        service: 'smartadtargets',
+        method: 'setBids',
+        params: { Bids: [{ Id: 9, AverageCpc: 40_000_000 }] },
+        spend: 'bid',
+        preview: { fields: ['Name', 'AdGroupId'] },
+      }),
+    ).rejects.toThrow('ID 9: AverageCpc raise 10 → 40 RUB (+300%) exceeds the maxBidChangePct of 50%');
+    expect(c.sent).toBe(0);
+  });
+
+  test('a new filter’s average CPA is held to maxCpa, not to the per-click maxBid', async () => {
+    const filter = (cpa) => ({ id: null, before: null, after: { AdGroupId: 3, Name: 'Phones', AverageCpa: cpa } });
+    const cpaPolicy = { ...policy, maxCpa: { RUB: 1000 } };
+    expect(await checkSpend(client(), cpaPolicy, 'bid', [filter(500_000_000)])).toEqual([]);
+    expect(await checkSpend(client(), cpaPolicy, 'bid', [filter(1_500_000_000)])).toEqual([
+      'new item: AverageCpa 1500 RUB exceeds the maxCpa of 1000 RUB',
+    ]);
+  });
+});
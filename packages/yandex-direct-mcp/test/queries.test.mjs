@@ -0,0 +1,87 @@
+import { expect, test } from 'bun:test';
+import { classifyQueries, extraWords, groupQueries, phraseKey } from '../src/queries.mjs';
+
+const row = (Query, Clicks, Cost, Conversions, extra = {}) => ({
+  Query,
+  CampaignId: '1',
+  AdGroupId: '7',
+  CriterionId: '71',
+  Criterion: 'купить телефон',
+  CriterionType: 'KEYWORD',
+  Impressions: '100',
+  Clicks: String(Clicks),
+  Cost: String(Cost),
+  Conversions: String(Conversions),
+  ...extra,
+});
+
+const ownKeywords = [
+  { AdGroupId: 7, CampaignId: 1, Keyword: 'купить телефон' },
+  { AdGroupId: 7, CampaignId: 1, Keyword: 'телефон бу дешево' },
+  { AdGroupId: 8, CampaignId: 1, Keyword: 'ремонт телефона' },
+];
+
+test('phraseKey and extraWords compare word forms', () => {
+  expect(phraseKey('купить телефоны')).toBe(phraseKey('телефон купить'));
+  expect(extraWords('купить телефоны samsung в кредит', 'купить телефон')).toEqual(['samsung', 'кредит']);
+});
+
+test('groupQueries merges word forms under the triggering keyword', () => {
+  const [group] = groupQueries([
+    row('купить телефон samsung', 3, 90, 1),
+    row('купить телефоны samsung', 5, 150, 0),
+    row('купить телефон бу', 12, 240, '--'),
+  ]);
+  expect(group).toMatchObject({ keywordId: 71, keyword: 'купить телефон', adGroupId: 7, campaignId: 1 });
+  expect(group.queries).toEqual([
+    {
+      query: 'купить телефоны samsung',
+      variants: ['купить телефон samsung', 'купить телефоны samsung'],
+      metrics: { impressions: 200, clicks: 8, cost: 240, conversions: 1 },
+    },
+    {
+      query: 'купить телефон бу',
+      variants: ['купить телефон бу'],
+      metrics: { impressions: 100, clicks: 12, cost: 240, conversions: 0 },
+    },
+  ]);
+});
+
+test('classifyQueries proposes converting queries as keywords and wasteful ones as negatives', () => {
+  const groups = groupQueries([
+    row('купить телефон samsung', 8, 240, 2),
+    row('купить телефон xiaomi', 4, 900, 1),
+    row('телефон купить', 30, 600, 2),
+    row('купить телефон своими руками', 15, 300, 0),
+    row('купить телефон бу', 3, 400, 0),
+    row('купить телефон дешево', 2, 10, 0),
+  ]);
+  const mined = classifyQueries(groups, { maxCpa: 500, negativeMinCost: 300 }, { ownKeywords });
+  expect(mined.keywords.map((k) => k.phrase)).toEqual(['купить телефон samsung']);
+  expect(mined.negatives.map((n) => [n.level, n.id, n.phrase])).toEqual([
+    ['adgroup', 7, 'своими руками'],
+    ['adgroup', 7, 'купить телефон бу'],
+  ]);
+  expect(mined.skipped).toEqual([
+    {
+      query: 'купить телефон xiaomi',
+      from: { keywordId: 71, keyword: 'купить телефон' },
+      reason: 'CPA 900 above max_cpa 500',
+    },
+    {
+      query: 'телефон купить',
+      from: { keywordId: 71, keyword: 'купить телефон' },
+      reason: 'already a keyword in the ad group',
+    },
+  ]);
+});
+
+test('classifyQueries skips negatives that would block own keywords and negates whole autotargeting queries', () => {
+  const groups = groupQueries([
+    row('ремонт телефона', 20, 500, 0, { CriterionId: '90', CriterionType: 'AUTOTARGETING', Criterion: '' }),
+    row('чехол для телефона', 20, 500, 0, { CriterionId: '90', CriterionType: 'AUTOTARGETING', Criterion: '' }),
+  ]);
+  const mined = classifyQueries(groups, {}, { ownKeywords, negativeLevel: 'campaign' });
+  expect(mined.negatives.map((n) => [n.level, n.id, n.phrase])).toEqual([['campaign', 1, 'чехол телефона']]);
+  expect(mined.skipped.map((s) => s.reason)).toEqual(['a negative would block the keyword "ремонт телефона"']);
+});
@@ -0,0 +1,38 @@
+import { expect, test } from 'bun:test';
+import {
+  describeRetargetingRules,
+  formatRetargetingList,
+  retargetingRulesSchema,
+  toRetargetingRules,
+} from '../src/retargeting.mjs';
+
+const rules = [
+  { operator: 'any', conditions: [{ external_id: 123, days: 30 }, { external_id: 2000456 }] },
+  { operator: 'none', conditions: [{ external_id: 789, days: 90 }] },
+];
+
+test('toRetargetingRules builds v5 rule groups', () => {
+  expect(toRetargetingRules(rules)).toEqual([
+    { Operator: 'ANY', Arguments: [{ ExternalId: 123, MembershipLifeSpan: 30 }, { ExternalId: 2000456 }] },
+    { Operator: 'NONE', Arguments: [{ ExternalId: 789, MembershipLifeSpan: 90 }] },
+  ]);
+});
+
+test('toRetargetingRules rejects lists made only of exclusions', () => {
+  expect(() => toRetargetingRules([rules[1]])).toThrow('at least one "all" or "any"');
+});
+
+test('retargetingRulesSchema bounds the goal look-back window', () => {
+  expect(retargetingRulesSchema.safeParse(rules).success).toBe(true);
+  const tooLong = [{ operator: 'all', conditions: [{ external_id: 1, days: 541 }] }];
+  expect(retargetingRulesSchema.safeParse(tooLong).success).toBe(false);
+  expect(retargetingRulesSchema.safeParse([{ operator: 'all', conditions: [] }]).success).toBe(false);
+});
+
+test('retargeting lists are described with their rules and availability', () => {
+  const v5 = toRetargetingRules(rules);
+  expect(describeRetargetingRules(v5)).toBe('any of [123 within 30 days, 2000456] AND none of [789 within 90 days]');
+  expect(formatRetargetingList({ Id: 5, Name: 'Buyers', Type: 'RETARGETING', IsAvailable: 'NO', Rules: v5 })).toBe(
+    '- "Buyers" (ID 5, RETARGETING, UNAVAILABLE (a goal or segment is no longer accessible)): any of [123 within 30 days, 2000456] AND none of [789 within 90 days]',
+  );
+});
@@ -0,0 +1,79 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { createClient } from '../src/client.mjs';
+import { apiError, backoffDelay, retryPolicy, withRetry } from '../src/retry.mjs';
+
+const realFetch = globalThis.fetch;
+let calls;
+
+// Each call pops the next canned body; the last one repeats.
+function serve(...bodies) {
+  calls = 0;
+  globalThis.fetch = async () => {
+    const body = bodies[Math.min(calls, bodies.length - 1)];
+    calls += 1;
+    return new Response(JSON.stringify(body));
+  };
+}
+
+const busy = { error: { error_code: 1000, error_string: 'Server busy' } };
+
+beforeEach(() => {
+  process.env.YANDEX_DIRECT_TOKEN = 'test-token';
+  process.env.YANDEX_DIRECT_RETRY_BASE_MS = '0';
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.YANDEX_DIRECT_RETRY_BASE_MS;
+  delete process.env.YANDEX_DIRECT_RETRIES;
+});
+
+describe('retry policy', () => {
+  test('defaults and env overrides', () => {
+    expect(retryPolicy({})).toEqual({ retries: 3, baseMs: 1000, maxMs: 30_000 });
+    expect(retryPolicy({ YANDEX_DIRECT_RETRIES: '0', YANDEX_DIRECT_RETRY_BASE_MS: '250' })).toMatchObject({
+      retries: 0,
+      baseMs: 250,
+    });
+  });
+
+  test('backoff doubles its ceiling and is capped', () => {
+    const policy = { baseMs: 1000, maxMs: 30_000 };
+    expect(backoffDelay(0, policy, () => 0.999)).toBe(999);
+    expect(backoffDelay(3, policy, () => 0.5)).toBe(4000);
+    expect(backoffDelay(10, policy, () => 0.5)).toBe(15_000);
+  });
+
+  test('non-transient errors are not retried', async () => {
+    let attempts = 0;
+    const fail = () => {
+      attempts += 1;
+      throw apiError('nope', { errorCode: 152 });
+    };
+    await expect(withRetry(fail, { retries: 3, baseMs: 0, maxMs: 0 })).rejects.toThrow('nope');
+    expect(attempts).toBe(1);
+  });
+});
+
+describe('client retries', () => {
+  test('get recovers from a transient error', async () => {
+    serve(busy, { result: { Campaigns: [] } });
+    expect(await createClient().directRequest('campaigns', 'get', {})).toEqual({ Campaigns: [] });
+    expect(calls).toBe(2);
+  });
+
+  test('get gives up and records the attempts', async () => {
+    process.env.YANDEX_DIRECT_RETRIES = '2';
+    serve(busy);
+    await expect(createClient().directRequest('campaigns', 'get', {})).rejects.toThrow(
+      'Yandex Direct API error (1000): Server busy (gave up after 3 attempts)',
+    );
+    expect(calls).toBe(3);
+  });
+
+  test('mutations are never retried', async () => {
+    serve(busy, { result: {} });
+    await expect(createClient().directRequest('campaigns', 'update', {})).rejects.toThrow('(1000)');
+    expect(calls).toBe(1);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, expect, test } from 'bun:test';
+import { evaluateRules, matchRule, parseRules, rowMetrics, ruleBid } from '../src/rules.mjs';
+
+const M = 1_000_000;
+
+const YAML_RULES = `
+campaignIds: [1]
+rules:
+  - name: Expensive conversions
+    when: [cpa > 500, clicks > 30]
+    bidChangePct: -15
+    minBid: 1
+  - name: Spends without converting
+    days: 7
+    when: [conversions = 0, cost >= 300]
+    setBid: 2
+`;
+
+describe('parseRules', () => {
+  test('reads YAML (and so JSON) with defaults', () => {
+    const rules = parseRules(YAML_RULES);
+    expect(rules.campaignIds).toEqual([1]);
+    expect(rules.rules.map((r) => r.days)).toEqual([14, 7]);
+    expect(parseRules('{"rules":[{"name":"a","when":["ctr < 1"],"setBid":3}]}').rules[0].setBid).toBe(3);
+  });
+
+  test('explains every invalid part', () => {
+    expect(() => parseRules('rules: [{ name: a, when: ["roi > 2"], bidChangePct: 5, setBid: 2 }]')).toThrow(
+      /rules\.0\.when\.0: expected "<metric> <op> <number>"[\s\S]*exactly one of bidChangePct or setBid/,
+    );
+    expect(() => parseRules('rules: [')).toThrow('Cannot parse the rules');
+  });
+});
+
+test('matchRule picks the first rule holding over its own window', () => {
+  const { rules } = parseRules(YAML_RULES);
+  const busy = { impressions: 900, clicks: 40, cost: 1300, conversions: 2 };
+  const idle = { impressions: 100, clicks: 5, cost: 350, conversions: 0 };
+  expect(matchRule(rules, { 14: busy, 7: idle }).name).toBe('Expensive conversions');
+  // No conversions: cpa is undefined, so only the second rule can match.
+  expect(matchRule(rules, { 14: idle, 7: idle }).name).toBe('Spends without converting');
+  expect(matchRule(rules, { 14: idle, 7: { ...idle, cost: 10 } })).toBeUndefined();
+});
+
+test('ruleBid changes, bounds and rounds the bid', () => {
+  expect(ruleBid({ bidChangePct: -15 }, 10 * M)).toBe(8.5 * M);
+  expect(ruleBid({ bidChangePct: -15, minBid: 9 }, 10 * M)).toBe(9 * M);
+  expect(ruleBid({ bidChangePct: 10 }, 3.33 * M)).toBe(3.66 * M);
+  expect(ruleBid({ setBid: 2, maxBid: 1.5 }, 10 * M)).toBe(1.5 * M);
+});
+
+test('rowMetrics sums per-goal conversion columns and reads "--" as zero', () => {
+  expect(
+    rowMetrics({ Impressions: '10', Clicks: '2', Cost: '--', Conversions_1_AUTO: '1', Conversions_2_AUTO: '2' }),
+  ).toEqual({ impressions: 10, clicks: 2, cost: 0, conversions: 3 });
+});
+
+test('evaluateRules proposes bids from report rows and current bids', async () => {
+  const reports = [];
+  const client = {
+    async reportRequest(params) {
+      reports.push(params);
+      return [
+        {
+          CampaignId: '1',
+          CriterionId: '71',
+          Criterion: 'buy x',
+          Impressions: '900',
+          Clicks: '40',
+          Cost: '1300',
+          Conversions: '2',
+        },
+        {
+          CampaignId: '1',
+          CriterionId: '72',
+          Criterion: 'x free',
+          Impressions: '50',
+          Clicks: '3',
+          Cost: '20',
+          Conversions: '0',
+        },
+        {
+          CampaignId: '1',
+          CriterionId: '73',
+          Criterion: 'auto x',
+          Impressions: '900',
+          Clicks: '40',
+          Cost: '1300',
+          Conversions: '1',
+        },
+      ];
+    },
+    async directGetAll() {
+      return {
+        items: [
+          { KeywordId: 71, Search: { Bid: 10 * M } },
+          { KeywordId: 73, Search: {} },
+        ],
+        nextOffset: null,
+      };
+    },
+  };
+  const run = await evaluateRules(client, parseRules(YAML_RULES), { today: '2026-03-15' });
+
+  expect(reports.map((r) => [r.SelectionCriteria.DateFrom, r.SelectionCriteria.DateTo])).toEqual([
+    ['2026-03-01', '2026-03-14'],
+    ['2026-03-08', '2026-03-14'],
+  ]);
+  expect(run.proposals).toEqual([
+    {
+      KeywordId: 71,
+      CampaignId: 1,
+      keyword: 'buy x',
+      rule: 'Expensive conversions',
+      metrics: 'cpa 650, clicks 40',
+      before: 10 * M,
+      after: 8.5 * M,
+    },
+  ]);
+  expect(run.skipped.map((s) => s.KeywordId)).toEqual([73]);
+  expect(run.counts).toEqual({ keywords: 3, matched: { 'Expensive conversions': 2 }, unmatched: 1 });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, test } from 'bun:test';
+import { formatTimeTargeting, toTimeTargeting } from '../src/schedule.mjs';
+
+const WEEKDAYS_9_TO_18 = { days: [1, 2, 3, 4, 5], from_hour: 9, to_hour: 18 };
+
+describe('toTimeTargeting', () => {
+  test('expands rules into one bid-percent string per weekday', () => {
+    const result = toTimeTargeting({
+      schedule: [WEEKDAYS_9_TO_18, { days: [5], from_hour: 16, to_hour: 18, bid_percent: 150 }],
+      consider_working_weekends: true,
+      holidays: { suspend: true },
+    });
+    const hours = (from, to, p) => Array.from({ length: to - from }, () => p);
+    expect(result.Schedule.Items[0]).toBe([1, ...hours(0, 9, 0), ...hours(9, 18, 100), ...hours(18, 24, 0)].join(','));
+    expect(result.Schedule.Items[4]).toBe(
+      [5, ...hours(0, 9, 0), ...hours(9, 16, 100), ...hours(16, 18, 150), ...hours(18, 24, 0)].join(','),
+    );
+    expect(result.Schedule.Items[6]).toBe([7, ...hours(0, 24, 0)].join(','));
+    expect(result.ConsiderWorkingWeekends).toBe('YES');
+    expect(result.HolidaysSchedule).toEqual({ SuspendOnHolidays: 'YES' });
+  });
+
+  test('rejects schedules below the weekday minimum and incomplete holiday rules', () => {
+    expect(() => toTimeTargeting({ schedule: [{ days: [1, 2, 3], from_hour: 9, to_hour: 18 }] })).toThrow(
+      'serves 27 hours',
+    );
+    expect(() => toTimeTargeting({ schedule: [WEEKDAYS_9_TO_18], holidays: { suspend: false } })).toThrow(
+      'from_hour and to_hour',
+    );
+  });
+});
+
+describe('formatTimeTargeting', () => {
+  test('draws an hour-by-weekday grid', () => {
+    const text = formatTimeTargeting(
+      toTimeTargeting({
+        schedule: [WEEKDAYS_9_TO_18, { days: [6], from_hour: 10, to_hour: 12, bid_percent: 50 }],
+        holidays: { suspend: false, from_hour: 10, to_hour: 16, bid_percent: 70 },
+      }),
+    );
+    const lines = text.split('\n');
+    expect(lines[2]).toBe('Mon  .........#########......');
+    expect(lines[7]).toBe('Sat  ..........--............');
+    expect(lines).toContain('(# 100%, + / - adjusted bid: 50%, . off)');
+    expect(lines).toContain('holidays: 10–16 at 70%');
+  });
+
+  test('no schedule means no restriction', () => {
+    expect(formatTimeTargeting(null)).toBe('every day, all hours (no time targeting)');
+  });
+});
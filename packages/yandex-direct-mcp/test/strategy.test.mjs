@@ -0,0 +1,81 @@
+import { describe, expect, test } from 'bun:test';
+import { describeStrategy, strategySchema, toBiddingStrategy, toPlacementTypes } from '../src/strategy.mjs';
+
+describe('strategy schema', () => {
+  test('requires the parameters of the chosen strategy', () => {
+    const valid = (search) => strategySchema.safeParse({ search }).success;
+    expect(valid({ type: 'AVERAGE_CPA', average_cpa: 500 })).toBe(false);
+    expect(valid({ type: 'AVERAGE_CPA', average_cpa: 500, goal_id: 1234 })).toBe(true);
+    expect(valid({ type: 'WB_MAXIMUM_CLICKS' })).toBe(false);
+  });
+});
+
+describe('toBiddingStrategy', () => {
+  test('maps parameters to v5 blocks in micro-units', () => {
+    expect(
+      toBiddingStrategy({
+        search: { type: 'PAY_FOR_CONVERSION', cpa: 300, goal_id: 42, weekly_spend_limit: 10_000 },
+        network: { type: 'SERVING_OFF' },
+      }),
+    ).toEqual({
+      Search: {
+        BiddingStrategyType: 'PAY_FOR_CONVERSION',
+        PayForConversion: { Cpa: 300_000_000, GoalId: 42, WeeklySpendLimit: 10_000_000_000 },
+      },
+      Network: { BiddingStrategyType: 'SERVING_OFF' },
+    });
+  });
+
+  test('rejects combinations Direct does not accept', () => {
+    expect(() =>
+      toBiddingStrategy({
+        search: { type: 'HIGHEST_POSITION' },
+        network: { type: 'WB_MAXIMUM_CLICKS', weekly_spend_limit: 1000 },
+      }),
+    ).toThrow('requires a manual network strategy');
+    expect(() =>
+      toBiddingStrategy({
+        search: { type: 'AVERAGE_CPC', average_cpc: 20 },
+        network: { type: 'MAXIMUM_COVERAGE' },
+      }),
+    ).toThrow('requires network SERVING_OFF or NETWORK_DEFAULT');
+  });
+
+  test('allows changing one half alone', () => {
+    expect(toBiddingStrategy({ network: { type: 'NETWORK_DEFAULT', limit_percent: 50 } })).toEqual({
+      Network: { BiddingStrategyType: 'NETWORK_DEFAULT', NetworkDefault: { LimitPercent: 50 } },
+    });
+  });
+});
+
+describe('describeStrategy', () => {
+  test('renders amounts in currency', () => {
+    expect(
+      describeStrategy({
+        Search: { BiddingStrategyType: 'AVERAGE_CPC', AverageCpc: { AverageCpc: 20_000_000, WeeklySpendLimit: null } },
+        Network: { BiddingStrategyType: 'SERVING_OFF' },
+      }),
+    ).toBe('search AVERAGE_CPC (AverageCpc 20); network SERVING_OFF');
+  });
+
+  test('lists the placements a unified campaign serves on', () => {
+    expect(
+      describeStrategy({
+        Search: {
+          BiddingStrategyType: 'HIGHEST_POSITION',
+          PlacementTypes: { SearchResults: 'YES', ProductGallery: 'NO', Maps: 'YES' },
+        },
+        Network: { BiddingStrategyType: 'SERVING_OFF' },
+      }),
+    ).toBe('search HIGHEST_POSITION on SearchResults, Maps; network SERVING_OFF');
+  });
+});
+
+describe('toPlacementTypes', () => {
+  test('maps flags to YES/NO and leaves unset placements out', () => {
+    expect(toPlacementTypes({ search_results: true, maps: false, product_gallery: undefined })).toEqual({
+      SearchResults: 'YES',
+      Maps: 'NO',
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, expect, test } from 'bun:test';
+import { parseCsv, readTable } from '../src/table.mjs';
+
+describe('parseCsv', () => {
+  test('handles quoted separators, escaped quotes and line breaks', () => {
+    expect(parseCsv('a,b\n"x, y","say ""hi"""\n"multi\nline",z\n')).toEqual([
+      { line: 1, cells: ['a', 'b'] },
+      { line: 2, cells: ['x, y', 'say "hi"'] },
+      { line: 3, cells: ['multi\nline', 'z'] },
+    ]);
+  });
+
+  test('detects semicolon and tab separators and skips blank lines', () => {
+    expect(parseCsv('a;b\r\n\r\n1;2').map((r) => r.cells)).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+    expect(parseCsv('a\tb\n1,5\t2').map((r) => r.cells)).toEqual([
+      ['a', 'b'],
+      ['1,5', '2'],
+    ]);
+  });
+
+  test('rejects an unterminated quote', () => {
+    expect(() => parseCsv('a,b\n"open,1')).toThrow('Unterminated quoted cell starting on line 2');
+  });
+});
+
+test('readTable normalizes headers and keeps source lines', () => {
+  expect(readTable('\uFEFFAd Group ID,Title\n5, Hello \n\n6,World')).toEqual({
+    columns: ['ad_group_id', 'title'],
+    rows: [
+      { line: 2, values: { ad_group_id: '5', title: 'Hello' } },
+      { line: 4, values: { ad_group_id: '6', title: 'World' } },
+    ],
+  });
+});
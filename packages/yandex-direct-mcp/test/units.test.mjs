@@ -0,0 +1,77 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { createClient } from '../src/client.mjs';
+import { isBelowFloor, parseUnits, unitsPolicy } from '../src/units.mjs';
+
+const realFetch = globalThis.fetch;
+let calls;
+
+function serveWithUnits(header) {
+  calls = 0;
+  globalThis.fetch = async () => {
+    calls += 1;
+    return new Response('{"result":{}}', { headers: { Units: header, 'Units-Used-Login': 'client' } });
+  };
+}
+
+beforeEach(() => {
+  process.env.YANDEX_DIRECT_TOKEN = 'test-token';
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.YANDEX_DIRECT_UNITS_FLOOR;
+  delete process.env.YANDEX_DIRECT_UNITS_MODE;
+});
+
+describe('parseUnits', () => {
+  test('splits spent/remaining/limit', () => {
+    expect(parseUnits('10/20828/64000', 'client')).toEqual({
+      spent: 10,
+      remaining: 20828,
+      limit: 64000,
+      login: 'client',
+    });
+  });
+
+  test('returns null for a missing or garbled header', () => {
+    expect(parseUnits(null)).toBeNull();
+    expect(parseUnits('10/20828')).toBeNull();
+    expect(parseUnits('a/b/c')).toBeNull();
+  });
+});
+
+describe('unitsPolicy', () => {
+  test('is disabled by default and warns unless told to refuse', () => {
+    expect(unitsPolicy({})).toEqual({ floor: 0, mode: 'warn' });
+    expect(unitsPolicy({ YANDEX_DIRECT_UNITS_FLOOR: '500', YANDEX_DIRECT_UNITS_MODE: 'refuse' })).toEqual({
+      floor: 500,
+      mode: 'refuse',
+    });
+  });
+
+  test('a zero floor never trips', () => {
+    expect(isBelowFloor({ remaining: 0 }, { floor: 0 })).toBe(false);
+    expect(isBelowFloor({ remaining: 99 }, { floor: 100 })).toBe(true);
+  });
+});
+
+describe('client units tracking', () => {
+  test('remembers the latest Units header', async () => {
+    serveWithUnits('25/1000/64000');
+    const client = createClient();
+    expect(client.units()).toBeNull();
+    await client.directRequest('campaigns', 'get', {});
+    expect(client.units()).toMatchObject({ spent: 25, remaining: 1000, login: 'client' });
+  });
+
+  test('refuses mutations below the floor but still lets get through', async () => {
+    process.env.YANDEX_DIRECT_UNITS_FLOOR = '5000';
+    process.env.YANDEX_DIRECT_UNITS_MODE = 'refuse';
+    serveWithUnits('25/1000/64000');
+    const client = createClient();
+    await client.directRequest('campaigns', 'get', {});
+    await expect(client.directRequest('campaigns', 'update', {})).rejects.toThrow(/Refusing campaigns\.update/);
+    await client.directRequest('campaigns', 'get', {});
+    expect(calls).toBe(2);
+  });
+});
@@ -0,0 +1,11 @@
+import { expect, test } from 'bun:test';
+import { withTrackingParams } from '../src/urls.mjs';
+
+test('withTrackingParams merges parameters and keeps placeholders raw', () => {
+  expect(withTrackingParams('https://x.ru/page', 'utm_source=yandex&utm_term={keyword}')).toBe(
+    'https://x.ru/page?utm_source=yandex&utm_term={keyword}',
+  );
+  expect(withTrackingParams('https://x.ru/?a=1&utm_source=old#top', '?utm_source=yandex')).toBe(
+    'https://x.ru/?a=1&utm_source=yandex#top',
+  );
+});